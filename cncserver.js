@@ -44,12 +44,25 @@ cncserver.globalConfigDefaults = {
   maximumBlockingCallStack: 100, // Limit for the # blocking sequential calls
   showSerial: false, // Specific debug to show serial data.
   serialPath: "{auto}", // Empty for auto-config
+  serialMock: false, // Connect to a fake EiBotBoard instead, for testing
+  serialReconnect: true, // Reconnect when a lost bot is plugged back in
   bufferLatencyOffset: 30, // Number of ms to move each command closer together
   corsDomain: '*', // Start as open to CORs enabled browser clients
   debug: false,
   botType: 'watercolorbot',
   scratchSupport: true,
   flipZToggleBit: false,
+  pathTolerance: 1, // Max deviation (in steps) when flattening path curves
+  jobsPath: 'jobs', // Directory to save jobs in, relative to the server
+  lockDuration: 300, // Default seconds a control lock lasts before expiring
+  historySize: 1000, // Number of executed buffer items to keep, 0 for none
+  machineId: 'default', // ID of the machine served, set for child servers
+  apiTokens: {
+    info: "Require API tokens E.G. > [apiTokens] mysecrettoken = control"
+  },
+  machines: {
+    info: "Serve more machines E.G. > [machines.axidraw2] botType = axidraw"
+  },
   botOverride: {
     info: "Override bot settings E.G. > [botOverride.eggbot] servo:max = 1234"
   }
@@ -63,6 +76,15 @@ require('./src/cncserver.utils.js')(cncserver);
 // Settings shortcuts/utils & initialization.
 require('./src/cncserver.settings.js')(cncserver);
 
+// Settings schema for checking changes.
+require('./src/cncserver.schema.js')(cncserver);
+
+// API token authentication.
+require('./src/cncserver.auth.js')(cncserver);
+
+// Multi-client control locking.
+require('./src/cncserver.lock.js')(cncserver);
+
 // Server setup and associated wrapper.
 require('./src/cncserver.server.js')(cncserver);
 
@@ -75,18 +97,63 @@ require('./src/cncserver.api.js')(cncserver);
 // IPC server and runner components.
 require('./src/cncserver.ipc.js')(cncserver);
 
+// Runner process supervision and recovery.
+require('./src/cncserver.supervisor.js')(cncserver);
+
 // Serial Components.
 require('./src/cncserver.serial.js')(cncserver);
 
 // Socket I/O Components.
 require('./src/cncserver.sockets.js')(cncserver);
 
+// Virtual plotter simulator, recording simulated output.
+require('./src/cncserver.simulator.js')(cncserver);
+
 // Control/movement functionality.
 require('./src/cncserver.control.js')(cncserver);
 
+// Tool change sequences.
+require('./src/cncserver.tools.js')(cncserver);
+
+// Automatic re-inking by drawing distance.
+require('./src/cncserver.reink.js')(cncserver);
+
 // Run/Queue/Buffer management functionality.
 require('./src/cncserver.queue.js')(cncserver);
 
+// Rules to pause the buffer automatically.
+require('./src/cncserver.rules.js')(cncserver);
+
+// History of executed buffer items.
+require('./src/cncserver.history.js')(cncserver);
+
+// Monitoring metrics.
+require('./src/cncserver.metrics.js')(cncserver);
+
+// Look-ahead acceleration planning for buffered moves.
+require('./src/cncserver.planner.js')(cncserver);
+
+// SVG path parsing and rendering into the buffer.
+require('./src/cncserver.paths.js')(cncserver);
+
+// Pen-up travel optimization for path sets.
+require('./src/cncserver.optimizer.js')(cncserver);
+
+// G-code import and streaming into the buffer.
+require('./src/cncserver.gcode.js')(cncserver);
+
+// Dry-run drawing time and distance estimates.
+require('./src/cncserver.estimator.js')(cncserver);
+
+// Persistent, queued drawing jobs.
+require('./src/cncserver.jobs.js')(cncserver);
+
+// Machine profile management.
+require('./src/cncserver.profiles.js')(cncserver);
+
+// Child servers for serving multiple machines.
+require('./src/cncserver.machines.js')(cncserver);
+
 
 // STATE VARIABLES =============================================================
 
@@ -121,6 +188,7 @@ cncserver.settings.loadGlobalConfig(function standaloneOrModuleInit() {
     if (!module.parent) {
       // Load the bot specific configuration, defaulting to gConf bot type
       cncserver.settings.loadBotConfig(function(){
+        cncserver.machines.start();
         cncserver.ipc.initServer({localRunner: true}, function(){
           // Runner is ready! Attempt Initial Serial Connection.
           cncserver.serial.connect({
@@ -156,6 +224,8 @@ cncserver.settings.loadGlobalConfig(function standaloneOrModuleInit() {
         }
 
         cncserver.settings.loadBotConfig(function(){
+          cncserver.machines.start();
+
           // Before we can attempt to connect to the serialport, we must ensure
           // The IPC runner is connected...
 
@@ -12,9 +12,16 @@
 
 // REQUIRES ====================================================================
 var SerialPort = require("serialport");
+var SerialMock = require("./cncserver.serialmock.js");
 var ipc = require('node-ipc');
 
 // CONFIGURATION ===============================================================
+// IPC server ID to connect to, overridden by "--server=" for extra machines.
+var serverId = 'cncserver';
+process.argv.forEach(function(arg) {
+  if (arg.indexOf('--server=') === 0) serverId = arg.substr(9);
+});
+
 ipc.config.id = 'cncrunner';
 ipc.config.silent = true;
 ipc.config.retry = 1000;
@@ -28,6 +35,7 @@ var bufferRunning = false;
 var bufferPaused = false;
 var bufferExecuting = false;
 var bufferDirectBusy = false;
+var bufferCurrent = null; // Hash of the item being executed.
 
 // Runner config defaults, overridden on ready.
 var config = {
@@ -46,26 +54,31 @@ process.on('uncaughtException', function(err) {
 });
 
 ipc.connectTo(
-  'cncserver',
+  serverId,
   function(){
-    ipc.of.cncserver.on('connect', function(){
+    ipc.of[serverId].on('connect', function(){
         console.log('Connected to CNCServer!');
-        sendMessage('runner.ready');
+
+        // Tell the server what we still have, in case we're reconnecting.
+        sendMessage('runner.ready', {
+          buffer: buffer.map(function(item) { return item.hash; }).reverse(),
+          current: bufferCurrent
+        });
       }
     );
 
-    ipc.of.cncserver.on('disconnect', function(){
+    ipc.of[serverId].on('disconnect', function(){
         //ipc.log('Disconnected from server, shutting down'.notice);
         //process.exit(0);
       }
     );
 
-    ipc.of.cncserver.on('destroy', function(){
+    ipc.of[serverId].on('destroy', function(){
         console.log('All Retries failed or disconnected, shutting down');
         process.exit(0);
       }
     );
-    ipc.of.cncserver.on('app.message', gotMessage);
+    ipc.of[serverId].on('app.message', gotMessage);
   }
 );
 
@@ -89,7 +102,7 @@ function sendMessage(command, data) {
     data: data
   };
 
-  ipc.of.cncserver.emit('app.message', packet);
+  ipc.of[serverId].emit('app.message', packet);
 }
 
 /**
@@ -115,6 +128,11 @@ function gotMessage(packet) {
     case "serial.connect":
       connectSerial(data);
       break;
+    case "serial.disconnect":
+      closeSerial(function() {
+        console.log('SERIAL CLOSED');
+      });
+      break;
     case "serial.direct.command":
       // Running a set of commands at exactly the same time as another with no
       // queue/buffer to manage it would be... a frightening mess.
@@ -161,8 +179,19 @@ function gotMessage(packet) {
 // Runner doesn't do any autodetection, just connects to whatever server says to
 function connectSerial(options) {
   if (config.debug) console.log('Connect to:' + JSON.stringify(options));
+
+  // Close any open port first.
+  if (port && port.isOpen) {
+    closeSerial(function() {
+      connectSerial(options);
+    });
+    return;
+  }
+
+  // Connect to a fake EiBotBoard instead if the server asks for one.
+  var Port = options.mock ? SerialMock : SerialPort;
   try {
-    port = new SerialPort(options.port, options, function(err) {
+    port = new Port(options.port, options, function(err) {
       if (!err) {
         simulation = false;
         sendMessage('serial.connected');
@@ -186,6 +215,22 @@ function connectSerial(options) {
   }
 }
 
+// Quietly close the open port, so it isn't taken as a disconnect.
+function closeSerial(callback) {
+  if (!port || !port.isOpen) {
+    simulation = true;
+    callback();
+    return;
+  }
+
+  var oldPort = port;
+  port = false;
+  simulation = true;
+  oldPort.removeAllListeners('disconnect');
+  oldPort.removeAllListeners('close');
+  oldPort.close(callback);
+}
+
 function disconnectSerial(err) {
   console.log('Serial Disconnected!'.error + err.toString());
   sendMessage('serial.disconnected', {
@@ -248,6 +293,7 @@ function executeNext() {
     if (config.debug) console.log('RUNNING ITEM: ' + item.hash);
     sendMessage('buffer.item.start', item.hash);
     bufferExecuting = true;
+    bufferCurrent = item.hash;
 
     // Some items don't have any rendered commands, only run those that do!
     if (item.commands.length) {
@@ -255,12 +301,14 @@ function executeNext() {
         if (config.debug) console.log('ITEM DONE: ' + item.hash);
         sendMessage('buffer.item.done', item.hash);
         bufferExecuting = false;
+        bufferCurrent = null;
         executeNext();
       });
     } else {
       // This buffer item doesn't have any serial commands, we're done here :)
       sendMessage('buffer.item.done', item.hash);
       bufferExecuting = false;
+      bufferCurrent = null;
       if (config.debug) console.log('NO COMMANDS ITEM: ' + item.hash);
       executeNext();
     }
@@ -294,6 +342,7 @@ setInterval(function(){
 function serialWrite (command, callback) {
   if (simulation) {
     if (config.showSerial) console.info('Simulating serial write: ' + command);
+    sendMessage('serial.simulated', command);
     setTimeout(function(){
       serialReadline(config.ack);
       if (callback) callback();
@@ -0,0 +1,222 @@
+/*jslint node: true */
+"use strict";
+
+/**
+ * @file Fake EiBotBoard serial port for the CNC Server runner. Stands in for a
+ * SerialPort instance, answering the EBB command set like a connected board
+ * would, with configurable latency, errors, dropped ACKs and disconnects. Used
+ * for testing the runner's serial handling without any hardware.
+ */
+
+var Duplex = require('stream').Duplex;
+var util = require('util');
+
+// Default mock settings, all overridable via the "mock" connect option.
+var defaults = {
+  latency: 1, // Milliseconds before each response is sent.
+  writeDelay: 0, // Milliseconds before each write completes.
+  dropAcks: 0, // Drop every Nth response, 0 for never.
+  errorEvery: 0, // Reply with an error to every Nth command, 0 for never.
+  disconnectAfter: 0, // Disconnect after N commands, 0 for never.
+  failOpen: '' // Error message to fail opening the port with.
+};
+
+var version = 'EBBv13_and_above EB Firmware Version 2.5.1';
+
+// Commands that only ever respond with an ACK.
+var ackOnly = [
+  'CS', 'EM', 'HM', 'LM', 'PC', 'PD', 'PO', 'R', 'RB', 'SC', 'SE', 'SL', 'SN',
+  'SP', 'SR', 'ST', 'T', 'TP'
+];
+
+/**
+ * Mock serial port constructor, with the same signature as SerialPort.
+ *
+ * @param {string} path
+ *   Port path, only kept for reference.
+ * @param {object} options
+ *   SerialPort options, with mock settings in "mock", see defaults above.
+ * @param {function} callback
+ *   Called when the port is opened, with an error if opening failed.
+ */
+function SerialMock(path, options, callback) {
+  Duplex.call(this, {decodeStrings: false});
+
+  var mock = options.mock || {};
+  var settings = this.settings = {};
+  Object.keys(defaults).forEach(function(key) {
+    var value = typeof mock[key] !== 'undefined' ? mock[key] : defaults[key];
+    settings[key] = key === 'failOpen' ? String(value) : Number(value);
+  });
+
+  this.path = path;
+  this.isOpen = false;
+  this.commands = 0; // Number of commands received.
+  this.responses = 0; // Number of responses due, including dropped ones.
+  this.steps = {a: 0, b: 0}; // Global motor step positions.
+  this.pen = 1; // Pen state, 1 for up, 0 for down.
+  this.partial = ''; // Incoming data waiting for a delimiter.
+
+  var self = this;
+  setTimeout(function() {
+    if (settings.failOpen) {
+      if (callback) callback(new Error(settings.failOpen));
+      return;
+    }
+
+    self.isOpen = true;
+    if (callback) callback(null);
+    self.emit('open');
+  }, settings.latency);
+}
+util.inherits(SerialMock, Duplex);
+
+// Responses are pushed as they're due, nothing to do on read.
+SerialMock.prototype._read = function() {};
+
+/**
+ * Stream write implementation, split incoming data into "\r" delimited
+ * commands, and respond to each.
+ */
+SerialMock.prototype._write = function(chunk, encoding, done) {
+  /*jshint unused:vars */
+  var self = this;
+  if (!this.isOpen) {
+    done(new Error('Port is not open'));
+    return;
+  }
+
+  var lines = (this.partial + chunk.toString()).split('\r');
+  this.partial = lines.pop();
+  lines.forEach(function(line) {
+    if (self.isOpen) self.command(line.trim());
+  });
+
+  setTimeout(done, this.settings.writeDelay);
+};
+
+/**
+ * Wait for all data to be written, as SerialPort.drain.
+ */
+SerialMock.prototype.drain = function(callback) {
+  if (callback) setImmediate(callback);
+};
+
+/**
+ * Discard unsent/unread data, as SerialPort.flush.
+ */
+SerialMock.prototype.flush = function(callback) {
+  this.partial = '';
+  if (callback) setImmediate(callback);
+};
+
+/**
+ * Close the port, as SerialPort.close.
+ */
+SerialMock.prototype.close = function(callback) {
+  this.isOpen = false;
+  this.emit('close');
+  if (callback) setImmediate(callback);
+};
+
+/**
+ * Simulate the board being unplugged, closing the port with an error.
+ */
+SerialMock.prototype.disconnect = function() {
+  var err = new Error('Port disconnected');
+  err.disconnected = true;
+  this.isOpen = false;
+  this.emit('close', err);
+};
+
+/**
+ * Handle a single command, queueing up the response the board would send.
+ *
+ * @param {string} line
+ *   Full command string, sans delimiter.
+ */
+SerialMock.prototype.command = function(line) {
+  var settings = this.settings;
+  this.commands++;
+
+  var failed = settings.errorEvery && this.commands % settings.errorEvery === 0;
+  var response = failed ?
+    '!8 Err: Mock error for command "' + line + '"\n\r' :
+    this.respond(line.split(','));
+  this.reply(response);
+
+  if (this.commands === settings.disconnectAfter) {
+    setTimeout(this.disconnect.bind(this), settings.latency);
+  }
+};
+
+/**
+ * Get the response the board would send for a command.
+ *
+ * @param {array} args
+ *   Command name followed by its parameters.
+ *
+ * @returns {string}
+ *   Response data, including line endings.
+ */
+SerialMock.prototype.respond = function(args) {
+  var name = args[0].toUpperCase();
+  var params = args.slice(1).map(Number);
+
+  switch (name) {
+    case 'V':
+      return version + '\r\n';
+    case 'QB':
+      return '0\r\nOK\r\n';
+    case 'QP':
+      return this.pen + '\r\nOK\r\n';
+    case 'QS':
+      return this.steps.a + ',' + this.steps.b + '\n\rOK\r\n';
+    case 'QM':
+      return 'QM,0,0,0,0\n\r';
+    case 'SM':
+    case 'XM':
+      if (params.length < 3 || params.some(isNaN) || params[0] < 1) {
+        return '!0 Err: Invalid parameters for ' + name + '\n\r';
+      }
+
+      // Mixed axis moves are given in X/Y, converted to motor steps.
+      if (name === 'XM') {
+        this.steps.a += params[1] + params[2];
+        this.steps.b += params[1] - params[2];
+      } else {
+        this.steps.a += params[1];
+        this.steps.b += params[2];
+      }
+      return 'OK\r\n';
+  }
+
+  if (ackOnly.indexOf(name) === -1) {
+    return '!8 Err: Unknown command \'' + name + ':\'\n\r';
+  }
+
+  if (name === 'SP') this.pen = params[0] ? 1 : 0;
+  if (name === 'TP') this.pen = this.pen ? 0 : 1;
+  if (name === 'CS' || name === 'R') this.steps = {a: 0, b: 0};
+  return 'OK\r\n';
+};
+
+/**
+ * Send a response after the configured latency, unless it's due to be
+ * dropped.
+ *
+ * @param {string} response
+ *   Response data to send.
+ */
+SerialMock.prototype.reply = function(response) {
+  var self = this;
+  this.responses++;
+  var dropAcks = this.settings.dropAcks;
+  if (dropAcks && this.responses % dropAcks === 0) return;
+
+  setTimeout(function() {
+    if (self.isOpen) self.push(response);
+  }, this.settings.latency);
+};
+
+module.exports = SerialMock;
@@ -17,7 +17,6 @@ exports.initAPI = function (cncserverArg) {
     y: cncserver.bot.workArea.absCenter.y,
     limit: 'workArea',
     sleeping: false,
-    reinkDistance: 0,
     media: 'water0',
     degrees: 0,
     distanceCounter: 0,
@@ -102,7 +101,6 @@ exports.initAPI = function (cncserverArg) {
       limit: 'workArea', // Limits movements to bot work area
       sleeping: false,
       media: 'water0',
-      reinkDistance: 0,
       degrees: 0,
       distanceCounter: 0
     };
@@ -110,6 +108,7 @@ exports.initAPI = function (cncserverArg) {
     // Clear Run Buffer
     // @see /v1/buffer/ DELETE
     cncserver.buffer.clear();
+    cncserver.reink.set({distance: 0});
 
     pollData._busy = []; // Clear busy indicators
     return {code: 200, body: ''};
@@ -131,20 +130,29 @@ exports.initAPI = function (cncserverArg) {
   cncserver.createServerEndpoint("/move.nudge.x./:arg2", moveRequest);
   cncserver.createServerEndpoint("/move.nudge.y./:arg2", moveRequest);
 
-  // Reink initialization endpoint
+  // Reink initialization endpoint, reinking is handled by the core.
+  // @see /v1/tools/reink PUT
   cncserver.createServerEndpoint("/penreink/:distance", function(req) {
     // 167.7 = 1.6mm per step * 100 mm per cm (as input)
     var cm = parseFloat(req.params.distance);
-    turtle.reinkDistance = Math.round(cm * 167.7);
-    console.log('Reink distance: ', turtle.reinkDistance);
+    var hasWater = !!cncserver.botConf.get('tools:water0dip');
+    try {
+      var reink = cncserver.reink.set({
+        distance: Math.round(cm * 167.7),
+        wash: hasWater ? 'water0dip' : ''
+      });
+      console.log('Reink distance: ', reink.distance);
+    } catch (e) {
+      return [400, e.message];
+    }
     return {code: 200, body: ''};
   });
 
 
   // Stop Reinking endpoint
   cncserver.createServerEndpoint("/penstopreink", function() {
-    turtle.reinkDistance = 0;
-    console.log('Reink distance: ', turtle.reinkDistance);
+    cncserver.reink.set({distance: 0});
+    console.log('Reink distance: ', 0);
     return {code: 200, body: ''};
   });
 
@@ -320,19 +328,6 @@ function moveRequest(req){
     );
   }
 
-  // If reink initialized, check distance and initiate reink!
-  if (turtle.reinkDistance > 0 &&
-      turtle.distanceCounter > turtle.reinkDistance ) {
-
-    turtle.distanceCounter = 0;
-
-    // Reink procedure!
-    cncserver.control.setTool('water0dip');  // Dip in the water
-    cncserver.control.setTool(turtle.media); // Apply the last saved media
-    cncserver.control.movePenAbs(turtle);    // Move back to "current" position
-    cncserver.control.setHeight('draw');     // Set the position back to draw
-  }
-
   return {code: 200, body: ''};
 }
 
@@ -38,6 +38,11 @@ module.exports = function(cncserver) {
           if (i === "botOverride") {
             break;
           }
+
+          // Never give out API tokens.
+          if (i === "apiTokens") {
+            continue;
+          }
           out[i] = g[i];
         }
       } else {
@@ -50,8 +55,11 @@ module.exports = function(cncserver) {
     if (req.route.method === 'get') {
       return {code: 200, body: getSettings()};
     } else if (req.route.method === 'put') {
-      for (var i in req.body) {
-        conf.set(i, req.body[i]);
+      var persist = req.query.persist === 'true' || req.query.persist === '1';
+      try {
+        cncserver.settings.update(setType, req.body, persist);
+      } catch (e) {
+        return {code: 400, body: {status: e.message, errors: e.errors}};
       }
       return {code: 200, body: getSettings()};
     } else {
@@ -59,8 +67,69 @@ module.exports = function(cncserver) {
     }
   });
 
+  cncserver.createServerEndpoint("/v1/settings/bot/type", function(req, res){
+    var bots = cncserver.settings.getSupportedBots();
+
+    function getType() {
+      var types = {};
+      for (var type in bots) {
+        types[type] = bots[type].name;
+      }
+
+      return {
+        type: cncserver.gConf.get('botType'),
+        name: cncserver.botConf.get('name'),
+        pending: cncserver.settings.getPendingBotType(),
+        types: types
+      };
+    }
+
+    if (req.route.method === 'get') {
+      return {code: 200, body: getType()};
+    } else if (req.route.method === 'put') {
+      if (!bots.hasOwnProperty(req.body.type)) {
+        return [404, 'Bot type "' + req.body.type + '" not found'];
+      }
+
+      var options = {
+        drain: req.body.drain === true || req.body.drain === 'true'
+      };
+
+      // Only wait to respond if there's nothing to drain but parking the pen.
+      var wait = !(options.drain && cncserver.buffer.data.length);
+
+      try {
+        cncserver.settings.changeBotType(req.body.type, options, function(e) {
+          if (!wait) return;
+
+          var code = e ? 409 : 200;
+          var body = JSON.stringify(e ? {status: e.message} : getType());
+          res.status(code).send(body);
+          if (cncserver.gConf.get('debug')) {
+            console.log(">RESP", req.route.path, code, body);
+          }
+        });
+      } catch (err) {
+        return [409, err.message];
+      }
+
+      if (!wait) {
+        return [202, 'Bot type will change once the buffer is empty'];
+      }
+      return true; // Tell endpoint wrapper we'll handle the response
+    } else {
+      return false;
+    }
+  });
+
   // Return/Set PEN state  API =================================================
   cncserver.createServerEndpoint("/v1/pen", function(req, res){
+    // Validate position units for input and output.
+    var units = req.route.method === 'get' ? req.query.units : req.body.units;
+    if (units && !cncserver.utils.unitsSupported(units)) {
+      return [406, 'Units "' + units + '" not supported for this bot'];
+    }
+
     if (req.route.method === 'put') {
       // SET/UPDATE pen status
       cncserver.control.setPen(req.body, function(stat){
@@ -74,7 +143,7 @@ module.exports = function(cncserver) {
           if (req.body.ignoreTimeout){
             code = 202;
           }
-          body = cncserver.pen;
+          body = cncserver.utils.penInUnits(cncserver.pen, units);
         }
 
         body = JSON.stringify(body);
@@ -115,12 +184,277 @@ module.exports = function(cncserver) {
 
       return true; // Tell endpoint wrapper we'll handle the response
     } else if (req.route.method === 'get'){
-      if (req.query.actual) {
-        return {code: 200, body: cncserver.actualPen};
+      var pen = req.query.actual ? cncserver.actualPen : cncserver.pen;
+      return {code: 200, body: cncserver.utils.penInUnits(pen, units)};
+    } else  {
+      return false;
+    }
+  });
+
+  // Draw SVG Paths API =======================================================
+  cncserver.createServerEndpoint("/v1/paths", function(req){
+    if (req.route.method === 'post') {
+      if (typeof req.body.paths === 'undefined') {
+        return [400, '/v1/paths POST requires "paths" data'];
+      }
+
+      var stats;
+      try {
+        stats = cncserver.paths.draw(req.body);
+      } catch(e) {
+        return [400, e.message];
+      }
+
+      stats.status = 'Paths added to buffer';
+      return {code: 200, body: stats};
+    } else {
+      return false;
+    }
+  });
+
+  // G-code import/streaming API ==============================================
+  cncserver.createServerEndpoint("/v1/gcode", function(req){
+    if (req.route.method === 'get') {
+      return {code: 200, body: cncserver.gcode.state};
+    } else if (req.route.method === 'post') {
+      if (typeof req.body.gcode === 'undefined') {
+        return [400, '/v1/gcode POST requires "gcode" data'];
+      }
+
+      // Normalize stream input.
+      if (typeof req.body.stream === "string") {
+        req.body.stream = req.body.stream === "true";
+      }
+
+      var result = cncserver.gcode.import(req.body);
+      if (result.errors.length) {
+        result.status = 'G-code not accepted, nothing added to buffer';
+        return {code: 400, body: result};
+      }
+
+      result.status = 'G-code added to buffer';
+      return {code: 200, body: result};
+    } else if (req.route.method === 'delete') {
+      cncserver.gcode.state = cncserver.gcode.newState();
+      return [200, 'G-code stream state reset'];
+    } else {
+      return false;
+    }
+  });
+
+  // Drawing estimate API ====================================================
+  cncserver.createServerEndpoint("/v1/estimate", function(req){
+    if (req.route.method === 'post') {
+      try {
+        return {code: 200, body: cncserver.estimator.estimate(req.body)};
+      } catch(e) {
+        return {code: 400, body: {status: e.message, errors: e.errors}};
+      }
+    } else {
+      return false;
+    }
+  });
+
+  // Job queue API ===========================================================
+  cncserver.createServerEndpoint("/v1/jobs", function(req){
+    if (req.route.method === 'get') {
+      var blocking = cncserver.jobs.blocking();
+      return {code: 200, body: {
+        jobs: cncserver.jobs.list(req.query.status).map(cncserver.jobs.info),
+        blockedBy: blocking ? blocking.id : null
+      }};
+    } else if (req.route.method === 'post') {
+      var job;
+      try {
+        job = cncserver.jobs.submit(req.body);
+      } catch(e) {
+        return {code: 400, body: {status: e.message, errors: e.errors}};
+      }
+
+      return {code: 201, body: cncserver.jobs.info(job)};
+    } else {
+      return false;
+    }
+  });
+
+  cncserver.createServerEndpoint("/v1/jobs/:id", function(req){
+    var job = cncserver.jobs.get(req.params.id);
+    if (!job) return [404, "Job: '" + req.params.id + "' not found"];
+
+    try {
+      if (req.route.method === 'get') {
+        return {code: 200, body: cncserver.jobs.info(job)};
+      } else if (req.route.method === 'put') {
+        if (typeof req.body.position === 'undefined') {
+          return [400, '/v1/jobs PUT requires a queue "position"'];
+        }
+
+        cncserver.jobs.move(job.id, req.body.position);
+        return {code: 200, body: cncserver.jobs.info(job)};
+      } else if (req.route.method === 'delete') {
+        cncserver.jobs.cancel(job.id);
+        return [200, "Job: '" + job.id + "' cancelled"];
       } else {
-        return {code: 200, body: cncserver.pen};
+        return false;
       }
-    } else  {
+    } catch(e) {
+      return [409, e.message];
+    }
+  });
+
+  cncserver.createServerEndpoint("/v1/jobs/:id/resume", function(req){
+    if (!cncserver.jobs.get(req.params.id)) {
+      return [404, "Job: '" + req.params.id + "' not found"];
+    }
+
+    if (req.route.method === 'post') {
+      try {
+        var job = cncserver.jobs.resume(req.params.id);
+        return {code: 200, body: cncserver.jobs.info(job)};
+      } catch(e) {
+        return [409, e.message];
+      }
+    } else {
+      return false;
+    }
+  });
+
+  // Control lock API =========================================================
+  cncserver.createServerEndpoint("/v1/lock", function(req){
+    var key = cncserver.lock.getRequestKey(req) || req.body.key;
+
+    if (req.route.method === 'get') {
+      return {code: 200, body: cncserver.lock.getStatus()};
+    } else if (req.route.method === 'post') {
+      try {
+        return {code: 200, body: cncserver.lock.acquire({
+          name: req.body.name,
+          duration: req.body.duration,
+          key: key
+        })};
+      } catch (e) {
+        if (e.errors) {
+          return {code: 400, body: {status: e.message, errors: e.errors}};
+        }
+        return [423, e.message];
+      }
+    } else if (req.route.method === 'delete') {
+      try {
+        cncserver.lock.release(key);
+        return {code: 200, body: cncserver.lock.getStatus()};
+      } catch (err) {
+        return [423, err.message];
+      }
+    } else {
+      return false;
+    }
+  });
+
+  // Multiple machine API =====================================================
+  cncserver.createServerEndpoint("/v1/machines", function(req){
+    if (req.route.method === 'get') {
+      return {code: 200, body: cncserver.machines.list()};
+    } else {
+      return false;
+    }
+  });
+
+  // Machine profiles, before the machine endpoints so "types" isn't an ID.
+  cncserver.createServerEndpoint("/v1/machines/types", function(req){
+    if (req.route.method === 'get') {
+      return {code: 200, body: cncserver.profiles.list()};
+    } else if (req.route.method === 'post') {
+      var type = req.body.type;
+      var from = req.body.from;
+
+      try {
+        if (cncserver.profiles.get(type)) {
+          return [409, 'Profile "' + type + '" already exists'];
+        }
+        if (from && !cncserver.profiles.get(from)) {
+          return [404, 'Profile "' + from + '" not found'];
+        }
+
+        var data = from ?
+          cncserver.profiles.clone(from, type, req.body.data) :
+          cncserver.profiles.create(type, req.body.data || {});
+        return {code: 201, body: {type: type, data: data}};
+      } catch (e) {
+        return {code: 400, body: {status: e.message, errors: e.errors}};
+      }
+    } else {
+      return false;
+    }
+  });
+
+  cncserver.createServerEndpoint("/v1/machines/types/:type", function(req){
+    var type = req.params.type;
+    if (!cncserver.profiles.get(type)) {
+      return [404, 'Profile "' + type + '" not found'];
+    }
+
+    if (req.route.method === 'get') {
+      return {code: 200, body: {
+        type: type,
+        data: cncserver.profiles.get(type)
+      }};
+    } else if (req.route.method === 'put') {
+      try {
+        var data = cncserver.profiles.update(type, req.body);
+        return {code: 200, body: {type: type, data: data}};
+      } catch (e) {
+        return {code: 400, body: {status: e.message, errors: e.errors}};
+      }
+    } else {
+      return false;
+    }
+  });
+
+  cncserver.createServerEndpoint("/v1/machines/:id", function(req){
+    var machine = cncserver.machines.info(req.params.id);
+    if (!machine) {
+      return [404, 'Machine "' + req.params.id + '" not found'];
+    }
+
+    if (req.route.method === 'get') {
+      return {code: 200, body: machine};
+    } else {
+      return false;
+    }
+  });
+
+  cncserver.createServerEndpoint("/v1/machines/:id/*", function(req, res){
+    var machine = cncserver.machines.info(req.params.id);
+    if (!machine) {
+      return [404, 'Machine "' + req.params.id + '" not found'];
+    }
+
+    cncserver.machines.proxy(machine, req.params[0], req, res);
+    return true; // Tell endpoint wrapper we'll handle the response
+  });
+
+  // Simulator recording API =================================================
+  cncserver.createServerEndpoint("/v1/simulation", function(req){
+    if (req.route.method === 'get') {
+      var stats = cncserver.simulator.getStats();
+      stats.simulation = cncserver.pen.simulation;
+      return {code: 200, body: stats};
+    } else if (req.route.method === 'delete') {
+      // Start over from wherever the bot actually is now.
+      cncserver.simulator.reset(cncserver.actualPen);
+      return [200, 'Simulation recording reset'];
+    } else {
+      return false;
+    }
+  });
+
+  cncserver.createServerEndpoint("/v1/simulation/render", function(req, res){
+    if (req.route.method === 'get') {
+      var travel = req.query.travel === 'true' || req.query.travel === '1';
+      res.set('Content-Type', 'image/svg+xml; charset=UTF-8');
+      res.status(200).send(cncserver.simulator.renderSVG({travel: travel}));
+      return true; // Tell endpoint wrapper we'll handle the response
+    } else {
       return false;
     }
   });
@@ -175,7 +509,15 @@ module.exports = function(cncserver) {
   // Command buffer API ========================================================
   cncserver.createServerEndpoint("/v1/buffer", function(req, res){
     var buffer = cncserver.buffer;
-    if (req.route.method === 'get' || req.route.method === 'put') {
+    if (req.route.method === 'get') {
+      // Only reads, pausing and resuming need PUT, and so need control.
+      return {code: 200, body: {
+        running: buffer.running,
+        paused: buffer.paused,
+        pauseReason: buffer.pauseReason,
+        count: buffer.data.length
+      }};
+    } else if (req.route.method === 'put') {
       // Pause/resume (normalize input)
       if (typeof req.body.paused === "string") {
         req.body.paused = req.body.paused === "true" ? true : false;
@@ -262,6 +604,7 @@ module.exports = function(cncserver) {
         return {code: 200, body: {
           running: buffer.running,
           paused: buffer.paused,
+          pauseReason: buffer.pauseReason,
           count: buffer.data.length
         }};
       } else { // Buffer isn't empty and we're newly paused
@@ -303,6 +646,133 @@ module.exports = function(cncserver) {
     }
   });
 
+  // Buffer pause rules API ====================================================
+  cncserver.createServerEndpoint("/v1/buffer/rules", function(req){
+    if (req.route.method === 'get') {
+      return {code: 200, body: {
+        rules: cncserver.rules.list.map(cncserver.rules.info)
+      }};
+    } else if (req.route.method === 'post') {
+      try {
+        return {code: 201, body: cncserver.rules.add(req.body)};
+      } catch (e) {
+        return [400, e.message];
+      }
+    } else if (req.route.method === 'delete') {
+      cncserver.rules.clear();
+      return [200, 'Pause rules cleared'];
+    } else {
+      return false;
+    }
+  });
+
+  cncserver.createServerEndpoint("/v1/buffer/rules/:id", function(req){
+    var id = Number(req.params.id);
+    var rule = cncserver.rules.list.filter(function(rule) {
+      return rule.id === id;
+    })[0];
+
+    if (!rule) {
+      return [404, 'Pause rule "' + req.params.id + '" not found'];
+    }
+
+    if (req.route.method === 'get') {
+      return {code: 200, body: cncserver.rules.info(rule)};
+    } else if (req.route.method === 'delete') {
+      cncserver.rules.remove(id);
+      return [200, 'Pause rule removed'];
+    } else {
+      return false;
+    }
+  });
+
+  // Executed Command History API ==============================================
+  cncserver.createServerEndpoint("/v1/history", function(req){
+    if (req.route.method === 'get') {
+      try {
+        return {code: 200, body: cncserver.history.query(req.query)};
+      } catch (e) {
+        return [400, e.message];
+      }
+    } else if (req.route.method === 'delete') {
+      cncserver.history.clear();
+      return [200, 'History cleared'];
+    } else {
+      return false;
+    }
+  });
+
+  cncserver.createServerEndpoint("/v1/history/:id", function(req){
+    var entry = cncserver.history.get(req.params.id);
+    if (!entry) {
+      return [404, 'History entry "' + req.params.id + '" not found'];
+    }
+
+    if (req.route.method === 'get') {
+      return {code: 200, body: entry};
+    } else {
+      return false;
+    }
+  });
+
+  // Runner Process Supervision API ============================================
+  cncserver.createServerEndpoint("/v1/runner", function(req){
+    if (req.route.method === 'get') {
+      return {code: 200, body: cncserver.supervisor.getStatus()};
+    } else {
+      return false;
+    }
+  });
+
+  // Serial Connection API =====================================================
+  cncserver.createServerEndpoint("/v1/serial", function(req, res){
+    if (req.route.method === 'get') {
+      return {code: 200, body: cncserver.serial.getStatus()};
+    } else if (req.route.method === 'put') {
+      var simulation = req.body.simulation;
+      if (simulation === true || simulation === 'true' || simulation === 1 ||
+          simulation === '1') {
+        cncserver.serial.close();
+        return {code: 200, body: cncserver.serial.getStatus()};
+      }
+
+      cncserver.serial.open(req.body.port, function(err) {
+        var code = err ? 500 : 200;
+        var body = cncserver.serial.getStatus();
+        if (err) body.status = err.message;
+
+        res.status(code).send(JSON.stringify(body));
+        if (cncserver.gConf.get('debug')) {
+          console.log(">RESP", req.route.path, code, JSON.stringify(body));
+        }
+      });
+      return true; // Tell endpoint wrapper we'll handle the response
+    } else if (req.route.method === 'delete') {
+      cncserver.serial.close();
+      return {code: 200, body: cncserver.serial.getStatus()};
+    } else {
+      return false;
+    }
+  });
+
+  cncserver.createServerEndpoint("/v1/serial/ports", function(req, res){
+    if (req.route.method === 'get') {
+      cncserver.serial.listPorts(function(ports, err) {
+        var code = err ? 500 : 200;
+        var body = {ports: ports};
+        if (err) body.status = 'Failed to list serial ports: ' + err.message;
+
+        res.status(code).send(JSON.stringify(body));
+        if (cncserver.gConf.get('debug')) {
+          console.log(">RESP", req.route.path, code, JSON.stringify(body));
+        }
+      });
+      return true; // Tell endpoint wrapper we'll handle the response
+    } else {
+      return false;
+    }
+  });
+
   // Get/Change Tool API =======================================================
   cncserver.createServerEndpoint("/v1/tools", function(req){
     if (req.route.method === 'get') { // Get list of tools
@@ -314,6 +784,23 @@ module.exports = function(cncserver) {
     }
   });
 
+  // Automatic reinking, before tools so "reink" isn't taken as a tool name.
+  cncserver.createServerEndpoint("/v1/tools/reink", function(req){
+    if (req.route.method === 'get') {
+      return {code: 200, body: cncserver.reink.getStatus()};
+    } else if (req.route.method === 'put') {
+      try {
+        return {code: 200, body: cncserver.reink.set(req.body)};
+      } catch (e) {
+        return [400, e.message];
+      }
+    } else if (req.route.method === 'delete') {
+      return {code: 200, body: cncserver.reink.set({distance: 0})};
+    } else {
+      return false;
+    }
+  });
+
   cncserver.createServerEndpoint("/v1/tools/:tool", function(req, res){
     var toolName = req.params.tool;
     // TODO: Support other tool methods... (needs API design!)
@@ -337,4 +824,13 @@ module.exports = function(cncserver) {
       return false;
     }
   });
+
+  // Monitoring metrics, in Prometheus text format ============================
+  cncserver.createServerEndpoint("/metrics", function(req){
+    if (req.route.method === 'get') {
+      return {code: 200, body: cncserver.metrics.render()};
+    } else {
+      return false;
+    }
+  });
 };
@@ -0,0 +1,128 @@
+"use strict";
+
+/**
+ * @file Abstraction module for API token authentication for CNC Server! Once
+ * any tokens are configured in the global "apiTokens" config, every request
+ * needs a token with a scope allowing it: "read" for looking, or "control" for
+ * anything that could move the bot.
+ */
+
+module.exports = function(cncserver) {
+  cncserver.auth = {
+    scopes: ['read', 'control'], // Scopes in order, each includes the last.
+    // Non-API paths that only read.
+    readOnly: ['/poll', '/crossdomain.xml', '/metrics']
+  };
+
+  /**
+   * Get all configured API tokens.
+   *
+   * @returns {object}
+   *   Scope names keyed by token.
+   */
+  cncserver.auth.getTokens = function() {
+    var conf = cncserver.gConf.get('apiTokens') || {};
+    var tokens = {};
+
+    for (var token in conf) {
+      // Skip the example info text included in the default config.
+      if (token !== 'info' && conf.hasOwnProperty(token)) {
+        tokens[token] = String(conf[token]);
+      }
+    }
+    return tokens;
+  };
+
+  /**
+   * Is authentication enabled? Only when any tokens are configured.
+   *
+   * @returns {boolean}
+   */
+  cncserver.auth.enabled = function() {
+    return Object.keys(cncserver.auth.getTokens()).length > 0;
+  };
+
+  /**
+   * Get the token passed with an HTTP request, either as an "Authorization:
+   * Bearer" header, or a "token" query string for clients that can't set
+   * headers.
+   *
+   * @param {object} req
+   *   Express request object.
+   *
+   * @returns {string}
+   *   The passed token, or empty string if none.
+   */
+  cncserver.auth.getRequestToken = function(req) {
+    var header = req.get('Authorization') || '';
+    var match = /^Bearer\s+(.+)$/i.exec(header.trim());
+    if (match) return match[1];
+
+    return req.query.token ? String(req.query.token) : '';
+  };
+
+  /**
+   * Get the scope needed for an HTTP request. API resources only need "read"
+   * for GET, while Scratch endpoints change state even via GET, so they all
+   * need "control" apart from the few that only read.
+   *
+   * @param {object} req
+   *   Express request object.
+   *
+   * @returns {string}
+   *   Needed scope name.
+   */
+  cncserver.auth.getRequestScope = function(req) {
+    if (req.path.indexOf('/v1/') !== 0 && req.path !== '/v1') {
+      var readOnly = cncserver.auth.readOnly.indexOf(req.path) !== -1;
+      return readOnly ? 'read' : 'control';
+    }
+
+    return req.route.method === 'get' ? 'read' : 'control';
+  };
+
+  /**
+   * Check if a token allows a given scope.
+   *
+   * @param {string} token
+   *   API token to check.
+   * @param {string} scope
+   *   Needed scope, "read" or "control".
+   *
+   * @returns {array}
+   *   Null if allowed (or authentication is disabled), otherwise an array of
+   *   the HTTP status code and message for the failure.
+   */
+  cncserver.auth.check = function(token, scope) {
+    if (!cncserver.auth.enabled()) return null;
+
+    var tokens = cncserver.auth.getTokens();
+    if (!token || !tokens.hasOwnProperty(token)) {
+      return [401, 'Valid API token required'];
+    }
+
+    var scopes = cncserver.auth.scopes;
+    if (scopes.indexOf(tokens[token]) < scopes.indexOf(scope)) {
+      return [403, 'API token scope "' + tokens[token] + '" does not allow ' +
+        scope];
+    }
+
+    return null;
+  };
+
+  /**
+   * Check if an HTTP request is allowed.
+   *
+   * @param {object} req
+   *   Express request object.
+   *
+   * @returns {array}
+   *   Null if allowed, otherwise array of HTTP status code and message.
+   */
+  cncserver.auth.checkRequest = function(req) {
+    return cncserver.auth.check(
+      cncserver.auth.getRequestToken(req),
+      cncserver.auth.getRequestScope(req)
+    );
+  };
+};
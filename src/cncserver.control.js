@@ -53,17 +53,21 @@ module.exports = function(cncserver) {
     // Setting the value of simulation
     if (typeof inPen.simulation !== "undefined") {
 
+      var simulation = Number(inPen.simulation) ? 1 : 0;
+
       // No change
-      if (inPen.simulation === cncserver.pen.simulation) {
+      if (simulation === cncserver.pen.simulation) {
         callback(true);
         return;
       }
 
-      if (inPen.simulation === '0') { // Attempt to connect to serial
-        cncserver.serial.connect({complete: callback});
-      } else {  // Turn off serial!
-        // TODO: Actually nullify connection.. no use case worth it yet
-        cncserver.serial.localTrigger('simulationStart');
+      if (simulation) { // Turn off serial!
+        cncserver.serial.close();
+        callback(true);
+      } else { // Attempt to connect to serial
+        cncserver.serial.open(null, function(err) {
+          callback(!err);
+        });
       }
 
       return;
@@ -86,6 +90,7 @@ module.exports = function(cncserver) {
     // Absolute positions are set
     if (inPen.x !== undefined){
       // Input values are given as percentages of working area (not max area)
+      // unless other units are specified.
 
       // Don't accept bad input
       var penNaN = isNaN(inPen.x) || isNaN(inPen.y);
@@ -95,8 +100,14 @@ module.exports = function(cncserver) {
         return;
       }
 
-      // Convert the percentage values into real absolute and appropriate values
-      var absInput = cncserver.utils.centToSteps(inPen);
+      // Don't accept units we can't convert
+      if (inPen.units && !cncserver.utils.unitsSupported(inPen.units)) {
+        callback(false);
+        return;
+      }
+
+      // Convert the input values into real absolute and appropriate values
+      var absInput = cncserver.utils.unitsToSteps(inPen, inPen.units);
       absInput.limit = 'workArea';
 
       // Are we parking?
@@ -224,50 +235,27 @@ module.exports = function(cncserver) {
       return false;
     }
 
-    // Set the height based on what kind of tool it is
-    // TODO: fold this into bot specific tool change logic
-    var downHeight = toolName.indexOf('water') !== -1 ? 'wash' : 'draw';
+    // Bad sequences are as good as no tool, check before moving at all.
+    var errors = cncserver.tools.validate(
+      cncserver.tools.getSequence(toolName, tool)
+    );
+    if (errors.length) {
+      console.error('Tool "' + toolName + '" sequence is not valid:', errors);
+      if (callback) {
+        cncserver.run('callback', callback);
+      }
+      return false;
+    }
 
     // Pen Up
     cncserver.control.setHeight('up');
 
     // Move to the tool
     cncserver.control.movePenAbs(tool);
+    cncserver.pen.tool = toolName;
 
-    // A "wait" tool requires user feedback before it can continue.
-    if (typeof tool.wait !== "undefined") {
-      // Queue a callback to pause continued execution on tool.wait value
-      if (tool.wait) {
-        var moveDuration = cncserver.pen.lastDuration;
-        cncserver.run('callback', function() {
-          cncserver.buffer.pause();
-          cncserver.buffer.newlyPaused = true;
-
-          // Trigger the manualswap with virtual index for the client/user.
-          cncserver.buffer.pauseCallback = function() {
-            cncserver.buffer.pauseCallback = null;
-            cncserver.buffer.newlyPaused = false;
-            setTimeout(function() {
-              cncserver.io.manualSwapTrigger(vIndex);
-            }, moveDuration);
-          };
-        });
-      }
-    } else { // "Standard" WaterColorBot toolchange
-
-      // Pen down
-      cncserver.control.setHeight(downHeight);
-
-      // Wiggle the brush a bit
-      cncserver.control.wigglePen(
-        tool.wiggleAxis,
-        tool.wiggleTravel,
-        tool.wiggleIterations
-      );
-
-      // Put the pen back up when done!
-      cncserver.control.setHeight('up');
-    }
+    // Run the tool change sequence from there.
+    cncserver.tools.run(toolName, tool, vIndex);
 
     // If there's a callback to run...
     if (callback){
@@ -380,6 +368,14 @@ module.exports = function(cncserver) {
       return 0;
     }
 
+    // Split moves passing the reink distance, to reink right where it's due.
+    var split = cncserver.reink.getSplit(point);
+    if (split) {
+      var splitDistance = cncserver.control.movePenAbs(split);
+      return splitDistance +
+        cncserver.control.movePenAbs(point, callback, immediate, skip);
+    }
+
     /*
      Duration/distance is only calculated as relative from last assumed point,
      which may not actually ever happen, though it is likely to happen.
@@ -417,6 +413,10 @@ module.exports = function(cncserver) {
         },
         duration
       );
+      duration = cncserver.pen.lastDuration; // As planned.
+
+      // Get more ink if we've drawn far enough.
+      cncserver.reink.check();
     }
 
     // Required start offCanvas change -after- movement has been queued
@@ -466,10 +466,7 @@ module.exports = function(cncserver) {
           // current known state so we can come back to it when we return to
           // bounds),but DO change the buffer tip height so that is reflected on
           // actualPen if it's every copied over on buffer execution.
-          cncserver.run('callback', function() {
-            cncserver.control.setHeight('up', false, true);
-            cncserver.pen.height = cncserver.utils.stateToHeight('up').height;
-          });
+          cncserver.run('lift');
         }
       } else { // Pen is now back in bounds
         // Set the state regardless of actual change
@@ -590,10 +587,10 @@ module.exports = function(cncserver) {
 
   /**
    * Util function to buffer the "wiggle" movement for WaterColorBot Tool
-   * changes. TODO: Replace this with a real API for tool changes.
+   * changes, used by "wiggle" tool change sequence steps.
    *
    * @param {string} axis
-   *   Which axis to move along. Either 'xy' or 'y'
+   *   Which axis to move along. Either 'xy', 'x' or 'y'
    * @param {integer} travel
    *   How much to move during the wiggle.
    * @param {integer} iterations
@@ -0,0 +1,228 @@
+"use strict";
+
+/**
+ * @file Abstraction module for dry-run drawing time and distance estimates for
+ * CNC Server! Drawings are captured into buffer items without being run, then
+ * measured with the same duration math the live buffer uses.
+ */
+
+module.exports = function(cncserver) {
+  cncserver.estimator = {};
+
+  /**
+   * Estimate how long a drawing will take, and how far the pen will travel,
+   * without moving the bot.
+   *
+   * @param {object} options
+   *   Drawing data as accepted by cncserver.jobs.draw, or "commands": an array
+   *   of single key objects run in order, each one of:
+   *     pen {object}: x/y position (with optional "units"), or a height state.
+   *     tool {string}: Name of the tool to change to.
+   *     wait {number}: Milliseconds to wait.
+   *
+   * @returns {object}
+   *   Estimate totals, see cncserver.estimator.items.
+   *
+   * @throws {Error}
+   *   If the drawing data or commands aren't valid.
+   */
+  cncserver.estimator.estimate = function(options) {
+    var items = cncserver.buffer.capture(function(captured) {
+      if (typeof options.commands === 'undefined') {
+        cncserver.jobs.draw(options);
+        return;
+      }
+
+      if (!Array.isArray(options.commands)) {
+        throw new Error('Estimate "commands" must be an array');
+      }
+
+      options.commands.forEach(function(command, index) {
+        var start = captured.length;
+        runCommand(command, index);
+
+        // Everything queued by a tool change counts as part of it.
+        if (typeof command.tool !== 'undefined') {
+          captured.slice(start).forEach(function(item) {
+            item.toolChange = true;
+          });
+        }
+      });
+    });
+
+    return cncserver.estimator.items(items);
+  };
+
+  /**
+   * Add up the durations and distances of a list of buffer items.
+   *
+   * @param {array} items
+   *   Array of buffer items, items flagged with "toolChange" are counted as
+   *   tool change time.
+   *
+   * @returns {object}
+   *   Totals object with the number of "items", "distance" in steps (drawing,
+   *   travel & total) and "duration" in milliseconds (drawing, travel, servo,
+   *   toolChanges, wait & total).
+   */
+  cncserver.estimator.items = function(items) {
+    var out = {
+      items: items.length,
+      distance: {drawing: 0, travel: 0, total: 0},
+      duration: {
+        drawing: 0,
+        travel: 0,
+        servo: 0,
+        toolChanges: 0,
+        wait: 0,
+        total: 0
+      }
+    };
+
+    // Consecutive moves, timed together when the planner is enabled.
+    var moves = [];
+
+    items.forEach(function(item) {
+      var cmd = item.command;
+      if (typeof cmd === 'object' && cmd.type === 'absmove') {
+        moves.push(measureMove(item, out));
+        return;
+      }
+
+      addMoves(moves, out);
+      moves = [];
+
+      if (typeof cmd === 'object' && cmd.type === 'absheight') {
+        var change = cncserver.utils.getHeightChangeData(cmd.source, cmd.z);
+        out.duration[item.toolChange ? 'toolChanges' : 'servo'] += change.d;
+      } else if (typeof cmd === 'string') {
+        // Direct serial commands: waits, or custom commands.
+        out.duration[item.toolChange ? 'toolChanges' : 'wait'] +=
+          item.duration || 0;
+      }
+    });
+    addMoves(moves, out);
+
+    out.distance.total = out.distance.drawing + out.distance.travel;
+    out.duration.total = Object.keys(out.duration).reduce(function(t, key) {
+      return t + out.duration[key];
+    }, 0);
+
+    // Round everything for output, we're only estimating.
+    ['distance', 'duration'].forEach(function(group) {
+      Object.keys(out[group]).forEach(function(key) {
+        out[group][key] = Math.round(out[group][key]);
+      });
+    });
+
+    return out;
+  };
+
+  /**
+   * Measure the distance of a single move item, and prepare it for timing.
+   *
+   * @param {object} item
+   *   Absolute move buffer item.
+   * @param {object} out
+   *   Totals object to add the distance to.
+   *
+   * @returns {object}
+   *   Move block with "bucket" name, constant speed "duration", and planner
+   *   block values.
+   */
+  function measureMove(item, out) {
+    var cmd = item.command;
+    var down = cncserver.utils.penDown(item.pen);
+
+    // The live buffer renders moves with the buffer tip pen in this state.
+    var source = {x: cmd.source.x, y: cmd.source.y, state: item.pen.state};
+    var change = {x: cmd.x - cmd.source.x, y: cmd.y - cmd.source.y};
+    var distance = cncserver.utils.getVectorLength(change);
+
+    out.distance[down ? 'drawing' : 'travel'] += distance;
+
+    return {
+      bucket: item.toolChange ? 'toolChanges' : (down ? 'drawing' : 'travel'),
+      duration: cncserver.utils.getPosChangeData(source, cmd).d,
+      distance: distance,
+      unit: {x: change.x / distance, y: change.y / distance},
+      nominal: cncserver.utils.getSpeed(item.pen)
+    };
+  }
+
+  /**
+   * Add the durations of a run of consecutive moves to the totals, using the
+   * planned acceleration profiles if the planner is enabled.
+   *
+   * @param {array} moves
+   *   Move blocks from measureMove.
+   * @param {object} out
+   *   Totals object to add the durations to.
+   */
+  function addMoves(moves, out) {
+    moves = moves.filter(function(move) {
+      return move.distance > 0;
+    });
+
+    if (cncserver.planner.enabled()) {
+      var accel = cncserver.planner.getAcceleration();
+      var cornering = cncserver.planner.getCornering();
+      cncserver.planner.plan(moves, 0, accel, cornering);
+      moves.forEach(function(move) {
+        move.duration = cncserver.planner.profile(move, accel).reduce(
+          function(total, segment) {
+            return total + segment.duration;
+          }, 0
+        );
+      });
+    }
+
+    moves.forEach(function(move) {
+      out.duration[move.bucket] += move.duration;
+    });
+  }
+
+  /**
+   * Run a single estimate command into the (captured) buffer.
+   *
+   * @param {object} command
+   *   Command object, see cncserver.estimator.estimate.
+   * @param {number} index
+   *   Index of the command, for error messages.
+   */
+  function runCommand(command, index) {
+    var where = 'Estimate command ' + index + ': ';
+
+    if (typeof command.pen === 'object') {
+      var pen = command.pen;
+      if (typeof pen.state !== 'undefined') {
+        cncserver.control.setHeight(pen.state);
+      }
+
+      if (typeof pen.x !== 'undefined') {
+        if (pen.units && !cncserver.utils.unitsSupported(pen.units)) {
+          throw new Error(where + 'units "' + pen.units + '" not supported');
+        }
+
+        var point = cncserver.utils.unitsToSteps(pen, pen.units);
+        if (!isFinite(point.x) || !isFinite(point.y)) {
+          throw new Error(where + 'invalid pen position');
+        }
+
+        point.limit = 'workArea';
+        cncserver.control.movePenAbs(point);
+      }
+    } else if (typeof command.tool !== 'undefined') {
+      if (!cncserver.control.setTool(String(command.tool))) {
+        throw new Error(where + 'tool "' + command.tool + '" not found');
+      }
+    } else if (typeof command.wait !== 'undefined') {
+      cncserver.run('wait', null, Number(command.wait));
+    } else {
+      throw new Error(where + 'expected "pen", "tool" or "wait"');
+    }
+  }
+
+  // Exports.
+  cncserver.exports.estimate = cncserver.estimator.estimate;
+};
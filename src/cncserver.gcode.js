@@ -0,0 +1,397 @@
+"use strict";
+
+/**
+ * @file Abstraction module for G-code import and streaming, translating
+ * standard plotter G-code into run buffer items for CNC Server!
+ */
+
+module.exports = function(cncserver) {
+  cncserver.gcode = {};
+
+  // Supported G & M codes, anything else is reported as an error.
+  var supported = {
+    G: ['0', '1', '2', '3', '4', '20', '21', '90', '91'],
+    M: ['2', '3', '4', '5', '30']
+  };
+
+  // Argument words, used where they have meaning for a plotter (line numbers,
+  // feed rates, spindle speeds and tools are accepted but ignored).
+  var argWords = ['N', 'F', 'S', 'T', 'P', 'R', 'I', 'J', 'K', 'X', 'Y', 'Z'];
+
+  /**
+   * Get a fresh G-code interpreter state.
+   *
+   * @param {object} options
+   *   Optional mapping options to keep with the state for streaming:
+   *     width/height {number}: Size of the G-code canvas (in mm) mapped to the
+   *       work area. If not given, G-code is drawn in real units from the work
+   *       area origin, or on a 100mm canvas if the bot has no stepsPerMM.
+   *     flipY {boolean}: Pass true if G-code Y axis points up (CAM default).
+   *     zDown {number}: Pen is down when Z is at or below this, defaults 0.
+   *     tolerance {number}: Max arc deviation in steps.
+   *
+   * @returns {object}
+   *   New state object.
+   */
+  cncserver.gcode.newState = function(options) {
+    options = options || {};
+    return {
+      line: 0, // Last processed line number.
+      absolute: true, // G90 vs G91.
+      inches: false, // G20 vs G21.
+      motion: null, // Modal motion code (0-3).
+      x: 0, // Current position in mm.
+      y: 0,
+      z: 0,
+      penDown: false,
+      width: Number(options.width) || 0,
+      height: Number(options.height) || 0,
+      flipY: !!options.flipY && options.flipY !== 'false',
+      zDown: isNaN(parseFloat(options.zDown)) ? 0 : parseFloat(options.zDown),
+      tolerance: Number(options.tolerance) ||
+        Number(cncserver.gConf.get('pathTolerance')) || 1
+    };
+  };
+
+  // Current state kept between streamed requests.
+  cncserver.gcode.state = cncserver.gcode.newState();
+
+  /**
+   * Parse a single line of G-code into its words.
+   *
+   * @param {string} text
+   *   Raw G-code line.
+   *
+   * @returns {array}
+   *   Array of {letter, value, raw} word objects.
+   */
+  cncserver.gcode.parseLine = function(text) {
+    // Strip comments: parenthesized and end of line semicolon.
+    var clean = text.replace(/\([^)]*\)/g, ' ').replace(/;.*$/, '').trim();
+    var words = [];
+    var re = /([A-Za-z])\s*([-+]?(?:\d+\.?\d*|\.\d+))/g;
+
+    if (clean.replace(re, '').replace(/[\s%]/g, '').length) {
+      throw new Error('Unable to parse "' + clean + '"');
+    }
+
+    var match = re.exec(clean);
+    while (match) {
+      words.push({
+        letter: match[1].toUpperCase(),
+        value: Number(match[2]),
+        raw: String(Number(match[2]))
+      });
+      match = re.exec(clean);
+    }
+
+    return words;
+  };
+
+  /**
+   * Interpret G-code text into plotter actions, without queuing anything.
+   *
+   * @param {string|array} gcode
+   *   G-code program text, or array of lines.
+   * @param {object} state
+   *   Interpreter state to start from, modified by reference.
+   *
+   * @returns {object}
+   *   Object containing "actions" array and "errors" array. Actions are
+   *   either {type: 'move', x, y} in mm, {type: 'height', down: bool} or
+   *   {type: 'wait', duration} in milliseconds.
+   *   Errors are {line, message}.
+   */
+  cncserver.gcode.interpret = function(gcode, state) {
+    var lines = Array.isArray(gcode) ? gcode : String(gcode).split(/\r?\n/);
+    var out = {actions: [], errors: []};
+
+    lines.forEach(function(text) {
+      state.line++;
+      var words;
+      try {
+        words = cncserver.gcode.parseLine(String(text));
+      } catch(e) {
+        out.errors.push({line: state.line, message: e.message});
+        return;
+      }
+
+      var message = interpretWords(words, state, out.actions);
+      if (message) {
+        out.errors.push({line: state.line, message: message});
+      }
+    });
+
+    return out;
+  };
+
+  /**
+   * Queue interpreted actions into the buffer.
+   *
+   * @param {array} actions
+   *   Actions from interpret().
+   * @param {object} state
+   *   Interpreter state holding the canvas mapping options.
+   *
+   * @returns {number}
+   *   Number of moves queued.
+   */
+  cncserver.gcode.run = function(actions, state) {
+    var moves = 0;
+
+    actions.forEach(function(action) {
+      if (action.type === 'height') {
+        if (action.down !== cncserver.utils.penDown()) {
+          cncserver.control.setHeight(action.down ? 'draw' : 'up');
+        }
+      } else if (action.type === 'wait') {
+        cncserver.run('wait', null, action.duration);
+      } else {
+        var point = cncserver.gcode.toSteps(action, state);
+        point.limit = 'workArea';
+        cncserver.control.movePenAbs(point);
+        moves++;
+      }
+    });
+
+    return moves;
+  };
+
+  /**
+   * Convert a G-code mm position into absolute steps.
+   *
+   * @param {{x: number, y: number}} point
+   *   Position in mm on the G-code canvas.
+   * @param {object} state
+   *   Interpreter state holding the canvas mapping options.
+   *
+   * @returns {{x: number, y: number}}
+   *   Absolute step coordinate.
+   */
+  cncserver.gcode.toSteps = function(point, state) {
+    var y = point.y;
+
+    // Without a canvas size, draw in real units where we can.
+    if (!state.width && cncserver.utils.unitsSupported('mm')) {
+      if (state.flipY) {
+        y = cncserver.bot.workArea.height / cncserver.bot.stepsPerMM - y;
+      }
+      return cncserver.utils.unitsToSteps({x: point.x, y: y}, 'mm');
+    }
+
+    var width = state.width || 100;
+    var height = state.height || 100;
+    if (state.flipY) y = height - y;
+
+    return cncserver.utils.centToSteps({
+      x: (point.x / width) * 100,
+      y: (y / height) * 100
+    });
+  };
+
+  /**
+   * Import G-code into the buffer, either as a whole program or streamed in
+   * parts continuing from the last import.
+   *
+   * @param {object} options
+   *   Import options: "gcode" text or array of lines, "stream" true to
+   *   continue from the previous state, along with newState() options.
+   *
+   * @returns {object}
+   *   Result with "lines" processed, "moves" queued and "errors". Nothing is
+   *   queued (and the stream state is unchanged) if there are any errors.
+   */
+  cncserver.gcode.import = function(options) {
+    var base = options.stream ?
+      cncserver.gcode.state :
+      cncserver.gcode.newState(options);
+
+    // Work on a copy so a failed import doesn't corrupt the stream state.
+    var state = cncserver.utils.extend({}, base);
+    var result = cncserver.gcode.interpret(options.gcode, state);
+    var out = {
+      lines: state.line - base.line,
+      moves: 0,
+      errors: result.errors
+    };
+
+    if (!result.errors.length) {
+      out.moves = cncserver.gcode.run(result.actions, state);
+      cncserver.gcode.state = state;
+    }
+
+    return out;
+  };
+
+  /**
+   * Interpret the words of a single line, adding to the list of actions.
+   *
+   * @returns {string}
+   *   Error message if the line couldn't be interpreted, empty otherwise.
+   */
+  function interpretWords(words, state, actions) {
+    var args = {};
+    var codes = [];
+
+    for (var i in words) {
+      var word = words[i];
+      if (word.letter === 'G' || word.letter === 'M') {
+        if (supported[word.letter].indexOf(word.raw) === -1) {
+          return 'Unsupported code ' + word.letter + word.raw;
+        }
+        codes.push(word.letter + word.raw);
+      } else if (argWords.indexOf(word.letter) === -1) {
+        return 'Unsupported word ' + word.letter + word.raw;
+      } else {
+        args[word.letter] = word.value;
+      }
+    }
+
+    var scale = state.inches ? 25.4 : 1;
+
+    // Modal state changes apply before any movement on the same line.
+    codes.forEach(function(code) {
+      switch (code) {
+        case 'G20': state.inches = true; scale = 25.4; break;
+        case 'G21': state.inches = false; scale = 1; break;
+        case 'G90': state.absolute = true; break;
+        case 'G91': state.absolute = false; break;
+        case 'G0': case 'G1': case 'G2': case 'G3':
+          state.motion = Number(code.substr(1));
+          break;
+        case 'M3': case 'M4': setPen(state, actions, true); break;
+        case 'M5': case 'M2': case 'M30': setPen(state, actions, false); break;
+        case 'G4': // Dwell for P milliseconds.
+          actions.push({type: 'wait', duration: args.P || 0});
+          break;
+      }
+    });
+
+    // Z moves raise or lower the pen before any XY movement.
+    if (args.Z !== undefined) {
+      state.z = state.absolute ? args.Z * scale : state.z + args.Z * scale;
+      setPen(state, actions, state.z <= state.zDown);
+    }
+
+    if (args.X === undefined && args.Y === undefined) return '';
+
+    if (state.motion === null) {
+      return 'Coordinates given without a motion code (G0-G3)';
+    }
+
+    var end = {
+      x: args.X === undefined ? state.x : args.X * scale,
+      y: args.Y === undefined ? state.y : args.Y * scale
+    };
+
+    if (!state.absolute) {
+      end.x = args.X === undefined ? state.x : state.x + end.x;
+      end.y = args.Y === undefined ? state.y : state.y + end.y;
+    }
+
+    if (state.motion > 1) {
+      var message = arcActions(state, end, args, actions);
+      if (message) return message;
+    } else {
+      actions.push({type: 'move', x: end.x, y: end.y});
+    }
+
+    state.x = end.x;
+    state.y = end.y;
+    return '';
+  }
+
+  /**
+   * Add a pen height action, only if the pen state changes.
+   */
+  function setPen(state, actions, down) {
+    if (state.penDown !== down) {
+      state.penDown = down;
+      actions.push({type: 'height', down: down});
+    }
+  }
+
+  /**
+   * Flatten a G2/G3 arc into move actions.
+   *
+   * @returns {string}
+   *   Error message if the arc is invalid, empty otherwise.
+   */
+  function arcActions(state, end, args, actions) {
+    var scale = state.inches ? 25.4 : 1;
+    var start = {x: state.x, y: state.y};
+    var clockwise = state.motion === 2;
+    var center;
+
+    if (args.I !== undefined || args.J !== undefined) {
+      center = {
+        x: start.x + (args.I || 0) * scale,
+        y: start.y + (args.J || 0) * scale
+      };
+    } else if (args.R !== undefined) {
+      center = radiusCenter(start, end, args.R * scale, clockwise);
+      if (!center) return 'Arc radius too small to reach end point';
+    } else {
+      return 'Arc requires I/J center offset or R radius';
+    }
+
+    var radius = cncserver.utils.getVectorLength({
+      x: start.x - center.x,
+      y: start.y - center.y
+    });
+    var a1 = Math.atan2(start.y - center.y, start.x - center.x);
+    var a2 = Math.atan2(end.y - center.y, end.x - center.x);
+    var sweep = a2 - a1;
+
+    // Arcs are measured in standard orientation, where G2 is clockwise.
+    if (clockwise && sweep >= 0) sweep -= 2 * Math.PI;
+    if (!clockwise && sweep <= 0) sweep += 2 * Math.PI;
+
+    // Segment count from the chord deviation, with tolerance given in steps.
+    var origin = cncserver.gcode.toSteps({x: 0, y: 0}, state);
+    var unit = cncserver.gcode.toSteps({x: 1, y: 1}, state);
+    var stepsPerMM = Math.max(
+      Math.min(Math.abs(unit.x - origin.x), Math.abs(unit.y - origin.y)),
+      0.0001
+    );
+    var tolerance = Math.min(state.tolerance / stepsPerMM, radius);
+    var maxStep = radius ? 2 * Math.acos(1 - tolerance / radius) : Math.PI;
+    var count = Math.max(1, Math.ceil(Math.abs(sweep) / (maxStep || Math.PI)));
+
+    for (var i = 1; i < count; i++) {
+      var angle = a1 + sweep * (i / count);
+      actions.push({
+        type: 'move',
+        x: center.x + radius * Math.cos(angle),
+        y: center.y + radius * Math.sin(angle)
+      });
+    }
+
+    actions.push({type: 'move', x: end.x, y: end.y});
+    return '';
+  }
+
+  /**
+   * Find the center of a radius format arc. Negative radius selects the arc
+   * greater than 180 degrees.
+   */
+  function radiusCenter(start, end, radius, clockwise) {
+    var dx = end.x - start.x;
+    var dy = end.y - start.y;
+    var chord = Math.sqrt(dx * dx + dy * dy);
+    var r = Math.abs(radius);
+
+    if (!chord || chord > 2 * r + 0.000001) return null;
+
+    var h = Math.sqrt(Math.max(0, r * r - (chord * chord) / 4));
+    var side = (clockwise ? 1 : -1) * (radius < 0 ? -1 : 1);
+
+    return {
+      x: start.x + dx / 2 + side * h * (dy / chord),
+      y: start.y + dy / 2 - side * h * (dx / chord)
+    };
+  }
+
+  // Exports.
+  cncserver.exports.importGcode = cncserver.gcode.import;
+};
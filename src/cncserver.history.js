@@ -0,0 +1,236 @@
+"use strict";
+
+/**
+ * @file Abstraction module for the history of executed commands for CNC
+ * Server! Every buffer item run by the bot is recorded with its timing, the
+ * pen before and after, the serial commands sent and how the controller
+ * answered, keeping the last "historySize" (global config) entries so a
+ * drawing gone wrong can be looked into after the fact.
+ */
+
+module.exports = function(cncserver) {
+  cncserver.history = {
+    entries: [], // History entries, oldest first.
+    pending: {}, // Entries for items started but not done, keyed by hash.
+    nextId: 1 // ID for the next entry.
+  };
+
+  /**
+   * Record a buffer item starting to run.
+   *
+   * @param {string} hash
+   *   Buffer item hash.
+   * @param {object} item
+   *   Buffer item.
+   * @param {object} pen
+   *   The actual pen before the item runs.
+   */
+  cncserver.history.start = function(hash, item, pen) {
+    var size = Number(cncserver.gConf.get('historySize'));
+    if (!size) return;
+
+    var entry = {
+      id: cncserver.history.nextId++,
+      hash: hash,
+      type: getType(item.command),
+      started: Date.now(),
+      finished: null,
+      duration: item.duration, // Planned milliseconds.
+      elapsed: null, // Actual milliseconds taken.
+      penBefore: penState(pen),
+      penAfter: penState(item.pen),
+      commands: cncserver.buffer.render(item),
+      ack: cncserver.pen.simulation ? 'simulated' : 'pending',
+      errors: []
+    };
+
+    if (entry.type === 'message') entry.message = item.command.message;
+    if (entry.type === 'callbackname') entry.message = item.command.name;
+    if (entry.type === 'pause') entry.message = item.command.message;
+
+    cncserver.history.pending[hash] = entry;
+    cncserver.history.entries.push(entry);
+    if (cncserver.history.entries.length > size) {
+      cncserver.history.entries.splice(
+        0, cncserver.history.entries.length - size
+      );
+    }
+  };
+
+  /**
+   * Record a buffer item having finished running.
+   *
+   * @param {string} hash
+   *   Buffer item hash.
+   */
+  cncserver.history.done = function(hash) {
+    finish(hash, 'ok');
+  };
+
+  /**
+   * Record an error reported by the controller against the running items.
+   *
+   * @param {string} message
+   *   Error message.
+   */
+  cncserver.history.error = function(message) {
+    for (var hash in cncserver.history.pending) {
+      var entry = cncserver.history.pending[hash];
+      entry.errors.push(String(message));
+      entry.ack = 'error';
+    }
+  };
+
+  /**
+   * Record all running items as cleared from the buffer before finishing.
+   */
+  cncserver.history.interrupt = function() {
+    Object.keys(cncserver.history.pending).forEach(function(hash) {
+      finish(hash, 'cleared');
+    });
+  };
+
+  /**
+   * Clear the history.
+   */
+  cncserver.history.clear = function() {
+    cncserver.history.entries = [];
+  };
+
+  /**
+   * Get a page of history entries, newest first.
+   *
+   * @param {object} options
+   *   Filter and page options, all optional:
+   *     type {string}: Only this item type, E.G. "move" or "height".
+   *     ack {string}: Only this result, "ok", "error", "pending", "cleared" or
+   *       "simulated".
+   *     since {string|number}: Only entries started at or after this date.
+   *     until {string|number}: Only entries started before this date.
+   *     offset {number}: Number of matching entries to skip.
+   *     limit {number}: Maximum number of entries, defaults to 50.
+   *
+   * @returns {object}
+   *   Page with the "total" number of matching entries, the "offset" and
+   *   "limit" used, and the "entries" with their dates as strings.
+   *
+   * @throws {Error}
+   *   If any of the options aren't valid.
+   */
+  cncserver.history.query = function(options) {
+    var since = getDate(options.since, 'since');
+    var until = getDate(options.until, 'until');
+    var offset = getNumber(options.offset, 0, 'offset');
+    var limit = getNumber(options.limit, 50, 'limit');
+
+    var matches = cncserver.history.entries.filter(function(entry) {
+      return (!options.type || entry.type === options.type) &&
+        (!options.ack || entry.ack === options.ack) &&
+        (since === null || entry.started >= since) &&
+        (until === null || entry.started < until);
+    }).reverse();
+
+    return {
+      total: matches.length,
+      offset: offset,
+      limit: limit,
+      entries: matches.slice(offset, offset + limit).map(cncserver.history.info)
+    };
+  };
+
+  /**
+   * Get a history entry by ID.
+   *
+   * @param {number} id
+   *   Entry ID.
+   *
+   * @returns {object}
+   *   The entry, see cncserver.history.info, or null if there's no such entry.
+   */
+  cncserver.history.get = function(id) {
+    var entry = cncserver.history.entries.filter(function(entry) {
+      return entry.id === Number(id);
+    })[0];
+    return entry ? cncserver.history.info(entry) : null;
+  };
+
+  /**
+   * Get a copy of a history entry for output, with dates as strings.
+   *
+   * @param {object} entry
+   *   History entry.
+   *
+   * @returns {object}
+   */
+  cncserver.history.info = function(entry) {
+    var out = cncserver.utils.extend({}, entry);
+    out.started = new Date(entry.started).toISOString();
+    out.finished = entry.finished ? new Date(entry.finished).toISOString() :
+      null;
+    return out;
+  };
+
+  /**
+   * Finish a pending entry with the given result, unless it already failed.
+   */
+  function finish(hash, ack) {
+    var entry = cncserver.history.pending[hash];
+    if (!entry) return;
+
+    entry.finished = Date.now();
+    entry.elapsed = entry.finished - entry.started;
+    if (entry.ack === 'pending') entry.ack = ack;
+    delete cncserver.history.pending[hash];
+  }
+
+  /**
+   * Get the history type name for a buffer item command.
+   */
+  function getType(command) {
+    if (typeof command === 'function') return 'callback';
+    if (typeof command === 'string') return 'serial';
+
+    var types = {absmove: 'move', absheight: 'height'};
+    return types[command.type] || command.type;
+  }
+
+  /**
+   * Get the parts of a pen state worth keeping.
+   */
+  function penState(pen) {
+    pen = pen || {};
+    return {
+      x: pen.x,
+      y: pen.y,
+      state: pen.state,
+      height: pen.height,
+      tool: pen.tool
+    };
+  }
+
+  /**
+   * Parse an optional date option as a timestamp.
+   */
+  function getDate(value, name) {
+    if (typeof value === 'undefined' || value === '') return null;
+
+    var date = isNaN(value) ? Date.parse(value) : Number(value);
+    if (isNaN(date)) {
+      throw new Error('History "' + name + '" must be a date or timestamp');
+    }
+    return date;
+  }
+
+  /**
+   * Parse an optional whole number option.
+   */
+  function getNumber(value, defaultValue, name) {
+    if (typeof value === 'undefined' || value === '') return defaultValue;
+
+    var number = Number(value);
+    if (isNaN(number) || number < 0 || number % 1 !== 0) {
+      throw new Error('History "' + name + '" must be a whole number');
+    }
+    return number;
+  }
+};
@@ -37,12 +37,17 @@ module.exports = function(cncserver) {
       socket = cncserver.ipc.runnerSocket;
     }
 
+    // Nothing to send to without a runner, it's caught up once recovered.
+    var state = cncserver.supervisor.state;
+    if (state === 'lost' || state === 'restarting') return;
+
     var packet = {
       command: command,
       data: data
     };
 
     ipc.server.emit(socket, 'app.message', packet);
+    cncserver.metrics.serverMessage(packet);
   };
 
   /**
@@ -59,14 +64,25 @@ module.exports = function(cncserver) {
   cncserver.ipc.initServer = function(options, callback) {
     runnerInitCallback = callback;
 
+    // Child servers for extra machines each need their own IPC server.
+    if (!cncserver.machines.isPrimary()) {
+      ipc.config.id = 'cncserver-' + cncserver.gConf.get('machineId');
+    }
+
     // Initialize and start the IPC Server...
     ipc.serve(function(){
       ipc.server.on('app.message', ipcGotMessage);
+      ipc.server.on('socket.disconnected', function(socket) {
+        if (socket === cncserver.ipc.runnerSocket) {
+          cncserver.supervisor.lost('Runner disconnected from IPC');
+        }
+      });
     });
 
     ipc.server.start();
     console.log('Starting IPC server, waiting for runner client to start...');
 
+    cncserver.supervisor.local = !!options.localRunner;
     if (options.localRunner) {
       // Register an event callback to shutdown the runner if we're exiting.
       process.on('SIGTERM', cncserver.ipc.runner.shutdown);
@@ -85,7 +101,7 @@ module.exports = function(cncserver) {
     init: function (){
       cncserver.ipc.runner.process = spawn(
         'node',
-        [__dirname + '/../runner/cncserver.runner']
+        [__dirname + '/../runner/cncserver.runner', '--server=' + ipc.config.id]
       );
 
       cncserver.ipc.runner.process.stdout.on('data', function (data) {
@@ -99,9 +115,9 @@ module.exports = function(cncserver) {
         console.log('RUNNER ERROR: ' + data);
       });
 
-      cncserver.ipc.runner.process.on('exit', function (exitCode) {
-        // TODO: Restart it? Who knows.
+      cncserver.ipc.runner.process.on('exit', function (exitCode, signal) {
         console.log('RUNNER EXITED: ' + exitCode);
+        cncserver.supervisor.exited(exitCode, signal);
       });
     },
 
@@ -126,16 +142,24 @@ module.exports = function(cncserver) {
     var serialCallbacks = cncserver.serial.callbacks;
     var data = packet.data;
 
+    cncserver.metrics.runnerMessage(packet);
     switch(packet.command) {
       case "runner.ready":
         cncserver.ipc.runnerSocket = socket;
+        var recover = cncserver.supervisor.ready();
         cncserver.ipc.sendMessage('runner.config', {
           debug: cncserver.gConf.get('debug'),
           ack: cncserver.botConf.get('controller').ack,
           showSerial: cncserver.gConf.get('showSerial')
         });
 
-        if (runnerInitCallback) runnerInitCallback();
+        // A runner ready again after being lost carries on from where the
+        // last one was, otherwise the server carries on starting up.
+        if (recover) {
+          cncserver.supervisor.recover(data);
+        } else if (runnerInitCallback) {
+          runnerInitCallback();
+        }
         break;
       case "serial.connected":
         console.log(
@@ -151,16 +175,19 @@ module.exports = function(cncserver) {
         if (serialCallbacks.disconnect) serialCallbacks.disconnect(data);
         break;
       case "serial.error":
-        if (packet.type === 'connect') {
+        if (data.type === 'connect') {
           console.log(
             "Serial port failed to connect. Is it busy or in use? Error #10"
           );
-          console.log('SerialPort says:', packet.message);
+          console.log('SerialPort says:', data.message);
           if (serialCallbacks.complete) serialCallbacks.complete(data);
         } else {
           // TODO: Add better error message here, or figure out when this
           // happens.
           console.log("Serial failed to send data. Error #44");
+          var message = String(data.message || 'Failed to send data');
+          cncserver.history.error(message);
+          cncserver.rules.serialError(message);
         }
 
         if (serialCallbacks.error) serialCallbacks.error(data);
@@ -168,11 +195,17 @@ module.exports = function(cncserver) {
       case "serial.data":
         if (data.trim() !== cncserver.botConf.get('controller').ack) {
           console.error('Message From Controller: ' + data);
+          cncserver.history.error(data.trim());
+          cncserver.rules.serialError(data.trim());
 
           // Assume error was on startup, and resend setup.
           cncserver.serial.localTrigger('botInit');
         }
         break;
+      case "serial.simulated":
+        // Serial command written in simulation mode.
+        cncserver.simulator.command(data);
+        break;
       case "buffer.item.start":
         // Buffer action item begun to run.
         cncserver.buffer.startItem(data);
@@ -0,0 +1,474 @@
+"use strict";
+
+/**
+ * @file Abstraction module for persistent, queued drawing jobs for CNC Server!
+ * Buffer items for a submitted job are captured and saved to disk instead of
+ * being run right away, then added to the buffer when the job's turn in the
+ * queue comes. A progress pointer is saved as items complete, so a job
+ * interrupted by a restart or buffer clear can be resumed.
+ */
+
+module.exports = function(cncserver) {
+  var fs = require('fs');
+  var path = require('path');
+
+  cncserver.jobs = {};
+
+  var jobs = null; // Job metadata keyed by id, loaded from disk on first use.
+  var saveTimers = {}; // Throttled progress save timers, keyed by job id.
+  var saveDelay = 1000; // Max milliseconds progress can go unsaved.
+
+  /**
+   * Get the full path to the job storage directory, creating it if needed.
+   *
+   * @param {string} file
+   *   Optional file name to get the path of within the directory.
+   *
+   * @returns {string}
+   *   Absolute path.
+   */
+  cncserver.jobs.getPath = function(file) {
+    var dir = path.resolve(
+      __dirname, '..', String(cncserver.gConf.get('jobsPath'))
+    );
+
+    // Create the parent too, as extra machines keep jobs in subdirectories.
+    [path.dirname(dir), dir].forEach(function(create) {
+      if (!fs.existsSync(create)) fs.mkdirSync(create);
+    });
+    return file ? path.join(dir, file) : dir;
+  };
+
+  /**
+   * Get all jobs, loading them from disk on first use. Jobs that were running
+   * when the server stopped are marked as paused, ready to resume.
+   *
+   * @returns {object}
+   *   Jobs keyed by id.
+   */
+  cncserver.jobs.getAll = function() {
+    if (jobs) return jobs;
+
+    jobs = {};
+    fs.readdirSync(cncserver.jobs.getPath()).forEach(function(file) {
+      if (path.extname(file) !== '.json') return;
+
+      try {
+        var job = JSON.parse(fs.readFileSync(cncserver.jobs.getPath(file)));
+        if (job.status === 'running') {
+          job.status = 'paused';
+          save(job);
+        }
+        jobs[job.id] = job;
+      } catch(e) {
+        console.error('Unable to load job file "' + file + '":', e.message);
+      }
+    });
+
+    return jobs;
+  };
+
+  /**
+   * Get a single job.
+   *
+   * @param {string} id
+   *   The id of the job.
+   *
+   * @returns {object}
+   *   The job metadata, or null if not found.
+   */
+  cncserver.jobs.get = function(id) {
+    return cncserver.jobs.getAll()[id] || null;
+  };
+
+  /**
+   * Get a list of jobs in queue order.
+   *
+   * @param {string} status
+   *   Optional status to only list jobs with.
+   *
+   * @returns {array}
+   *   Array of job metadata objects.
+   */
+  cncserver.jobs.list = function(status) {
+    var all = cncserver.jobs.getAll();
+    return Object.keys(all).map(function(id) {
+      return all[id];
+    }).filter(function(job) {
+      return !status || job.status === status;
+    }).sort(function(a, b) {
+      return a.order - b.order;
+    });
+  };
+
+  /**
+   * Get the public info for a job, with calculated progress.
+   *
+   * @param {object} job
+   *   Job metadata.
+   *
+   * @returns {object}
+   *   Copy of the job with "progress" percentage and "remaining" estimated
+   *   milliseconds.
+   */
+  cncserver.jobs.info = function(job) {
+    var out = cncserver.utils.extend({}, job);
+    var left = job.total ? (job.total - job.done) / job.total : 0;
+
+    out.progress = Math.round((1 - left) * 1000) / 10;
+    out.remaining = Math.round(job.duration * left);
+    return out;
+  };
+
+  /**
+   * Submit a new named job, capturing its drawing and saving all of its buffer
+   * items to disk. The job is started right away if no other job is active,
+   * otherwise it's queued.
+   *
+   * @param {object} options
+   *   Job options, with a "name", and drawing data for one of the supported
+   *   job types: "paths" (see cncserver.paths.render) or "gcode" (see
+   *   cncserver.gcode.import, streaming isn't supported).
+   *
+   * @returns {object}
+   *   The new job metadata.
+   *
+   * @throws {Error}
+   *   If the drawing data isn't valid, with any G-code errors as "errors", or
+   *   its buffer items can't be saved. Nothing is added to the buffer.
+   */
+  cncserver.jobs.submit = function(options) {
+    var created = new Date().getTime();
+    var last = cncserver.jobs.list().pop();
+    var job = {
+      id: cncserver.utils.getHash({name: options.name, created: created}),
+      name: options.name ? String(options.name) : 'Untitled',
+      created: created,
+      order: last ? last.order + 1 : 0,
+      status: 'queued',
+      total: 0, // Number of saved buffer items.
+      done: 0, // Progress pointer: number of saved items completed.
+      duration: 0, // Estimated total milliseconds to run.
+      start: cncserver.utils.extend({}, cncserver.pen) // Pen before the job.
+    };
+
+    // Capture the drawing. Pauses and pen lifts are queued as named items to
+    // be saved, callback functions can't be, and could be needed to draw it.
+    var captured = cncserver.buffer.capture(function() {
+      cncserver.jobs.draw(options);
+    });
+    var callbacks = captured.some(function(item) {
+      return typeof item.command === 'function';
+    });
+    if (callbacks) {
+      throw new Error('Job drawing includes callbacks that can\'t be saved');
+    }
+
+    var recorded = captured.map(function(item, index) {
+      return {
+        command: item.command,
+        duration: item.duration,
+        pen: item.pen,
+        job: job.id,
+        jobIndex: index
+      };
+    });
+
+    job.total = recorded.length;
+    job.duration = cncserver.estimator.items(recorded).duration.total;
+
+    fs.writeFileSync(
+      cncserver.jobs.getPath(job.id + '.jsonl'),
+      recorded.map(function(item) {
+        return JSON.stringify(item) + '\n';
+      }).join('')
+    );
+
+    cncserver.jobs.getAll()[job.id] = job;
+    save(job);
+    cncserver.jobs.startNext();
+
+    return job;
+  };
+
+  /**
+   * Draw the given job drawing data into the buffer.
+   *
+   * @param {object} options
+   *   Job options, with drawing data for one of the supported job types:
+   *   "paths" (see cncserver.paths.render) or "gcode" (see
+   *   cncserver.gcode.import, streaming isn't supported).
+   *
+   * @throws {Error}
+   *   If the drawing data isn't valid, with any G-code errors as "errors".
+   */
+  cncserver.jobs.draw = function(options) {
+    if (typeof options.paths !== 'undefined') {
+      cncserver.paths.draw(options);
+    } else if (typeof options.gcode !== 'undefined') {
+      var result = cncserver.gcode.import(
+        cncserver.utils.extend({}, options, {stream: false})
+      );
+      if (result.errors.length) {
+        var err = new Error('G-code not accepted');
+        err.errors = result.errors;
+        throw err;
+      }
+    } else {
+      throw new Error('Job requires "paths" or "gcode" data');
+    }
+  };
+
+  /**
+   * Start the next queued job, if no other job is running or paused.
+   *
+   * @returns {object}
+   *   The started job, or null if none was started.
+   */
+  cncserver.jobs.startNext = function() {
+    if (cncserver.jobs.list('running').length ||
+        cncserver.jobs.list('paused').length) {
+      return null;
+    }
+
+    var job = cncserver.jobs.list('queued')[0];
+    if (!job) return null;
+
+    // Skip on to the next job if this one failed, or had nothing to do.
+    if (!run(job, false) || job.status === 'done') {
+      return cncserver.jobs.startNext();
+    }
+    return job;
+  };
+
+  /**
+   * Get the paused job holding up the queue. Queued jobs aren't started while
+   * a job is paused, as they'd draw over it, so it must be resumed or
+   * cancelled first.
+   *
+   * @returns {object}
+   *   The first paused job if there are queued jobs waiting, or null.
+   */
+  cncserver.jobs.blocking = function() {
+    if (!cncserver.jobs.list('queued').length) return null;
+    return cncserver.jobs.list('paused')[0] || null;
+  };
+
+  /**
+   * Move the progress pointer of a job forward. Called as buffer items are
+   * completed by the runner.
+   *
+   * @param {object} item
+   *   The completed buffer item.
+   */
+  cncserver.jobs.itemDone = function(item) {
+    if (typeof item.job === 'undefined') return;
+
+    var job = cncserver.jobs.get(item.job);
+    if (!job || job.status !== 'running') return;
+
+    job.done = item.jobIndex + 1;
+    if (job.done >= job.total) {
+      job.status = 'done';
+      save(job);
+      cncserver.jobs.startNext();
+    } else if (!saveTimers[job.id]) {
+      saveTimers[job.id] = setTimeout(function() {
+        save(job);
+      }, saveDelay);
+    }
+  };
+
+  /**
+   * Pause any running jobs, called when the buffer is cleared out from under
+   * them so they can be resumed later.
+   */
+  cncserver.jobs.interrupt = function() {
+    cncserver.jobs.list('running').forEach(function(job) {
+      job.status = 'paused';
+      save(job);
+    });
+  };
+
+  /**
+   * Resume a paused job: the pen is raised and re-parked, then returns to the
+   * last completed point to continue from where it left off.
+   *
+   * @param {string} id
+   *   The id of the job to resume.
+   *
+   * @returns {object}
+   *   The job metadata.
+   *
+   * @throws {Error}
+   *   If the job can't be resumed.
+   */
+  cncserver.jobs.resume = function(id) {
+    var job = cncserver.jobs.get(id);
+    if (!job || job.status !== 'paused') {
+      throw new Error('Only paused jobs can be resumed');
+    }
+
+    if (cncserver.jobs.list('running').length) {
+      throw new Error('Another job is already running');
+    }
+
+    if (cncserver.buffer.data.length) {
+      throw new Error('Buffer must be empty to resume a job');
+    }
+
+    if (!run(job, true)) throw new Error(job.error);
+    return job;
+  };
+
+  /**
+   * Move a queued job to a new position in the queue.
+   *
+   * @param {string} id
+   *   The id of the job to move.
+   * @param {number} position
+   *   Zero based position within the queued jobs to move to.
+   *
+   * @returns {object}
+   *   The job metadata.
+   *
+   * @throws {Error}
+   *   If the job isn't queued.
+   */
+  cncserver.jobs.move = function(id, position) {
+    var job = cncserver.jobs.get(id);
+    if (!job || job.status !== 'queued') {
+      throw new Error('Only queued jobs can be reordered');
+    }
+
+    var queue = cncserver.jobs.list('queued');
+    var orders = queue.map(function(queued) {
+      return queued.order;
+    });
+
+    queue.splice(queue.indexOf(job), 1);
+    position = Math.max(parseInt(position, 10) || 0, 0);
+    position = Math.min(position, queue.length);
+    queue.splice(position, 0, job);
+
+    // Reuse the same order slots, so other jobs aren't affected.
+    queue.forEach(function(queued, index) {
+      if (queued.order !== orders[index]) {
+        queued.order = orders[index];
+        save(queued);
+      }
+    });
+
+    return job;
+  };
+
+  /**
+   * Cancel and remove a job that isn't running, deleting its saved data.
+   *
+   * @param {string} id
+   *   The id of the job to cancel.
+   *
+   * @throws {Error}
+   *   If the job is running.
+   */
+  cncserver.jobs.cancel = function(id) {
+    var job = cncserver.jobs.get(id);
+    if (!job) return;
+
+    if (job.status === 'running') {
+      throw new Error('Running jobs must be paused by clearing the buffer');
+    }
+
+    clearTimeout(saveTimers[job.id]);
+    delete saveTimers[job.id];
+    delete jobs[job.id];
+
+    [job.id + '.json', job.id + '.jsonl'].forEach(function(file) {
+      if (fs.existsSync(cncserver.jobs.getPath(file))) {
+        fs.unlinkSync(cncserver.jobs.getPath(file));
+      }
+    });
+
+    cncserver.jobs.startNext();
+  };
+
+  /**
+   * Add the remaining items of a job to the buffer. The pen is raised and
+   * moved to where the job left off (or started) first.
+   *
+   * @param {object} job
+   *   The job to run.
+   * @param {boolean} repark
+   *   Set to true to re-park the pen first, for resuming interrupted jobs.
+   *
+   * @returns {boolean}
+   *   True if running, false if the job's saved items couldn't be loaded and
+   *   the job has failed.
+   */
+  function run(job, repark) {
+    var items;
+    try {
+      items = fs.readFileSync(cncserver.jobs.getPath(job.id + '.jsonl'))
+        .toString().split('\n').filter(Boolean).map(function(line) {
+          return JSON.parse(line);
+        });
+    } catch(e) {
+      job.status = 'failed';
+      job.error = 'Unable to load job items: ' + e.message;
+      save(job);
+      return false;
+    }
+
+    // Nothing left to draw.
+    if (job.done >= items.length) {
+      job.status = 'done';
+      save(job);
+      return true;
+    }
+
+    var from = job.done ? items[job.done - 1].pen : job.start;
+
+    // Return to the last completed point, or the start of the job.
+    cncserver.control.setHeight('up');
+    if (repark) {
+      cncserver.control.movePenAbs(
+        cncserver.utils.centToSteps(cncserver.bot.park, true)
+      );
+    }
+    cncserver.control.movePenAbs({x: from.x, y: from.y});
+    if (cncserver.utils.penDown(from)) {
+      cncserver.control.setHeight(from.state);
+    }
+
+    // Continue with the remaining items, keeping the buffer tip in step.
+    items.slice(job.done).forEach(function(item) {
+      cncserver.buffer.addItem(item);
+      cncserver.pen = cncserver.utils.extend({}, item.pen);
+    });
+
+    job.status = 'running';
+    save(job);
+    return true;
+  }
+
+  /**
+   * Save job metadata to disk.
+   *
+   * @param {object} job
+   *   Job metadata to save.
+   */
+  function save(job) {
+    clearTimeout(saveTimers[job.id]);
+    delete saveTimers[job.id];
+
+    fs.writeFileSync(
+      cncserver.jobs.getPath(job.id + '.json'),
+      JSON.stringify(job)
+    );
+  }
+
+  // Exports.
+  cncserver.exports.submitJob = cncserver.jobs.submit;
+  cncserver.exports.resumeJob = cncserver.jobs.resume;
+  cncserver.exports.cancelJob = cncserver.jobs.cancel;
+};
@@ -0,0 +1,196 @@
+"use strict";
+
+/**
+ * @file Abstraction module for the multi-client control lock for CNC Server!
+ * A client can take a timed lease on control of the bot, after which any other
+ * client is limited to read only requests until it's released or expires.
+ */
+
+var crypto = require('crypto');
+
+module.exports = function(cncserver) {
+  cncserver.lock = {
+    data: null, // Current lease: {key, name, acquired, expires}, or null.
+    maxDuration: 604800 // Longest lease in seconds, a week, as timers overflow.
+  };
+
+  var expireTimer = null; // Timeout for broadcasting lease expiry.
+
+  /**
+   * Get the current lease, clearing it if it has expired.
+   *
+   * @returns {object}
+   *   Lease data object, or null if not locked.
+   */
+  function getLease() {
+    var lease = cncserver.lock.data;
+    if (lease && lease.expires <= Date.now()) {
+      cncserver.lock.data = lease = null;
+    }
+    return lease;
+  }
+
+  /**
+   * Get the public lock status, never including the lease key.
+   *
+   * @returns {object}
+   *   Status with "locked" boolean, and when locked the lock "name", and
+   *   "acquired" and "expires" date strings with "remaining" seconds.
+   */
+  cncserver.lock.getStatus = function() {
+    var lease = getLease();
+    if (!lease) return {locked: false};
+
+    return {
+      locked: true,
+      name: lease.name,
+      acquired: new Date(lease.acquired).toISOString(),
+      expires: new Date(lease.expires).toISOString(),
+      remaining: Math.ceil((lease.expires - Date.now()) / 1000)
+    };
+  };
+
+  /**
+   * Acquire or renew the control lock.
+   *
+   * @param {object} options
+   *   Lock options:
+   *     name {string}: Name of the client taking control, shown to others.
+   *     duration {number}: Seconds the lease lasts, defaults to the global
+   *       "lockDuration" config.
+   *     key {string}: Key of a held lease to renew it.
+   *
+   * @returns {object}
+   *   Lock status, with the lease "key" to pass with all control requests.
+   *
+   * @throws {Error}
+   *   If another client holds the lock, or the duration isn't valid, with the
+   *   duration problem as "errors" for the latter.
+   */
+  cncserver.lock.acquire = function(options) {
+    var lease = getLease();
+    if (lease && lease.key !== options.key) {
+      throw new Error('Control is locked by "' + lease.name + '"');
+    }
+
+    var duration = typeof options.duration === 'undefined' ?
+      cncserver.gConf.get('lockDuration') : options.duration;
+    duration = Number(duration);
+    if (isNaN(duration) || duration <= 0) {
+      throw invalidDuration('must be a positive number of seconds');
+    }
+    if (duration > cncserver.lock.maxDuration) {
+      throw invalidDuration(
+        'must be at most ' + cncserver.lock.maxDuration + ' seconds, got ' +
+        duration
+      );
+    }
+
+    var now = Date.now();
+    cncserver.lock.data = {
+      key: lease ? lease.key : crypto.randomBytes(16).toString('hex'),
+      name: String(options.name || (lease ? lease.name : 'Anonymous')),
+      acquired: lease ? lease.acquired : now,
+      expires: now + duration * 1000
+    };
+
+    // Let everyone know when it runs out.
+    clearTimeout(expireTimer);
+    expireTimer = setTimeout(sendUpdate, duration * 1000);
+    sendUpdate();
+
+    var status = cncserver.lock.getStatus();
+    status.key = cncserver.lock.data.key;
+    return status;
+  };
+
+  /**
+   * Release the control lock.
+   *
+   * @param {string} key
+   *   Key of the held lease.
+   *
+   * @throws {Error}
+   *   If the lock is held with a different key.
+   */
+  cncserver.lock.release = function(key) {
+    var lease = getLease();
+    if (!lease) return;
+
+    if (lease.key !== key) {
+      throw new Error('Control is locked by "' + lease.name + '"');
+    }
+
+    cncserver.lock.data = null;
+    clearTimeout(expireTimer);
+    sendUpdate();
+  };
+
+  /**
+   * Check if a lease key allows control of the bot.
+   *
+   * @param {string} key
+   *   Lease key passed by the client, if any.
+   *
+   * @returns {array}
+   *   Null if allowed (or unlocked), otherwise an array of the HTTP status code
+   *   and message for the failure.
+   */
+  cncserver.lock.check = function(key) {
+    var lease = getLease();
+    if (!lease || lease.key === key) return null;
+
+    return [423, 'Control is locked by "' + lease.name + '"'];
+  };
+
+  /**
+   * Get the lease key passed with an HTTP request, either as an
+   * "X-CNCServer-Lock" header, or a "lock" query string.
+   *
+   * @param {object} req
+   *   Express request object.
+   *
+   * @returns {string}
+   *   The passed key, or empty string if none.
+   */
+  cncserver.lock.getRequestKey = function(req) {
+    return req.get('X-CNCServer-Lock') || String(req.query.lock || '');
+  };
+
+  /**
+   * Check if an HTTP request is allowed by the control lock. Only requests
+   * that need control are limited, and the lock resource itself never is.
+   *
+   * @param {object} req
+   *   Express request object.
+   *
+   * @returns {array}
+   *   Null if allowed, otherwise array of HTTP status code and message.
+   */
+  cncserver.lock.checkRequest = function(req) {
+    if (req.path.indexOf('/v1/lock') === 0) return null;
+
+    // Machines served by child servers check their own locks.
+    if (/^\/v1\/machines\/(?!types\/)[^\/]+\/./.test(req.path)) return null;
+    if (cncserver.auth.getRequestScope(req) !== 'control') return null;
+
+    return cncserver.lock.check(cncserver.lock.getRequestKey(req));
+  };
+
+  /**
+   * Broadcast the lock status to all stream clients.
+   */
+  function sendUpdate() {
+    cncserver.io.sendLockUpdate(cncserver.lock.getStatus());
+  }
+
+  /**
+   * Build the error thrown for a lock duration that isn't valid, marked with
+   * the problem as "errors" to tell it apart from the lock being held.
+   */
+  function invalidDuration(problem) {
+    var err = new Error('Lock duration ' + problem);
+    err.errors = [{field: 'duration', message: problem}];
+    return err;
+  }
+};
@@ -0,0 +1,238 @@
+"use strict";
+
+/**
+ * @file Abstraction module for serving multiple machines from one CNC Server!
+ * Every extra machine configured in the global "machines" config gets its own
+ * child CNC Server process, with its own bot config, runner, buffer and serial
+ * port, and its API is served through this one at /v1/machines/{id}/...
+ */
+
+var spawn = require('child_process').spawn;
+var http = require('http');
+var path = require('path');
+
+module.exports = function(cncserver) {
+  cncserver.machines = {
+    defaultId: 'default', // Machine ID of the primary server.
+    children: {} // Child server state objects, keyed by machine ID.
+  };
+
+  /**
+   * Is this the primary server, rather than a child serving one machine?
+   *
+   * @returns {boolean}
+   */
+  cncserver.machines.isPrimary = function() {
+    var id = cncserver.gConf.get('machineId');
+    return !id || id === cncserver.machines.defaultId;
+  };
+
+  /**
+   * Get the configuration of all extra machines.
+   *
+   * @returns {object}
+   *   Machine config objects keyed by machine ID, each with at least "botType"
+   *   and "httpPort", plus any other global config to override for it.
+   */
+  cncserver.machines.getConfigs = function() {
+    var conf = cncserver.gConf.get('machines') || {};
+    var basePort = Number(cncserver.gConf.get('httpPort'));
+    var out = {};
+
+    Object.keys(conf).forEach(function(id) {
+      // Skip the example info text included in the default config.
+      if (id === 'info' || typeof conf[id] !== 'object') return;
+
+      // The default ID is the primary, and "types" is taken by profiles.
+      var reserved = [cncserver.machines.defaultId, 'types'];
+      if (!/^[a-z0-9_\-]+$/i.test(id) || reserved.indexOf(id) !== -1) {
+        console.error('Invalid machine ID "' + id + '", skipping.');
+        return;
+      }
+
+      var machine = cncserver.utils.extend({}, conf[id]);
+      machine.botType = machine.botType || cncserver.gConf.get('botType');
+      machine.httpPort = Number(machine.httpPort) ||
+        basePort + Object.keys(out).length + 1;
+      out[id] = machine;
+    });
+
+    return out;
+  };
+
+  /**
+   * Get the command line arguments to start a child server for a machine.
+   *
+   * @param {string} id
+   *   Machine ID.
+   * @param {object} machine
+   *   Machine config object.
+   *
+   * @returns {array}
+   *   Arguments for node.
+   */
+  cncserver.machines.getArgs = function(id, machine) {
+    var args = [
+      path.resolve(__dirname, '..', 'cncserver.js'),
+      '--machineId=' + id,
+      '--jobsPath=' + path.join(String(cncserver.gConf.get('jobsPath')), id)
+    ];
+
+    Object.keys(machine).forEach(function(key) {
+      if (typeof machine[key] !== 'object') {
+        args.push('--' + key + '=' + machine[key]);
+      }
+    });
+
+    return args;
+  };
+
+  /**
+   * Start child servers for all extra machines. Only the primary server does
+   * this, as children load the same config.
+   */
+  cncserver.machines.start = function() {
+    if (!cncserver.machines.isPrimary()) return;
+
+    var configs = cncserver.machines.getConfigs();
+    Object.keys(configs).forEach(function(id) {
+      var child = {
+        id: id,
+        botType: configs[id].botType,
+        httpPort: configs[id].httpPort,
+        status: 'starting',
+        process: spawn('node', cncserver.machines.getArgs(id, configs[id]))
+      };
+      cncserver.machines.children[id] = child;
+      console.log('Starting machine "' + id + '" on port ' + child.httpPort);
+
+      child.process.stdout.on('data', function(data) {
+        data = data.toString().split("\n");
+        for (var i in data) {
+          if (data[i].length) {
+            if (data[i].indexOf('ready to receive commands') !== -1) {
+              child.status = 'running';
+            }
+            console.log('[' + id + ']: ' + data[i]);
+          }
+        }
+      });
+
+      child.process.stderr.on('data', function(data) {
+        console.error('[' + id + '] ERROR: ' + data);
+      });
+
+      child.process.on('exit', function(exitCode) {
+        child.status = 'exited';
+        console.log('Machine "' + id + '" exited: ' + exitCode);
+      });
+    });
+
+    // Take the children down with us.
+    if (Object.keys(configs).length) {
+      process.on('exit', cncserver.machines.stop);
+    }
+  };
+
+  /**
+   * Stop all child servers.
+   */
+  cncserver.machines.stop = function() {
+    for (var id in cncserver.machines.children) {
+      var child = cncserver.machines.children[id];
+      if (child.status !== 'exited') child.process.kill('SIGINT');
+    }
+  };
+
+  /**
+   * Get info about every machine served, including the primary.
+   *
+   * @returns {array}
+   *   Machine info objects, see cncserver.machines.info.
+   */
+  cncserver.machines.list = function() {
+    var ids = [cncserver.machines.defaultId];
+    return ids.concat(Object.keys(cncserver.machines.children)).map(
+      cncserver.machines.info
+    );
+  };
+
+  /**
+   * Get info about a single machine.
+   *
+   * @param {string} id
+   *   Machine ID.
+   *
+   * @returns {object}
+   *   Info with machine "id", "botType", "httpPort", "status" and API "url",
+   *   or null if there's no such machine.
+   */
+  cncserver.machines.info = function(id) {
+    var child = cncserver.machines.children[id];
+    if (id === cncserver.machines.defaultId) {
+      child = {
+        botType: cncserver.gConf.get('botType'),
+        httpPort: Number(cncserver.gConf.get('httpPort')),
+        status: 'running'
+      };
+    } else if (!cncserver.machines.children.hasOwnProperty(id)) {
+      return null;
+    }
+
+    return {
+      id: id,
+      botType: child.botType,
+      httpPort: child.httpPort,
+      status: child.status,
+      url: '/v1/machines/' + id
+    };
+  };
+
+  /**
+   * Pass an API request on to the server for a machine, and its response back.
+   *
+   * @param {object} machine
+   *   Machine info object.
+   * @param {string} resource
+   *   API resource path after /v1/, E.G. "pen".
+   * @param {object} req
+   *   Express request object.
+   * @param {object} res
+   *   Express response object.
+   */
+  cncserver.machines.proxy = function(machine, resource, req, res) {
+    var headers = cncserver.utils.extend({}, req.headers);
+    var body = '';
+    delete headers.host;
+    delete headers['content-length'];
+
+    if (req.route.method !== 'get' && Object.keys(req.body).length) {
+      body = JSON.stringify(req.body);
+      headers['content-type'] = 'application/json; charset=UTF-8';
+      headers['content-length'] = Buffer.byteLength(body);
+    }
+
+    var query = req.url.indexOf('?') !== -1 ?
+      req.url.substr(req.url.indexOf('?')) : '';
+
+    var proxied = http.request({
+      host: 'localhost',
+      port: machine.httpPort,
+      method: req.route.method.toUpperCase(),
+      path: '/v1/' + resource + query,
+      headers: headers
+    }, function(response) {
+      res.status(response.statusCode);
+      res.set('Content-Type', response.headers['content-type']);
+      response.pipe(res);
+    });
+
+    proxied.on('error', function() {
+      res.status(502).send(JSON.stringify({
+        status: 'Machine "' + machine.id + '" is not responding'
+      }));
+    });
+
+    proxied.end(body);
+  };
+};
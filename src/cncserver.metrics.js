@@ -0,0 +1,154 @@
+"use strict";
+
+/**
+ * @file Abstraction module for monitoring metrics for CNC Server! Counters are
+ * kept from executed buffer items and runner IPC messages, and output along
+ * with gauges of the current state in the Prometheus text format at /metrics.
+ */
+
+module.exports = function(cncserver) {
+  cncserver.metrics = {
+    // Counters since the server started, see cncserver.metrics.definitions.
+    counters: {
+      itemsExecuted: 0,
+      serialCommands: 0,
+      serialErrors: 0,
+      penDownDistance: 0,
+      runSeconds: 0,
+      servoMoves: 0,
+      runnerRestarts: 0
+    },
+
+    // Every metric by counter or gauge name: metric name, type and help text.
+    definitions: {
+      bufferItems: ['cncserver_buffer_items', 'gauge',
+        'Items waiting in the run buffer.'],
+      bufferPaused: ['cncserver_buffer_paused', 'gauge',
+        'Whether the run buffer is paused, 1 or 0.'],
+      itemsExecuted: ['cncserver_buffer_items_executed_total', 'counter',
+        'Buffer items run by the bot.'],
+      serialCommands: ['cncserver_serial_commands_total', 'counter',
+        'Serial commands sent to the controller.'],
+      serialErrors: ['cncserver_serial_errors_total', 'counter',
+        'Serial writes that failed or were refused by the controller.'],
+      penDownDistance: ['cncserver_pen_down_distance_steps_total', 'counter',
+        'Distance drawn with the pen down, in steps.'],
+      runSeconds: ['cncserver_run_seconds_total', 'counter',
+        'Time spent running buffer items, in seconds.'],
+      servoMoves: ['cncserver_servo_moves_total', 'counter',
+        'Pen height changes run by the bot.'],
+      runnerRestarts: ['cncserver_runner_restarts_total', 'counter',
+        'Times the runner process has reconnected after first starting.'],
+      simulation: ['cncserver_simulation', 'gauge',
+        'Whether the pen is simulated without a bot connected, 1 or 0.']
+    }
+  };
+
+  var runnerSeen = false; // Whether the runner has been ready before.
+  var lastDistance = 0; // Distance counter of the last executed item.
+
+  /**
+   * Count a buffer item that has just been run.
+   *
+   * @param {object} item
+   *   Buffer item.
+   */
+  cncserver.metrics.itemDone = function(item) {
+    var counters = cncserver.metrics.counters;
+    counters.itemsExecuted++;
+    counters.runSeconds += (Number(item.duration) || 0) / 1000;
+
+    if (typeof item.command !== 'function') {
+      counters.serialCommands += cncserver.buffer.render(item).length;
+    }
+
+    if (typeof item.command === 'object' && item.command.type === 'absheight') {
+      counters.servoMoves++;
+    }
+
+    // The pen counts its own drawing distance, though clients can reset it.
+    var distance = item.pen ? Number(item.pen.distanceCounter) || 0 : 0;
+    counters.penDownDistance += distance >= lastDistance ?
+      distance - lastDistance : distance;
+    lastDistance = distance;
+  };
+
+  /**
+   * Count serial commands in a message sent to the runner to write directly,
+   * outside the buffer.
+   *
+   * @param {object} packet
+   *   IPC message packet with the "command" and its "data".
+   */
+  cncserver.metrics.serverMessage = function(packet) {
+    if (packet.command === 'serial.direct.command') {
+      cncserver.metrics.counters.serialCommands += packet.data.commands.length;
+    } else if (packet.command === 'serial.direct.write') {
+      cncserver.metrics.counters.serialCommands++;
+    }
+  };
+
+  /**
+   * Count what's reported in a message from the runner.
+   *
+   * @param {object} packet
+   *   IPC message packet with the "command" and its "data".
+   */
+  cncserver.metrics.runnerMessage = function(packet) {
+    var counters = cncserver.metrics.counters;
+    switch (packet.command) {
+      case 'runner.ready':
+        if (runnerSeen) counters.runnerRestarts++;
+        runnerSeen = true;
+        break;
+
+      case 'serial.error':
+        if (packet.data.type !== 'connect') counters.serialErrors++;
+        break;
+
+      case 'serial.data':
+        if (packet.data.trim() !== cncserver.botConf.get('controller').ack) {
+          counters.serialErrors++;
+        }
+        break;
+    }
+  };
+
+  /**
+   * Get the current value of every metric.
+   *
+   * @returns {object}
+   *   Metric values keyed by counter or gauge name.
+   */
+  cncserver.metrics.getValues = function() {
+    var values = cncserver.utils.extend({}, cncserver.metrics.counters);
+    values.bufferItems = cncserver.buffer.data.length;
+    values.bufferPaused = cncserver.buffer.paused ? 1 : 0;
+    values.simulation = cncserver.pen.simulation ? 1 : 0;
+    return values;
+  };
+
+  /**
+   * Render all metrics in the Prometheus text exposition format, labelled
+   * with the machine ID so several plotters can be told apart.
+   *
+   * @returns {string}
+   */
+  cncserver.metrics.render = function() {
+    var values = cncserver.metrics.getValues();
+    var machine = String(cncserver.gConf.get('machineId'))
+      .replace(/[\\"]/g, '\\$&');
+    var lines = [];
+
+    for (var key in cncserver.metrics.definitions) {
+      var metric = cncserver.metrics.definitions[key];
+      lines.push(
+        '# HELP ' + metric[0] + ' ' + metric[2],
+        '# TYPE ' + metric[0] + ' ' + metric[1],
+        metric[0] + '{machine="' + machine + '"} ' + values[key]
+      );
+    }
+
+    return lines.join('\n') + '\n';
+  };
+};
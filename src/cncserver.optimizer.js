@@ -0,0 +1,265 @@
+"use strict";
+
+/**
+ * @file Abstraction module for pen-up travel optimization of path sets for CNC
+ * Server! Reorders (and optionally reverses) separate strokes so the pen spends
+ * as little time as possible travelling between them.
+ */
+
+module.exports = function(cncserver) {
+  cncserver.optimizer = {
+    modes: ['greedy', '2opt'], // Supported optimization modes.
+    maxPasses: 50, // Max number of 2-opt improvement passes.
+    maxStrokes: 5000, // Max number of strokes to improve with 2-opt.
+    timeLimit: 1000, // Max time to spend improving with 2-opt, in milliseconds.
+    greedyTimeLimit: 1000 // Max time to spend ordering greedily, likewise.
+  };
+
+  /**
+   * Optimize the order of a set of strokes to minimize pen-up travel.
+   *
+   * @param {array} polylines
+   *   Array of strokes, each an array of {x, y} points in steps.
+   * @param {object} options
+   *   Optimizer options:
+   *     mode {string}: "greedy" nearest neighbour, or slower "2opt" which
+   *       improves on the greedy order, each within its time limit. Strokes
+   *       left once greedy is out of time keep their order, and any more
+   *       strokes than the 2-opt max are left in the greedy order.
+   *     reverse {boolean}: Pass true to allow strokes to be drawn backwards.
+   *     start {{x: number, y: number}}: Starting pen position, defaults to
+   *       the tip of the buffer.
+   *
+   * @returns {object}
+   *   Result with reordered "polylines", and pen-up travel distance in steps
+   *   "before" and "after" optimizing.
+   *
+   * @throws {Error}
+   *   If the mode isn't supported.
+   */
+  cncserver.optimizer.optimize = function(polylines, options) {
+    if (cncserver.optimizer.modes.indexOf(options.mode) === -1) {
+      throw new Error(
+        'Unsupported optimize mode "' + options.mode + '", use one of: ' +
+        cncserver.optimizer.modes.join(', ')
+      );
+    }
+
+    var start = options.start || cncserver.pen;
+    var strokes = polylines.filter(function(points) {
+      return points.length;
+    }).map(function(points) {
+      return {points: points, reversed: false};
+    });
+
+    var before = travel(strokes, start);
+    var route = greedy(strokes, start, options.reverse);
+    if (options.mode === '2opt' &&
+      route.length <= cncserver.optimizer.maxStrokes) {
+      twoOpt(route, start, options.reverse);
+    }
+
+    return {
+      polylines: route.map(function(stroke) {
+        return stroke.reversed ?
+          stroke.points.slice().reverse() :
+          stroke.points;
+      }),
+      before: Math.round(before),
+      after: Math.round(travel(route, start))
+    };
+  };
+
+  /**
+   * Get the first point drawn for a stroke.
+   */
+  function first(stroke) {
+    var p = stroke.points;
+    return stroke.reversed ? p[p.length - 1] : p[0];
+  }
+
+  /**
+   * Get the last point drawn for a stroke.
+   */
+  function last(stroke) {
+    var p = stroke.points;
+    return stroke.reversed ? p[0] : p[p.length - 1];
+  }
+
+  /**
+   * Distance between two points.
+   */
+  function dist(a, b) {
+    return cncserver.utils.getVectorLength({x: b.x - a.x, y: b.y - a.y});
+  }
+
+  /**
+   * Total pen-up travel for a route of strokes.
+   *
+   * @param {array} route
+   *   Array of stroke objects.
+   * @param {{x: number, y: number}} start
+   *   Starting pen position.
+   *
+   * @returns {number}
+   *   Travel distance in steps.
+   */
+  function travel(route, start) {
+    var total = 0;
+    var pos = start;
+    route.forEach(function(stroke) {
+      total += dist(pos, first(stroke));
+      pos = last(stroke);
+    });
+    return total;
+  }
+
+  /**
+   * Build a route by always drawing the nearest remaining stroke next. Each
+   * step searches every stroke left, so once the time limit is up the rest are
+   * drawn in the order given.
+   *
+   * @returns {array}
+   *   New array of stroke objects in drawing order.
+   */
+  function greedy(strokes, start, reverse) {
+    var left = strokes.slice();
+    var route = [];
+    var pos = start;
+    var deadline = Date.now() + cncserver.optimizer.greedyTimeLimit;
+
+    while (left.length) {
+      if (Date.now() > deadline) return route.concat(left);
+
+      var best = 0;
+      var bestDist = Infinity;
+      var bestReversed = false;
+
+      for (var i = 0; i < left.length; i++) {
+        var points = left[i].points;
+        var toStart = dist(pos, points[0]);
+        if (toStart < bestDist) {
+          best = i;
+          bestDist = toStart;
+          bestReversed = false;
+        }
+
+        var toEnd = reverse ? dist(pos, points[points.length - 1]) : Infinity;
+        if (toEnd < bestDist) {
+          best = i;
+          bestDist = toEnd;
+          bestReversed = true;
+        }
+      }
+
+      var stroke = left.splice(best, 1)[0];
+      stroke.reversed = bestReversed;
+      route.push(stroke);
+      pos = last(stroke);
+    }
+
+    return route;
+  }
+
+  /**
+   * Improve a route in place by reversing sections of it while that shortens
+   * the total travel. Strokes in a reversed section are drawn backwards when
+   * allowed, otherwise they keep their direction. Stops early once the time
+   * limit is up, keeping the improvements made so far.
+   */
+  function twoOpt(route, start, reverse) {
+    var improved = true;
+    var passes = 0;
+    var deadline = Date.now() + cncserver.optimizer.timeLimit;
+
+    // Travel from the end of the stroke before index i (or the start).
+    var endBefore = function(i) {
+      return i ? last(route[i - 1]) : start;
+    };
+
+    while (improved && passes < cncserver.optimizer.maxPasses) {
+      improved = false;
+      passes++;
+
+      for (var i = 0; i < route.length - 1; i++) {
+        if (Date.now() > deadline) return;
+
+        // Change in the links within route[i..j] from reversing its order,
+        // kept up to date as j grows.
+        var inner = 0;
+        for (var j = i + 1; j < route.length; j++) {
+          var gain;
+          if (reverse) {
+            gain = reversedGain(route, i, j, endBefore(i));
+          } else {
+            inner += link(route[j - 1], route[j]) -
+              link(route[j], route[j - 1]);
+            gain = sectionGain(route, i, j, endBefore(i), inner);
+          }
+
+          if (gain > 0.000001) {
+            reverseSection(route, i, j, reverse);
+            improved = true;
+
+            // The links within the section now run the other way.
+            inner = -inner;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Reverse the order of route[i..j] in place, optionally flipping the
+   * direction of each stroke in it.
+   */
+  function reverseSection(route, i, j, flip) {
+    var section = route.slice(i, j + 1).reverse();
+    section.forEach(function(stroke, index) {
+      if (flip) stroke.reversed = !stroke.reversed;
+      route[i + index] = stroke;
+    });
+  }
+
+  /**
+   * Travel saved by reversing route[i..j], flipping each stroke so only the
+   * two links at the ends of the section change.
+   */
+  function reversedGain(route, i, j, from) {
+    var next = route[j + 1];
+    var old = dist(from, first(route[i]));
+    var changed = dist(from, last(route[j]));
+
+    if (next) {
+      old += dist(last(route[j]), first(next));
+      changed += dist(first(route[i]), first(next));
+    }
+
+    return old - changed;
+  }
+
+  /**
+   * Travel saved by reversing the order of route[i..j] while every stroke
+   * keeps its direction, so all links within the section change, given the
+   * saving "inner" on the links within it.
+   */
+  function sectionGain(route, i, j, from, inner) {
+    var next = route[j + 1];
+    var old = dist(from, first(route[i]));
+    var changed = dist(from, first(route[j]));
+
+    if (next) {
+      old += dist(last(route[j]), first(next));
+      changed += dist(last(route[i]), first(next));
+    }
+
+    return old - changed + inner;
+  }
+
+  /**
+   * Travel from the end of one stroke to the start of another.
+   */
+  function link(from, to) {
+    return dist(last(from), first(to));
+  }
+};
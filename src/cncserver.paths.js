@@ -0,0 +1,683 @@
+"use strict";
+
+/**
+ * @file Abstraction module for SVG path parsing, flattening and rendering into
+ * the run buffer for CNC Server!
+ */
+
+module.exports = function(cncserver) {
+  cncserver.paths = {};
+
+  // Deepest we'll ever subdivide a single curve, whatever the tolerance.
+  var maxFlattenDepth = 16;
+
+  /**
+   * Parse an SVG transform attribute string into a single affine matrix.
+   *
+   * @param {string} transform
+   *   SVG transform list, E.G.: "translate(10, 20) rotate(45)".
+   *
+   * @returns {array}
+   *   Six element affine matrix [a, b, c, d, e, f].
+   */
+  cncserver.paths.parseTransform = function(transform) {
+    var matrix = [1, 0, 0, 1, 0, 0];
+    if (!transform) return matrix;
+
+    var re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    var remains = transform.replace(re, '').replace(/[\s,]/g, '');
+    if (remains.length) {
+      throw new Error('Invalid transform: "' + transform + '"');
+    }
+
+    var match = re.exec(transform);
+    while (match) {
+      var args = match[2].trim().split(/[\s,]+/).map(Number);
+      if (args.some(isNaN)) {
+        throw new Error('Invalid transform arguments: "' + match[0] + '"');
+      }
+
+      matrix = multiplyMatrix(matrix, transformMatrix(match[1], args));
+      match = re.exec(transform);
+    }
+
+    return matrix;
+  };
+
+  /**
+   * Parse SVG path data into a list of absolute coordinate subpaths.
+   *
+   * @param {string} d
+   *   Raw SVG path "d" attribute data.
+   *
+   * @returns {array}
+   *   Array of subpath objects: {start: {x, y}, segments: [], closed: bool},
+   *   where each segment is either {type: 'L', p} or {type: 'C', c1, c2, p}.
+   */
+  cncserver.paths.parseData = function(d) {
+    var scan = pathScanner(String(d));
+    var subpaths = [];
+    var current = null;
+    var pos = {x: 0, y: 0};
+    var lastControl = null; // Last cubic/quad control point for S/T.
+    var lastType = '';
+    var command = '';
+
+    while (scan.more()) {
+      if (scan.isCommand()) {
+        command = scan.command();
+        if (!current && command.toUpperCase() !== 'M') {
+          throw new Error('Path data must begin with a move command');
+        }
+      } else if (!command) {
+        throw new Error(current ?
+          'Invalid path data, coordinates given without a command' :
+          'Path data must begin with a move command'
+        );
+      } else if (command === 'M') {
+        command = 'L'; // Implicit lineto after moveto coordinates.
+      } else if (command === 'm') {
+        command = 'l';
+      }
+
+      var upper = command.toUpperCase();
+      var rel = command !== upper;
+      var base = rel ? pos : {x: 0, y: 0};
+      var p;
+
+      if (upper === 'Z') {
+        if (current) {
+          closeSubpath(current);
+          pos = {x: current.start.x, y: current.start.y};
+        }
+        lastType = 'Z';
+        command = '';
+        continue;
+      }
+
+      if (upper === 'M') {
+        p = scan.point(base);
+        current = {start: p, segments: [], closed: false};
+        subpaths.push(current);
+        pos = p;
+        lastType = 'M';
+        continue;
+      }
+
+      // Any drawing command after a closepath starts at the closed point.
+      if (!current || current.closed) {
+        current = {start: pos, segments: [], closed: false};
+        subpaths.push(current);
+      }
+
+      var segment = {type: 'L'};
+      switch (upper) {
+        case 'L':
+          segment.p = scan.point(base);
+          break;
+        case 'H':
+          segment.p = {x: scan.number() + base.x, y: pos.y};
+          break;
+        case 'V':
+          segment.p = {x: pos.x, y: scan.number() + (rel ? pos.y : 0)};
+          break;
+        case 'C':
+          segment = {type: 'C', c1: scan.point(base), c2: scan.point(base)};
+          segment.p = scan.point(base);
+          break;
+        case 'S':
+          segment = {type: 'C', c1: reflect(pos, lastControl, lastType, 'CS')};
+          segment.c2 = scan.point(base);
+          segment.p = scan.point(base);
+          break;
+        case 'Q':
+        case 'T':
+          var q = upper === 'Q' ?
+            scan.point(base) :
+            reflect(pos, lastControl, lastType, 'QT');
+          segment = quadToCubic(pos, q, scan.point(base));
+          segment.q = q;
+          break;
+        case 'A':
+          var arc = {
+            rx: scan.number(),
+            ry: scan.number(),
+            angle: scan.number(),
+            large: scan.flag(),
+            sweep: scan.flag()
+          };
+          arc.p = scan.point(base);
+          current.segments = current.segments.concat(arcToCubics(pos, arc));
+          segment = null;
+          pos = arc.p;
+          break;
+      }
+
+      if (segment) {
+        current.segments.push(segment);
+        pos = segment.p;
+      }
+
+      // Track the control point used for smooth curve reflection.
+      if (segment && segment.q) {
+        lastControl = segment.q;
+      } else if (segment && segment.c2) {
+        lastControl = segment.c2;
+      } else {
+        lastControl = null;
+      }
+      lastType = upper;
+    }
+
+    return subpaths;
+  };
+
+  /**
+   * Parse polyline point data into a single subpath of line segments.
+   *
+   * @param {string|array} points
+   *   Either SVG polyline "points" attribute string ("x,y x,y ..."), or an
+   *   array of [x, y] arrays or {x, y} objects.
+   * @param {boolean} closed
+   *   Pass true to close the polyline back to the start (polygon).
+   *
+   * @returns {object}
+   *   Single subpath object, as returned in the parseData array.
+   */
+  cncserver.paths.parsePoints = function(points, closed) {
+    var list = [];
+
+    if (typeof points === 'string') {
+      var nums = points.trim().split(/[\s,]+/).map(Number);
+      if (nums.length % 2 || nums.some(isNaN)) {
+        throw new Error('Invalid polyline points: "' + points + '"');
+      }
+
+      for (var i = 0; i < nums.length; i += 2) {
+        list.push({x: nums[i], y: nums[i + 1]});
+      }
+    } else if (Array.isArray(points)) {
+      list = points.map(function(point) {
+        var p = Array.isArray(point) ?
+          {x: Number(point[0]), y: Number(point[1])} :
+          {x: Number(point.x), y: Number(point.y)};
+
+        if (isNaN(p.x) || isNaN(p.y)) {
+          throw new Error('Invalid polyline point: ' + JSON.stringify(point));
+        }
+        return p;
+      });
+    }
+
+    if (!list.length) {
+      throw new Error('Polyline requires at least one point');
+    }
+
+    var subpath = {start: list.shift(), segments: [], closed: false};
+    list.forEach(function(p) {
+      subpath.segments.push({type: 'L', p: p});
+    });
+
+    if (closed) closeSubpath(subpath);
+    return subpath;
+  };
+
+  /**
+   * Render a full path submission into flat polylines measured in steps.
+   *
+   * @param {object} options
+   *   Path submission object, all optional except paths:
+   *     paths {array}: Items of path data strings, or objects with either "d"
+   *       path data or "points" polyline data, and optional "transform" and
+   *       (polylines only) "closed".
+   *     transform {string}: SVG transform applied to all paths.
+   *     width/height {number}: Size of the source canvas mapped to the work
+   *       area, defaults to 100 (path coordinates are percentages).
+   *     tolerance {number}: Maximum curve deviation in steps, defaults to the
+   *       "pathTolerance" global setting.
+   *
+   * @returns {array}
+   *   Array of polylines, each an array of {x, y} absolute step coordinates.
+   */
+  cncserver.paths.render = function(options) {
+    var width = Number(options.width) || 100;
+    var height = Number(options.height) || 100;
+    var tolerance = Number(options.tolerance) ||
+      Number(cncserver.gConf.get('pathTolerance')) || 1;
+    var globalMatrix = cncserver.paths.parseTransform(options.transform);
+    var polylines = [];
+
+    var paths = options.paths;
+    if (!Array.isArray(paths)) paths = [paths];
+
+    paths.forEach(function(item) {
+      if (typeof item === 'string') item = {d: item};
+      if (!item || (item.d === undefined && item.points === undefined)) {
+        throw new Error('Each path requires either "d" or "points" data');
+      }
+
+      var matrix = multiplyMatrix(
+        globalMatrix,
+        cncserver.paths.parseTransform(item.transform)
+      );
+
+      // Map source coordinates through the transform, then as a percentage of
+      // the canvas into work area steps. Both are affine, so mapping curve
+      // control points is the same as mapping the curve itself.
+      var toSteps = function(point) {
+        var p = applyMatrix(matrix, point);
+        return cncserver.utils.centToSteps({
+          x: (p.x / width) * 100,
+          y: (p.y / height) * 100
+        });
+      };
+
+      var subpaths = item.d !== undefined ?
+        cncserver.paths.parseData(item.d) :
+        [cncserver.paths.parsePoints(item.points, item.closed)];
+
+      subpaths.forEach(function(subpath) {
+        polylines.push(flattenSubpath(subpath, toSteps, tolerance));
+      });
+    });
+
+    return polylines;
+  };
+
+  /**
+   * Queue rendered polylines into the run buffer as pen up travel moves
+   * between pen down drawing moves.
+   *
+   * @param {array} polylines
+   *   Array of polylines of absolute step coordinates, from render().
+   *
+   * @returns {object}
+   *   Totals of what was queued: {paths, points, distance (in steps)}.
+   */
+  cncserver.paths.run = function(polylines) {
+    var stats = {paths: 0, points: 0, distance: 0};
+
+    polylines.forEach(function(points) {
+      if (!points.length) return;
+
+      if (cncserver.utils.penDown()) {
+        cncserver.control.setHeight('up');
+      }
+
+      stats.distance += cncserver.control.movePenAbs(
+        {x: points[0].x, y: points[0].y, limit: 'workArea'}
+      );
+      cncserver.control.setHeight('draw');
+
+      for (var i = 1; i < points.length; i++) {
+        stats.distance += cncserver.control.movePenAbs(
+          {x: points[i].x, y: points[i].y, limit: 'workArea'}
+        );
+      }
+
+      stats.paths++;
+      stats.points += points.length;
+    });
+
+    if (stats.paths) cncserver.control.setHeight('up');
+
+    stats.distance = Math.round(stats.distance);
+    return stats;
+  };
+
+  /**
+   * Render and queue a full path submission. See render() for options, along
+   * with "optimize" and "reverse" options to reorder paths, see
+   * cncserver.optimizer.optimize().
+   *
+   * @returns {object}
+   *   Totals of what was queued, as returned from run(), with pen up "travel"
+   *   distance before and after optimizing if enabled.
+   */
+  cncserver.paths.draw = function(options) {
+    var polylines = cncserver.paths.render(options);
+    var travel = null;
+
+    if (options.optimize) {
+      var result = cncserver.optimizer.optimize(polylines, {
+        mode: options.optimize,
+        reverse: options.reverse === true || options.reverse === 'true'
+      });
+      polylines = result.polylines;
+      travel = {before: result.before, after: result.after};
+    }
+
+    var stats = cncserver.paths.run(polylines);
+    if (travel) stats.travel = travel;
+    return stats;
+  };
+
+  /**
+   * Create a tokenizer for SVG path data, handling compact number formats like
+   * "1.5.5" and packed arc flags.
+   *
+   * @param {string} d
+   *   Raw path data.
+   *
+   * @returns {object}
+   *   Scanner object with reader functions.
+   */
+  function pathScanner(d) {
+    var index = 0;
+    var numberRe = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/;
+
+    function skip() {
+      while (index < d.length && /[\s,]/.test(d[index])) index++;
+    }
+
+    function fail(what) {
+      throw new Error(
+        'Invalid path data, expected ' + what + ' at position ' + index +
+        ': "' + d.substr(index, 10) + '"'
+      );
+    }
+
+    var scan = {
+      more: function() {
+        skip();
+        return index < d.length;
+      },
+      isCommand: function() {
+        skip();
+        return /[MZLHVCSQTA]/i.test(d[index]);
+      },
+      command: function() {
+        return d[index++];
+      },
+      number: function() {
+        skip();
+        var match = numberRe.exec(d.substr(index));
+        if (!match) fail('number');
+        index += match[0].length;
+        return Number(match[0]);
+      },
+      flag: function() {
+        skip();
+        if (d[index] !== '0' && d[index] !== '1') fail('arc flag');
+        return d[index++] === '1';
+      },
+      point: function(base) {
+        var x = scan.number() + base.x;
+        return {x: x, y: scan.number() + base.y};
+      }
+    };
+
+    return scan;
+  }
+
+  /**
+   * Add a closing line segment back to the start of a subpath.
+   *
+   * @param {object} subpath
+   *   Subpath to close, modified by reference.
+   */
+  function closeSubpath(subpath) {
+    if (subpath.closed) return;
+    subpath.segments.push({
+      type: 'L',
+      p: {x: subpath.start.x, y: subpath.start.y}
+    });
+    subpath.closed = true;
+  }
+
+  /**
+   * Reflect the last control point about the current position for smooth
+   * curve commands, or use the current position if the last command wasn't
+   * of a matching type.
+   */
+  function reflect(pos, control, lastType, types) {
+    if (!control || types.indexOf(lastType) === -1) {
+      return {x: pos.x, y: pos.y};
+    }
+    return {x: 2 * pos.x - control.x, y: 2 * pos.y - control.y};
+  }
+
+  /**
+   * Convert a quadratic bezier into an equivalent cubic segment.
+   */
+  function quadToCubic(p0, q, p) {
+    return {
+      type: 'C',
+      c1: {x: p0.x + (2 / 3) * (q.x - p0.x), y: p0.y + (2 / 3) * (q.y - p0.y)},
+      c2: {x: p.x + (2 / 3) * (q.x - p.x), y: p.y + (2 / 3) * (q.y - p.y)},
+      p: p
+    };
+  }
+
+  /**
+   * Convert an SVG endpoint parameterized elliptical arc into cubic segments,
+   * each covering at most a quarter turn. See SVG 1.1 spec, appendix F.6.
+   *
+   * @param {{x: number, y: number}} p0
+   *   Start point of the arc.
+   * @param {object} arc
+   *   Arc parameters: rx, ry, angle (degrees), large, sweep and end point p.
+   *
+   * @returns {array}
+   *   Array of segment objects.
+   */
+  function arcToCubics(p0, arc) {
+    var p = arc.p;
+    if (p0.x === p.x && p0.y === p.y) return [];
+
+    var rx = Math.abs(arc.rx);
+    var ry = Math.abs(arc.ry);
+    if (!rx || !ry) return [{type: 'L', p: p}];
+
+    var phi = arc.angle * Math.PI / 180;
+    var cos = Math.cos(phi);
+    var sin = Math.sin(phi);
+
+    // Transform to the ellipse's coordinate system.
+    var dx = (p0.x - p.x) / 2;
+    var dy = (p0.y - p.y) / 2;
+    var x1 = cos * dx + sin * dy;
+    var y1 = -sin * dx + cos * dy;
+
+    // Scale up radii that are too small to reach the end point.
+    var lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    var num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    var den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    var coef = Math.sqrt(Math.max(0, num / den));
+    if (arc.large === arc.sweep) coef = -coef;
+
+    var cx1 = coef * rx * y1 / ry;
+    var cy1 = -coef * ry * x1 / rx;
+    var center = {
+      x: cos * cx1 - sin * cy1 + (p0.x + p.x) / 2,
+      y: sin * cx1 + cos * cy1 + (p0.y + p.y) / 2
+    };
+
+    var u = {x: (x1 - cx1) / rx, y: (y1 - cy1) / ry};
+    var v = {x: (-x1 - cx1) / rx, y: (-y1 - cy1) / ry};
+    var theta = Math.atan2(u.y, u.x);
+    var delta = Math.atan2(u.x * v.y - u.y * v.x, u.x * v.x + u.y * v.y);
+
+    if (!arc.sweep && delta > 0) delta -= 2 * Math.PI;
+    if (arc.sweep && delta < 0) delta += 2 * Math.PI;
+
+    // Map a point on the unit circle back onto the rotated ellipse.
+    var toEllipse = function(ux, uy) {
+      return {
+        x: center.x + rx * ux * cos - ry * uy * sin,
+        y: center.y + rx * ux * sin + ry * uy * cos
+      };
+    };
+
+    var count = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+    var step = delta / count;
+    var t = (4 / 3) * Math.tan(step / 4);
+    var segments = [];
+
+    for (var i = 0; i < count; i++) {
+      var a1 = theta + i * step;
+      var a2 = a1 + step;
+      segments.push({
+        type: 'C',
+        c1: toEllipse(
+          Math.cos(a1) - t * Math.sin(a1),
+          Math.sin(a1) + t * Math.cos(a1)
+        ),
+        c2: toEllipse(
+          Math.cos(a2) + t * Math.sin(a2),
+          Math.sin(a2) - t * Math.cos(a2)
+        ),
+        p: toEllipse(Math.cos(a2), Math.sin(a2))
+      });
+    }
+
+    // Land exactly on the given end point.
+    segments[segments.length - 1].p = {x: p.x, y: p.y};
+    return segments;
+  }
+
+  /**
+   * Flatten a subpath into a list of mapped points.
+   *
+   * @param {object} subpath
+   *   Subpath object from parseData or parsePoints.
+   * @param {function} map
+   *   Function to map source points into destination (step) coordinates.
+   * @param {number} tolerance
+   *   Maximum allowed deviation from curves, in destination units.
+   *
+   * @returns {array}
+   *   Flat array of {x, y} mapped points.
+   */
+  function flattenSubpath(subpath, map, tolerance) {
+    var last = map(subpath.start);
+    var points = [last];
+
+    subpath.segments.forEach(function(segment) {
+      var p = map(segment.p);
+      if (segment.type === 'C') {
+        flattenCubic([last, map(segment.c1), map(segment.c2), p], tolerance, 0)
+          .forEach(function(point) {
+            points.push(point);
+          });
+      } else {
+        points.push(p);
+      }
+      last = p;
+    });
+
+    return points;
+  }
+
+  /**
+   * Recursively subdivide a cubic bezier until it is flat within tolerance.
+   *
+   * @param {array} c
+   *   Four curve points: start, control 1, control 2, end.
+   * @param {number} tolerance
+   *   Maximum distance of the control points from the chord.
+   * @param {number} depth
+   *   Current recursion depth.
+   *
+   * @returns {array}
+   *   Points along the curve, excluding the start point.
+   */
+  function flattenCubic(c, tolerance, depth) {
+    if (depth >= maxFlattenDepth || isFlat(c, tolerance)) {
+      return [c[3]];
+    }
+
+    // De Casteljau split at t = 0.5.
+    var ab = midpoint(c[0], c[1]);
+    var bc = midpoint(c[1], c[2]);
+    var cd = midpoint(c[2], c[3]);
+    var abc = midpoint(ab, bc);
+    var bcd = midpoint(bc, cd);
+    var mid = midpoint(abc, bcd);
+
+    return flattenCubic([c[0], ab, abc, mid], tolerance, depth + 1).concat(
+      flattenCubic([mid, bcd, cd, c[3]], tolerance, depth + 1)
+    );
+  }
+
+  function isFlat(c, tolerance) {
+    return distanceToLine(c[1], c[0], c[3]) <= tolerance &&
+      distanceToLine(c[2], c[0], c[3]) <= tolerance;
+  }
+
+  function distanceToLine(p, a, b) {
+    var dx = b.x - a.x;
+    var dy = b.y - a.y;
+    var length = Math.sqrt(dx * dx + dy * dy);
+
+    if (!length) {
+      return cncserver.utils.getVectorLength({x: p.x - a.x, y: p.y - a.y});
+    }
+
+    return Math.abs(dy * p.x - dx * p.y + b.x * a.y - b.y * a.x) / length;
+  }
+
+  function midpoint(a, b) {
+    return {x: (a.x + b.x) / 2, y: (a.y + b.y) / 2};
+  }
+
+  /**
+   * Build the affine matrix for a single named SVG transform function.
+   */
+  function transformMatrix(name, args) {
+    var rad;
+    switch (name) {
+      case 'matrix':
+        if (args.length !== 6) throw new Error('matrix() requires 6 values');
+        return args;
+      case 'translate':
+        return [1, 0, 0, 1, args[0], args[1] || 0];
+      case 'scale':
+        var sy = args.length > 1 ? args[1] : args[0];
+        return [args[0], 0, 0, sy, 0, 0];
+      case 'rotate':
+        rad = args[0] * Math.PI / 180;
+        var rotate = [
+          Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), 0, 0
+        ];
+
+        if (args.length < 3) return rotate;
+
+        // Rotate about a given center point.
+        return multiplyMatrix(
+          multiplyMatrix([1, 0, 0, 1, args[1], args[2]], rotate),
+          [1, 0, 0, 1, -args[1], -args[2]]
+        );
+      case 'skewX':
+        return [1, 0, Math.tan(args[0] * Math.PI / 180), 1, 0, 0];
+      case 'skewY':
+        return [1, Math.tan(args[0] * Math.PI / 180), 0, 1, 0, 0];
+    }
+  }
+
+  function multiplyMatrix(m, n) {
+    return [
+      m[0] * n[0] + m[2] * n[1],
+      m[1] * n[0] + m[3] * n[1],
+      m[0] * n[2] + m[2] * n[3],
+      m[1] * n[2] + m[3] * n[3],
+      m[0] * n[4] + m[2] * n[5] + m[4],
+      m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+  }
+
+  function applyMatrix(m, p) {
+    return {
+      x: m[0] * p.x + m[2] * p.y + m[4],
+      y: m[1] * p.x + m[3] * p.y + m[5]
+    };
+  }
+
+  // Exports.
+  cncserver.exports.drawPaths = cncserver.paths.draw;
+};
@@ -0,0 +1,409 @@
+"use strict";
+
+/**
+ * @file Abstraction module for the look-ahead motion planner for CNC Server!
+ *
+ * Consecutive absolute moves are held back briefly in a planning window so
+ * that junction speeds between them can be found, and each move can be split
+ * into acceleration, cruise and deceleration movexy commands instead of
+ * running every move at a constant speed from and to a full stop.
+ */
+
+module.exports = function(cncserver) {
+  cncserver.planner = {
+    lookahead: 16,   // Max number of moves held in the planning window.
+    flushDelay: 50,  // Milliseconds to wait for more moves before sending.
+    rampSegments: 8, // Max number of commands to split each ramp into.
+    minSegment: 10   // Minimum distance in steps of each ramp command.
+  };
+
+  // Planning window of held moves, and the fixed entry speed of the first.
+  var queue = [];
+  var firstEntry = 0;
+  var flushTimer = null;
+
+  /**
+   * Is the planner enabled for the current bot? Requires an acceleration
+   * value in the bot "speed" config, and a relative position controller.
+   *
+   * @returns {boolean}
+   *   True if enabled, false if moves should run at constant speed.
+   */
+  cncserver.planner.enabled = function() {
+    var controller = cncserver.botConf.get('controller');
+    return cncserver.planner.getAcceleration() > 0 &&
+      controller.position === 'relative';
+  };
+
+  /**
+   * Get the configured bot acceleration.
+   *
+   * @returns {number}
+   *   Acceleration in steps per second squared, 0 if not set.
+   */
+  cncserver.planner.getAcceleration = function() {
+    return parseFloat(cncserver.botConf.get('speed:acceleration')) || 0;
+  };
+
+  /**
+   * Get the configured bot junction deviation.
+   *
+   * @returns {number}
+   *   Junction deviation in steps, 0 if not set.
+   */
+  cncserver.planner.getCornering = function() {
+    return parseFloat(cncserver.botConf.get('speed:cornering')) || 0;
+  };
+
+  /**
+   * Hold a new buffer item in the planning window if it can be planned.
+   *
+   * @param {object} item
+   *   The buffer item being added.
+   * @param {string} hash
+   *   The buffer item's hash.
+   *
+   * @returns {boolean}
+   *   True if the item is held and will be sent to the runner by the planner,
+   *   false if the item should be sent as normal.
+   */
+  cncserver.planner.hold = function(item, hash) {
+    if (!cncserver.planner.enabled()) return false;
+    if (typeof item.command !== 'object' || item.command.type !== 'absmove') {
+      return false;
+    }
+
+    var change = {
+      x: item.command.x - item.command.source.x,
+      y: item.command.y - item.command.source.y
+    };
+    var distance = cncserver.utils.getVectorLength(change);
+    if (!distance) return false;
+
+    queue.push({
+      hash: hash,
+      item: item,
+      distance: distance,
+      unit: {x: change.x / distance, y: change.y / distance},
+      nominal: cncserver.utils.getSpeed(item.pen)
+    });
+
+    var accel = cncserver.planner.getAcceleration();
+    cncserver.planner.plan(
+      queue,
+      firstEntry,
+      accel,
+      cncserver.planner.getCornering()
+    );
+
+    // Every held move may now take a different time, the newest stopping.
+    queue.forEach(function(block) {
+      setDuration(block, accel);
+    });
+
+    // Send the oldest moves once they have enough look-ahead.
+    while (queue.length > cncserver.planner.lookahead) {
+      sendNext();
+    }
+
+    clearTimeout(flushTimer);
+    flushTimer = setTimeout(
+      cncserver.planner.flush,
+      cncserver.planner.flushDelay
+    );
+
+    return true;
+  };
+
+  /**
+   * Send all held moves to the runner, ending the last one at a full stop.
+   */
+  cncserver.planner.flush = function() {
+    clearTimeout(flushTimer);
+    while (queue.length) {
+      sendNext();
+    }
+    firstEntry = 0;
+  };
+
+  /**
+   * Is a buffer item held by the planner, not yet sent to the runner?
+   *
+   * @param {string} hash
+   *   The buffer item's hash.
+   *
+   * @returns {boolean}
+   */
+  cncserver.planner.isHeld = function(hash) {
+    return queue.some(function(block) {
+      return block.hash === hash;
+    });
+  };
+
+  /**
+   * Drop all held moves, used when the buffer is cleared.
+   */
+  cncserver.planner.clear = function() {
+    clearTimeout(flushTimer);
+    queue = [];
+    firstEntry = 0;
+  };
+
+  /**
+   * Plan entry and exit speeds for a list of consecutive moves.
+   *
+   * @param {array} blocks
+   *   Array of move objects with distance (steps), unit direction vector and
+   *   nominal speed (steps per second). Entry/exit speeds are set by reference.
+   * @param {number} entry
+   *   Fixed entry speed of the first block.
+   * @param {number} accel
+   *   Acceleration in steps per second squared.
+   * @param {number} deviation
+   *   Junction deviation in steps, how far corners may be rounded at speed.
+   *
+   * @returns {array}
+   *   The planned blocks.
+   */
+  cncserver.planner.plan = function(blocks, entry, accel, deviation) {
+    var i;
+    if (!blocks.length) return blocks;
+
+    // Reverse pass: the last block must be able to stop, and every block must
+    // be able to slow down to the next block's entry speed.
+    var exit = 0;
+    for (i = blocks.length - 1; i >= 0; i--) {
+      var b = blocks[i];
+      b.exit = exit;
+
+      var max = Math.min(
+        b.nominal,
+        Math.sqrt(exit * exit + 2 * accel * b.distance)
+      );
+      if (i > 0) {
+        max = Math.min(max, cncserver.planner.junctionSpeed(
+          blocks[i - 1],
+          b,
+          accel,
+          deviation
+        ));
+      }
+
+      b.entry = max;
+      exit = max;
+    }
+
+    // Forward pass: every block must be able to reach its exit speed from its
+    // entry speed.
+    blocks[0].entry = Math.min(entry, blocks[0].entry);
+    for (i = 0; i < blocks.length; i++) {
+      var reach = Math.sqrt(
+        Math.pow(blocks[i].entry, 2) + 2 * accel * blocks[i].distance
+      );
+      blocks[i].exit = Math.min(blocks[i].exit, reach);
+      if (i + 1 < blocks.length) {
+        blocks[i + 1].entry = Math.min(blocks[i + 1].entry, blocks[i].exit);
+      }
+    }
+
+    return blocks;
+  };
+
+  /**
+   * Find the max speed for the junction between two moves, based on the angle
+   * between them.
+   *
+   * @returns {number}
+   *   Max junction speed in steps per second.
+   */
+  cncserver.planner.junctionSpeed = function(prev, next, accel, deviation) {
+    var nominal = Math.min(prev.nominal, next.nominal);
+    var cosTheta = -(prev.unit.x * next.unit.x + prev.unit.y * next.unit.y);
+
+    if (cosTheta > 0.999999) return 0; // Full reversal.
+    if (cosTheta < -0.999999) return nominal; // Straight line.
+
+    var sinHalf = Math.sqrt(0.5 * (1 - cosTheta));
+    return Math.min(
+      nominal,
+      Math.sqrt(accel * deviation * sinHalf / (1 - sinHalf))
+    );
+  };
+
+  /**
+   * Calculate the trapezoidal speed profile for a single move, split into
+   * constant speed segments.
+   *
+   * @param {object} block
+   *   Planned move with distance, entry, exit and nominal speeds.
+   * @param {number} accel
+   *   Acceleration in steps per second squared.
+   *
+   * @returns {array}
+   *   Array of segments: {start, end} distance along the move in steps, and
+   *   duration in milliseconds.
+   */
+  cncserver.planner.profile = function(block, accel) {
+    var d = block.distance;
+    var entry = block.entry;
+    var exit = block.exit;
+    var peak = block.nominal;
+
+    var accelDist = (peak * peak - entry * entry) / (2 * accel);
+    var decelDist = (peak * peak - exit * exit) / (2 * accel);
+
+    // Not enough room to reach nominal speed, find the triangle peak.
+    if (accelDist + decelDist > d) {
+      peak = Math.sqrt((2 * accel * d + entry * entry + exit * exit) / 2);
+      accelDist = Math.max(0, (peak * peak - entry * entry) / (2 * accel));
+      decelDist = Math.max(0, d - accelDist);
+    }
+
+    var segments = rampSegments(0, accelDist, entry, accel);
+    var cruise = d - accelDist - decelDist;
+    if (cruise > 0.000001) {
+      segments.push({
+        start: accelDist,
+        end: accelDist + cruise,
+        duration: (cruise / peak) * 1000
+      });
+    }
+
+    return segments.concat(rampSegments(d - decelDist, d, peak, -accel));
+  };
+
+  /**
+   * Render a planned absolute move buffer item into movexy commands.
+   *
+   * @param {object} item
+   *   Buffer item with "plan" data set by the planner.
+   *
+   * @returns {array}
+   *   Array of serial command strings.
+   */
+  cncserver.planner.render = function(item) {
+    var change = cncserver.utils.getPosChangeData(
+      item.command.source,
+      item.command
+    );
+
+    // Split steps along the move, rounding the running total so the sum of
+    // all segments always exactly matches the full change.
+    var d = item.plan.distance;
+    var stepsAt = function(at) {
+      return {
+        x: Math.round(change.x * (at / d)),
+        y: Math.round(change.y * (at / d))
+      };
+    };
+
+    var commands = [];
+    var done = {x: 0, y: 0};
+    var extra = 0; // Duration carried over from segments too small to send.
+
+    item.plan.segments.forEach(function(segment, index) {
+      var last = index === item.plan.segments.length - 1;
+      var to = last ? {x: change.x, y: change.y} : stepsAt(segment.end);
+      var steps = {x: to.x - done.x, y: to.y - done.y};
+      var duration = segment.duration + extra;
+
+      if (!steps.x && !steps.y) {
+        extra = duration;
+        return;
+      }
+
+      commands.push(cncserver.buffer.cmdstr('movexy', {
+        d: Math.max(1, Math.round(duration)),
+        x: steps.x,
+        y: steps.y
+      }));
+      done = to;
+      extra = 0;
+    });
+
+    return commands;
+  };
+
+  /**
+   * Split a constant acceleration ramp into constant speed segments.
+   *
+   * @param {number} start
+   *   Distance along the move the ramp starts at.
+   * @param {number} end
+   *   Distance along the move the ramp ends at.
+   * @param {number} speed
+   *   Speed at the start of the ramp.
+   * @param {number} accel
+   *   Acceleration, negative to decelerate.
+   *
+   * @returns {array}
+   *   Segments, as returned by profile().
+   */
+  function rampSegments(start, end, speed, accel) {
+    var length = end - start;
+    var segments = [];
+    if (length <= 0.000001) return segments;
+
+    var count = Math.min(
+      cncserver.planner.rampSegments,
+      Math.max(1, Math.floor(length / cncserver.planner.minSegment))
+    );
+
+    var speedAt = function(s) {
+      return Math.sqrt(Math.max(0, speed * speed + 2 * accel * s));
+    };
+
+    for (var i = 0; i < count; i++) {
+      var s0 = (length * i) / count;
+      var s1 = (length * (i + 1)) / count;
+      var avg = (speedAt(s0) + speedAt(s1)) / 2;
+      segments.push({
+        start: start + s0,
+        end: start + s1,
+        duration: avg ? ((s1 - s0) / avg) * 1000 : 0
+      });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Profile a held move with its current entry and exit speeds, replacing the
+   * constant speed duration of its buffer item with the planned one.
+   */
+  function setDuration(block, accel) {
+    block.segments = cncserver.planner.profile(block, accel);
+
+    var duration = block.segments.reduce(function(total, segment) {
+      return total + segment.duration;
+    }, 0);
+    block.item.duration = Math.max(1, Math.round(duration));
+    block.item.pen.lastDuration = block.item.duration;
+  }
+
+  /**
+   * Send the oldest held move to the runner with its final plan, as profiled
+   * when last planned.
+   */
+  function sendNext() {
+    var block = queue.shift();
+
+    // Buffer was cleared out from under us, nothing to send.
+    if (!cncserver.buffer.dataSet[block.hash]) return;
+
+    block.item.plan = {
+      distance: block.distance,
+      entry: block.entry,
+      exit: block.exit,
+      segments: block.segments
+    };
+
+    // The next block's entry is now fixed to what this one exits at.
+    firstEntry = block.exit;
+
+    cncserver.buffer.send(block.hash);
+  }
+
+  // Exports.
+  cncserver.exports.flushPlanner = cncserver.planner.flush;
+};
@@ -0,0 +1,256 @@
+"use strict";
+
+/**
+ * @file Abstraction module for machine profile management for CNC Server!
+ * Lists, reads, creates, clones and updates the bot type profiles kept as INI
+ * files, validating them before anything is written. Profiles are saved apart
+ * from those shipped in machine_types, see cncserver.settings.botPaths.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+module.exports = function(cncserver) {
+  cncserver.profiles = {
+    // Settings every bot needs, anything else is left to defaults.
+    required: [
+      'name',
+      'controller:name',
+      'controller:baudRate',
+      'controller:position',
+      'controller:commands:movexy',
+      'controller:commands:movez',
+      'speed:min',
+      'speed:max',
+      'speed:drawing',
+      'speed:moving',
+      'maxArea:width',
+      'maxArea:height',
+      'workArea:left',
+      'workArea:top',
+      'park:x',
+      'park:y',
+      'servo:min',
+      'servo:max',
+      'servo:presets:up',
+      'servo:presets:draw'
+    ]
+  };
+
+  /**
+   * Get the INI file path a profile is saved to.
+   *
+   * @param {string} type
+   *   Machine name of the profile, E.G. "axidraw".
+   *
+   * @returns {string}
+   *   Full file path, in the saved profiles directory.
+   *
+   * @throws {Error}
+   *   If the machine name isn't valid for a file name.
+   */
+  cncserver.profiles.getPath = function(type) {
+    if (!/^[a-z0-9_\-]+$/i.test(type)) {
+      throw new Error(
+        'Invalid profile name "' + type + '", use only letters, numbers, ' +
+        'dashes and underscores'
+      );
+    }
+
+    return path.join(cncserver.settings.botPaths.user, type + '.ini');
+  };
+
+  /**
+   * Get a summary of every profile.
+   *
+   * @returns {array}
+   *   Profile summaries with "type" machine name, bot "name", "controller"
+   *   name, and whether it's "custom", saved via the API.
+   */
+  cncserver.profiles.list = function() {
+    var bots = cncserver.settings.getSupportedBots();
+    return Object.keys(bots).map(function(type) {
+      return {
+        type: type,
+        name: bots[type].name,
+        controller: (bots[type].data.controller || {}).name,
+        custom: bots[type].custom
+      };
+    });
+  };
+
+  /**
+   * Get the full data of a profile.
+   *
+   * @param {string} type
+   *   Machine name of the profile.
+   *
+   * @returns {object}
+   *   Profile data as parsed from the INI file, saved or shipped, or null if
+   *   there's no such profile.
+   */
+  cncserver.profiles.get = function(type) {
+    try {
+      cncserver.profiles.getPath(type);
+    } catch (e) {
+      return null;
+    }
+
+    var file = cncserver.settings.getBotFile(type);
+    if (!fs.existsSync(file)) return null;
+
+    var ini = require('ini');
+    return ini.parse(fs.readFileSync(file, 'utf-8'));
+  };
+
+  /**
+   * Validate profile data, by the bot settings schema.
+   *
+   * @param {object} data
+   *   Full profile data.
+   *
+   * @returns {array}
+   *   Array of errors, each with the setting "field" path and a "message",
+   *   empty if the profile is valid.
+   */
+  cncserver.profiles.validate = function(data) {
+    var flat = cncserver.schema.flatten(data);
+    var errors = [];
+    cncserver.profiles.required.forEach(function(field) {
+      if (typeof flat[field] === 'undefined' || flat[field] === '') {
+        errors.push({field: field, message: 'is required'});
+      }
+    });
+
+    // A profile stands alone, so ranges are only checked within it.
+    var result = cncserver.schema.validate('bot', data, {
+      get: function() {}
+    });
+
+    return errors.concat(result.errors.filter(function(error) {
+      return !errors.some(function(missing) {
+        return missing.field === error.field;
+      });
+    }));
+  };
+
+  /**
+   * Create a new profile.
+   *
+   * @param {string} type
+   *   Machine name for the new profile.
+   * @param {object} data
+   *   Full profile data.
+   *
+   * @returns {object}
+   *   The saved profile data.
+   *
+   * @throws {Error}
+   *   If the profile already exists, or isn't valid, with any validation errors
+   *   as "errors".
+   */
+  cncserver.profiles.create = function(type, data) {
+    // Check the name first, as a bad one is simply not found by get().
+    cncserver.profiles.getPath(type);
+    if (cncserver.profiles.get(type)) {
+      throw new Error('Profile "' + type + '" already exists');
+    }
+
+    return save(type, data);
+  };
+
+  /**
+   * Create a new profile as a copy of another, with optional changes.
+   *
+   * @param {string} from
+   *   Machine name of the profile to copy.
+   * @param {string} type
+   *   Machine name for the new profile.
+   * @param {object} changes
+   *   Profile data to merge over the copy.
+   *
+   * @returns {object}
+   *   The saved profile data.
+   *
+   * @throws {Error}
+   *   As cncserver.profiles.create, or if the source profile doesn't exist.
+   */
+  cncserver.profiles.clone = function(from, type, changes) {
+    var data = cncserver.profiles.get(from);
+    if (!data) {
+      throw new Error('Profile "' + from + '" not found');
+    }
+
+    return cncserver.profiles.create(type, merge(data, changes || {}));
+  };
+
+  /**
+   * Update an existing profile, a shipped profile being saved as a copy that
+   * takes its place. Changes to the current bot type apply right away.
+   *
+   * @param {string} type
+   *   Machine name of the profile.
+   * @param {object} changes
+   *   Profile data to merge over the existing profile.
+   *
+   * @returns {object}
+   *   The saved profile data.
+   *
+   * @throws {Error}
+   *   If the profile doesn't exist, or the result isn't valid, with any
+   *   validation errors as "errors".
+   */
+  cncserver.profiles.update = function(type, changes) {
+    var data = cncserver.profiles.get(type);
+    if (!data) {
+      throw new Error('Profile "' + type + '" not found');
+    }
+
+    return save(type, merge(data, changes));
+  };
+
+  /**
+   * Validate and write a profile to its saved INI file, reloading the bot
+   * config if it's the current bot type.
+   */
+  function save(type, data) {
+    var errors = cncserver.profiles.validate(data);
+    if (errors.length) {
+      var err = new Error('Profile "' + type + '" is not valid');
+      err.errors = errors;
+      throw err;
+    }
+
+    var ini = require('ini');
+    var file = cncserver.profiles.getPath(type);
+    if (!fs.existsSync(path.dirname(file))) fs.mkdirSync(path.dirname(file));
+    fs.writeFileSync(file, ini.stringify(data));
+
+    if (type === cncserver.gConf.get('botType')) {
+      cncserver.settings.reloadBotConfig();
+    }
+    return data;
+  }
+
+  /**
+   * Deep merge plain objects, returning a new object.
+   */
+  function merge(base, changes) {
+    var out = cncserver.utils.extend({}, base);
+    Object.keys(changes).forEach(function(key) {
+      if (isObject(changes[key]) && isObject(out[key])) {
+        out[key] = merge(out[key], changes[key]);
+      } else {
+        out[key] = changes[key];
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Is the value a plain object?
+   */
+  function isObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+  }
+};
@@ -16,6 +16,9 @@ module.exports = function(cncserver) {
     newlyPaused: false,  // Trigger for pause callback on executeNext()
     pauseCallback: null, // Temporary callback storage when pause is complete.
     pausePen: null,      // Hold the state when paused initiated for resuming
+    pauseReason: '',     // Why the buffer was paused, if not by request.
+    current: null,       // Hash of the item being run, if any.
+    capturing: null      // Array of captured items, see buffer.capture().
   };
 
   /**
@@ -32,9 +35,10 @@ module.exports = function(cncserver) {
   };
 
 
-  // Pause the buffer running.
-  cncserver.buffer.pause = function() {
+  // Pause the buffer running, with an optional reason to tell clients.
+  cncserver.buffer.pause = function(reason) {
     cncserver.buffer.paused = true;
+    cncserver.buffer.pauseReason = reason || '';
 
     // Hold on to the current actualPen to return to before resuming.
     cncserver.buffer.pausePen = cncserver.utils.extend(
@@ -48,6 +52,7 @@ module.exports = function(cncserver) {
   cncserver.buffer.resume = function() {
     cncserver.buffer.paused = false;
     cncserver.buffer.pausePen = null;
+    cncserver.buffer.pauseReason = '';
     cncserver.ipc.sendMessage('buffer.resume');
     cncserver.io.sendBufferVars();
   };
@@ -63,17 +68,60 @@ module.exports = function(cncserver) {
 
   // Add an object to the buffer.
   cncserver.buffer.addItem = function(item) {
+    // Captured items are kept for later, not run now.
+    if (cncserver.buffer.capturing) {
+      cncserver.buffer.capturing.push(item);
+      return;
+    }
+
     var hash = cncserver.utils.getHash(item);
     cncserver.buffer.data.unshift(hash);
     cncserver.buffer.dataSet[hash] = item;
 
-    // Add the item to the runner's buffer.
+    // Moves are held by the planner for look-ahead, anything else must wait
+    // for any held moves to be sent first to keep the order.
+    if (!cncserver.planner.hold(item, hash)) {
+      cncserver.planner.flush();
+      cncserver.buffer.send(hash);
+    }
+
+    cncserver.io.sendBufferAdd(item, hash); // Alert clients.
+  };
+
+  /**
+   * Capture all items added to the buffer by the given function instead of
+   * running them, leaving the tip of the buffer pen (and reink count) where it
+   * was.
+   *
+   * @param {function} fn
+   *   Function to run, passed the array of items captured so far.
+   *
+   * @returns {array}
+   *   Array of captured buffer items.
+   */
+  cncserver.buffer.capture = function(fn) {
+    var pen = extend({}, cncserver.pen);
+    var reink = extend({}, cncserver.reink.data);
+    var items = [];
+
+    cncserver.buffer.capturing = items;
+    try {
+      fn(items);
+    } finally {
+      cncserver.buffer.capturing = null;
+      cncserver.pen = pen;
+      cncserver.reink.data = reink;
+    }
+
+    return items;
+  };
+
+  // Render and send an item already in the buffer to the runner's buffer.
+  cncserver.buffer.send = function(hash) {
     cncserver.ipc.sendMessage('buffer.add', {
       hash: hash,
-      commands: cncserver.buffer.render(item)
+      commands: cncserver.buffer.render(cncserver.buffer.dataSet[hash])
     });
-
-    cncserver.io.sendBufferAdd(item, hash); // Alert clients.
   };
 
   // Event for when a buffer has been started.
@@ -81,6 +129,8 @@ module.exports = function(cncserver) {
     var index = cncserver.buffer.data.indexOf(hash);
     if (cncserver.buffer.dataSet[hash] && index > -1) {
       var item = cncserver.buffer.dataSet[hash];
+      cncserver.buffer.current = hash;
+      cncserver.history.start(hash, item, cncserver.actualPen);
 
       // Update the state of the actualPen to match the one in the buffer.
       cncserver.actualPen = extend({}, item.pen);
@@ -102,12 +152,17 @@ module.exports = function(cncserver) {
   // when an item is run into the machine.
   cncserver.buffer.removeItem = function(hash) {
     var index = cncserver.buffer.data.indexOf(hash);
+    if (cncserver.buffer.current === hash) cncserver.buffer.current = null;
     if (cncserver.buffer.dataSet[hash] && index > -1) {
       cncserver.buffer.data.splice(index, 1);
       var item = cncserver.buffer.dataSet[hash];
 
       // For buffer items with non-serial commands, it's time to do something!
       cncserver.buffer.trigger(item);
+      cncserver.jobs.itemDone(item);
+      cncserver.rules.itemDone(item);
+      cncserver.history.done(hash);
+      cncserver.metrics.itemDone(item);
 
       delete cncserver.buffer.dataSet[hash];
       cncserver.io.sendBufferRemove();
@@ -131,9 +186,15 @@ module.exports = function(cncserver) {
   cncserver.buffer.clear = function(isEmpty) {
     cncserver.buffer.data = [];
     cncserver.buffer.dataSet = {};
+    cncserver.buffer.current = null;
+    cncserver.planner.clear();
+    cncserver.jobs.interrupt();
+    cncserver.history.interrupt();
+    cncserver.settings.cancelBotTypeChange('the buffer was cleared');
 
     cncserver.buffer.pausePen = null; // Resuming with an empty buffer is silly
     cncserver.buffer.paused = false;
+    cncserver.buffer.pauseReason = '';
 
     // Reset the state of the buffer tip pen to the state of the actual robot.
     // If this isn't done, it will be assumed to be a state that was deleted
@@ -159,6 +220,8 @@ module.exports = function(cncserver) {
    *    - height
    *    - message
    *    - callbackname
+   *    - pause
+   *    - lift
    *    - wait
    *    - custom
    *    - callback
@@ -199,6 +262,19 @@ module.exports = function(cncserver) {
         // Detailed buffer object with a callback machine name
         c = {type: 'callbackname', name: data};
         break;
+      case 'pause':
+        // Detailed buffer object to pause for the user, see tools.pause()
+        c = {
+          type: 'pause',
+          message: data.message,
+          index: data.index,
+          delay: data.delay
+        };
+        break;
+      case 'lift':
+        // Detailed buffer object to lift the pen as it leaves the canvas
+        c = {type: 'lift'};
+        break;
       case 'wait':
         // Send wait, blocking buffer
         if (!cncserver.bot.commands.wait) return false;
@@ -217,11 +293,15 @@ module.exports = function(cncserver) {
     // Add final command and duration to end of queue, along with a copy of the
     // pen state at this point in time to be copied to actualPen after execution
     cncserver.pen.lastDuration = duration;
-    cncserver.buffer.addItem({
+    var item = {
       command: c,
       duration: duration,
       pen: extend({}, cncserver.pen)
-    });
+    };
+    cncserver.buffer.addItem(item);
+
+    // Planned moves take the time the planner gives them instead.
+    cncserver.pen.lastDuration = item.duration;
 
     return true;
   };
@@ -243,6 +323,12 @@ module.exports = function(cncserver) {
     if (typeof item.command === "object") { // Detailed buffer object
       switch (item.command.type) {
         case 'absmove':
+          // Moves planned with acceleration are split into multiple commands.
+          if (item.plan) {
+            commandOut = cncserver.planner.render(item);
+            break;
+          }
+
           var change = cncserver.utils.getPosChangeData(
             item.command.source,
             item.command
@@ -301,6 +387,14 @@ module.exports = function(cncserver) {
         case 'callbackname':
           cncserver.io.sendCallbackUpdate(item.command.name);
           return true;
+        case 'pause':
+          cncserver.tools.pause(item.command);
+          return true;
+        case 'lift':
+          // Don't change the known state, so it can be returned to in bounds.
+          cncserver.control.setHeight('up', false, true);
+          cncserver.pen.height = cncserver.utils.stateToHeight('up').height;
+          return true;
       }
     }
 
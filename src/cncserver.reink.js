@@ -0,0 +1,166 @@
+"use strict";
+
+/**
+ * @file Abstraction module for automatic re-inking for CNC Server! Once a
+ * reink distance is set, every time the pen has drawn that far (as tallied in
+ * pen.distanceCounter) the move is split where it's due, and a tool change to
+ * get more ink is queued before returning to carry on drawing.
+ */
+
+module.exports = function(cncserver) {
+  cncserver.reink = {
+    data: {
+      distance: 0, // Drawing distance in steps between reinks, 0 for off.
+      tool: '', // Tool to reink with, defaults to the current pen tool.
+      wash: '', // Optional tool to dip in first, E.G. "water0dip".
+      start: 0 // Distance counter value when last reinked.
+    }
+  };
+
+  var running = false; // Whether a reink is being queued.
+
+  /**
+   * Get the reink settings.
+   *
+   * @returns {object}
+   *   Settings with the reink "distance" in steps, the "tool" and "wash" tool
+   *   names, and the drawing distance "remaining" until the next reink.
+   */
+  cncserver.reink.getStatus = function() {
+    var data = cncserver.reink.data;
+    return {
+      distance: data.distance,
+      tool: data.tool,
+      wash: data.wash,
+      remaining: data.distance ? Math.max(getRemaining(), 0) : 0
+    };
+  };
+
+  /**
+   * Set up automatic reinking, starting the distance count from here.
+   *
+   * @param {object} options
+   *   Reink options:
+   *     distance {number}: Drawing distance between reinks, 0 to turn off.
+   *     units {string}: Units the distance is given in, "steps" (default),
+   *       "mm" or "in".
+   *     tool {string}: Tool to reink with, defaults to the current pen tool.
+   *     wash {string}: Tool to dip in before reinking, if any.
+   *
+   * @returns {object}
+   *   Reink status, see cncserver.reink.getStatus.
+   *
+   * @throws {Error}
+   *   If the distance, units or tools aren't valid.
+   */
+  cncserver.reink.set = function(options) {
+    var units = options.units || 'steps';
+    var scale = 1;
+    if (units !== 'steps') {
+      if (!cncserver.utils.units[units] ||
+          !cncserver.utils.unitsSupported(units)) {
+        throw new Error('Units "' + units + '" not supported for this bot');
+      }
+      scale = cncserver.utils.units[units] * cncserver.bot.stepsPerMM;
+    }
+
+    var distance = Number(options.distance) * scale;
+    if (isNaN(distance) || distance < 0) {
+      throw new Error('Reink distance must be a positive number');
+    }
+
+    ['tool', 'wash'].forEach(function(key) {
+      if (options[key] && !cncserver.botConf.get('tools:' + options[key])) {
+        throw new Error('Tool "' + options[key] + '" not found');
+      }
+    });
+
+    cncserver.reink.data = {
+      distance: Math.round(distance),
+      tool: String(options.tool || ''),
+      wash: String(options.wash || ''),
+      start: Number(cncserver.pen.distanceCounter) || 0
+    };
+
+    return cncserver.reink.getStatus();
+  };
+
+  /**
+   * Get the point to split a move at to reink exactly where it's due, called
+   * before a move is queued.
+   *
+   * @param {{x: number, y: number}} point
+   *   Absolute coordinate in steps the pen is about to move to.
+   *
+   * @returns {{x: number, y: number}}
+   *   The point along the move where the reink is due, or null if the move
+   *   doesn't need splitting.
+   */
+  cncserver.reink.getSplit = function(point) {
+    if (!cncserver.reink.data.distance || running || !drawing(point)) {
+      return null;
+    }
+
+    var remaining = getRemaining();
+    var change = {x: point.x - cncserver.pen.x, y: point.y - cncserver.pen.y};
+    var length = cncserver.utils.getVectorLength(change);
+    if (remaining < 1 || length <= remaining) return null;
+
+    return {
+      x: Math.round(cncserver.pen.x + change.x * remaining / length),
+      y: Math.round(cncserver.pen.y + change.y * remaining / length)
+    };
+  };
+
+  /**
+   * Queue a reink if it's due, called after every move is queued.
+   */
+  cncserver.reink.check = function() {
+    var data = cncserver.reink.data;
+    if (!data.distance || running || getRemaining() >= 1) return;
+
+    var toolName = data.tool || cncserver.pen.tool;
+    if (!cncserver.botConf.get('tools:' + toolName)) return;
+
+    running = true;
+    var resume = {x: cncserver.pen.x, y: cncserver.pen.y};
+    var state = cncserver.pen.state;
+
+    // Never left running if queueing fails, or no reink would run again.
+    try {
+      cncserver.run('message', 'Reinking with ' + toolName);
+      if (data.wash) cncserver.control.setTool(data.wash);
+      cncserver.control.setTool(toolName);
+
+      // Back to where we were, as we were.
+      cncserver.control.setHeight('up');
+      cncserver.control.movePenAbs(resume);
+      cncserver.control.setHeight(state);
+
+      data.start = Number(cncserver.pen.distanceCounter);
+    } finally {
+      running = false;
+    }
+  };
+
+  /**
+   * Get the drawing distance left until the next reink.
+   */
+  function getRemaining() {
+    var data = cncserver.reink.data;
+    var counter = Number(cncserver.pen.distanceCounter) || 0;
+
+    // The counter has been reset by a client, start over from there.
+    if (counter < data.start) data.start = 0;
+    return data.start + data.distance - counter;
+  }
+
+  /**
+   * Would a move to the point be counted as drawing distance? Matches how
+   * cncserver.control.movePenAbs adds to the counter.
+   */
+  function drawing(point) {
+    return cncserver.utils.penDown() && !cncserver.pen.offCanvas &&
+      cncserver.bot.inWorkArea(point);
+  }
+};
@@ -53,12 +53,28 @@ module.exports = function(cncserver) {
         );
         res.set(
           'Access-Control-Allow-Headers',
-          'Origin, X-Requested-Width, Content-Type, Accept'
+          'Origin, X-Requested-Width, Content-Type, Accept, Authorization, ' +
+          'X-CNCServer-Lock'
         );
         res.status(200).send();
         return;
       }
 
+      // Check the request is allowed when API tokens are configured, and isn't
+      // blocked by another client holding the control lock.
+      var denied = cncserver.auth.checkRequest(req) ||
+        cncserver.lock.checkRequest(req);
+      if (denied) {
+        if (cncserver.gConf.get('debug') && path !== '/poll') {
+          console.log(">RESP", req.route.path, denied[0], denied[1]);
+        }
+
+        res.status(denied[0]).send(JSON.stringify({
+          status: denied[1]
+        }));
+        return;
+      }
+
       var cbStat = callback(req, res);
 
       if (cbStat === false) { // Super simple "not supported"
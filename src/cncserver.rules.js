@@ -0,0 +1,200 @@
+"use strict";
+
+/**
+ * @file Abstraction module for buffer pause rules for CNC Server! Rules pause
+ * the run automatically when their condition occurs, so an operator can swap
+ * paper or refill paint, telling all clients why:
+ *   - time: After the given minutes of drawing.
+ *   - distance: After the given drawing distance in steps.
+ *   - message: When a message item matching the given pattern is reached.
+ *   - serialError: When the controller reports an error.
+ */
+
+module.exports = function(cncserver) {
+  cncserver.rules = {
+    types: ['time', 'distance', 'message', 'serialError'],
+    list: [], // Rule objects, see cncserver.rules.add.
+    nextId: 1 // ID for the next rule added.
+  };
+
+  /**
+   * Add a pause rule.
+   *
+   * @param {object} options
+   *   Rule options:
+   *     type {string}: Rule type, see above.
+   *     value {number|string}: Minutes for "time", steps for "distance", or a
+   *       case insensitive regular expression for "message".
+   *     reason {string}: Optional reason to give clients when paused.
+   *     repeat {boolean}: Pass false to only trigger once, defaults to true.
+   *
+   * @returns {object}
+   *   The new rule, see cncserver.rules.info.
+   *
+   * @throws {Error}
+   *   If the rule type or value aren't valid.
+   */
+  cncserver.rules.add = function(options) {
+    var type = options.type;
+    if (cncserver.rules.types.indexOf(type) === -1) {
+      throw new Error('Rule type must be one of: ' +
+        cncserver.rules.types.join(', '));
+    }
+
+    var value = options.value;
+    if (type === 'time' || type === 'distance') {
+      value = Number(value);
+      if (isNaN(value) || value <= 0) {
+        throw new Error('Rule value must be a positive number');
+      }
+    } else if (type === 'message') {
+      try {
+        RegExp(value, 'i');
+      } catch (e) {
+        throw new Error('Rule value must be a valid pattern: ' + e.message);
+      }
+      value = String(value);
+    } else {
+      value = null;
+    }
+
+    var rule = {
+      id: cncserver.rules.nextId++,
+      type: type,
+      value: value,
+      reason: String(options.reason || ''),
+      repeat: options.repeat !== false && options.repeat !== 'false',
+      count: 0, // Drawing minutes or distance since last triggered.
+      triggered: 0 // Times triggered.
+    };
+    cncserver.rules.list.push(rule);
+    return cncserver.rules.info(rule);
+  };
+
+  /**
+   * Remove a pause rule.
+   *
+   * @param {number} id
+   *   ID of the rule.
+   *
+   * @returns {boolean}
+   *   True if removed, false if there's no such rule.
+   */
+  cncserver.rules.remove = function(id) {
+    var list = cncserver.rules.list;
+    for (var i = 0; i < list.length; i++) {
+      if (list[i].id === Number(id)) {
+        list.splice(i, 1);
+        return true;
+      }
+    }
+    return false;
+  };
+
+  /**
+   * Remove all pause rules.
+   */
+  cncserver.rules.clear = function() {
+    cncserver.rules.list = [];
+  };
+
+  /**
+   * Get public info about a rule.
+   *
+   * @param {object} rule
+   *   Rule object.
+   *
+   * @returns {object}
+   *   Rule "id", "type", "value", "reason", "repeat", the "progress" towards
+   *   triggering (minutes or steps drawn) and times "triggered".
+   */
+  cncserver.rules.info = function(rule) {
+    return {
+      id: rule.id,
+      type: rule.type,
+      value: rule.value,
+      reason: rule.reason,
+      repeat: rule.repeat,
+      progress: rule.count,
+      triggered: rule.triggered
+    };
+  };
+
+  /**
+   * Check rules against a buffer item that has just been run.
+   *
+   * @param {object} item
+   *   Buffer item.
+   */
+  cncserver.rules.itemDone = function(item) {
+    var cmd = item.command;
+    var drawing = isDrawing(item);
+
+    // Rules that only trigger once are removed as we go.
+    cncserver.rules.list.slice().forEach(function(rule) {
+      if (rule.type === 'time' && drawing) {
+        rule.count += item.duration / 60000;
+      } else if (rule.type === 'distance' && drawing) {
+        rule.count += cncserver.utils.getVectorLength({
+          x: cmd.x - cmd.source.x,
+          y: cmd.y - cmd.source.y
+        });
+      } else if (rule.type === 'message' && cmd.type === 'message' &&
+                 new RegExp(rule.value, 'i').test(cmd.message)) {
+        trigger(rule, 'Message "' + cmd.message + '"');
+        return;
+      } else {
+        return;
+      }
+
+      if (rule.count >= rule.value) {
+        var units = rule.type === 'time' ? ' min' : ' steps';
+        trigger(rule, 'Drew for ' + rule.value + units);
+      }
+    });
+  };
+
+  /**
+   * Check rules against an error reported by the controller.
+   *
+   * @param {string} message
+   *   Error message.
+   */
+  cncserver.rules.serialError = function(message) {
+    cncserver.rules.list.slice().forEach(function(rule) {
+      if (rule.type === 'serialError') {
+        trigger(rule, 'Controller error: ' + message);
+      }
+    });
+  };
+
+  /**
+   * Pause the buffer for a triggered rule, if not already paused.
+   */
+  function trigger(rule, condition) {
+    rule.count = 0;
+    rule.triggered++;
+    if (!rule.repeat) cncserver.rules.remove(rule.id);
+
+    if (cncserver.buffer.paused) return;
+
+    var reason = rule.reason ? rule.reason + ' (' + condition + ')' : condition;
+    console.log('Pause rule #' + rule.id + ' triggered: ' + reason);
+    cncserver.buffer.pause(reason);
+    cncserver.control.setHeight('up', null, true); // Pen up for safety!
+  }
+
+  /**
+   * Is the buffer item a move with the pen down? Pen states can be names or
+   * numbers from 0 (up) to 1 (down).
+   */
+  function isDrawing(item) {
+    if (typeof item.command !== 'object' || item.command.type !== 'absmove') {
+      return false;
+    }
+
+    var state = item.pen ? item.pen.state : 'up';
+    if (state === 'up') return false;
+    return isNaN(state) || Number(state) >= 0.5;
+  }
+};
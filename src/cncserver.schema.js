@@ -0,0 +1,349 @@
+"use strict";
+
+/**
+ * @file Abstraction module for the settings schema for CNC Server! Describes
+ * every global and bot setting that can be changed via the API, so changes can
+ * be coerced to the right type and checked before they're ever set.
+ */
+
+module.exports = function(cncserver) {
+  // Reused rules.
+  var bool = {type: 'boolean'};
+  var string = {type: 'string'};
+  var any = {type: 'any'}; // Free form, including whole subtrees.
+  var fixed = {type: 'fixed'}; // Only set in config.ini or on the command line.
+  var percent = {type: 'number', min: 0, max: 100};
+  var positive = {type: 'number', min: 0};
+  var steps = {type: 'integer', min: 0};
+
+  cncserver.schema = {
+    // Rules keyed by setting path, "*" matches any single key.
+    global: {
+      httpPort: {type: 'integer', min: 1, max: 65535},
+      httpLocalOnly: bool,
+      swapMotors: bool,
+      'invertAxis:x': bool,
+      'invertAxis:y': bool,
+      maximumBlockingCallStack: {type: 'integer', min: 1},
+      showSerial: bool,
+      serialPath: string,
+      serialMock: any,
+      serialReconnect: bool,
+      bufferLatencyOffset: positive,
+      corsDomain: string,
+      debug: bool,
+      botType: {type: 'string', check: checkBotType},
+      scratchSupport: bool,
+      flipZToggleBit: bool,
+      pathTolerance: {type: 'number', min: 0.01},
+      jobsPath: fixed, // Where files are written.
+      lockDuration: {type: 'number', min: 1, max: 604800},
+      historySize: steps,
+      machineId: string,
+      apiTokens: fixed, // Who can change settings.
+      machines: fixed, // What servers are started.
+      botOverride: any
+    },
+    bot: {
+      name: string,
+      'controller:name': string,
+      'controller:manufacturer': string,
+      'controller:vendorId': string,
+      'controller:productId': string,
+      'controller:baudRate': {type: 'integer', min: 1},
+      'controller:position': {type: 'string', values: ['relative', 'absolute']},
+      'controller:ack': string,
+      'controller:swapMotors': bool,
+      'controller:commands:*': string,
+      'speed:precision': {type: 'integer', min: 1, max: 5},
+      'speed:min': {type: 'number', min: 1},
+      'speed:max': {type: 'number', min: 1},
+      'speed:drawing': percent,
+      'speed:moving': percent,
+      'speed:acceleration': positive,
+      'speed:cornering': positive,
+      'maxArea:width': {type: 'integer', min: 1},
+      'maxArea:height': {type: 'integer', min: 1},
+      'maxArea:stepsPerMM': positive,
+      'park:x': percent,
+      'park:y': percent,
+      'workArea:top': steps,
+      'workArea:left': steps,
+      'servo:max': steps,
+      'servo:min': steps,
+      'servo:rate': steps,
+      'servo:duration': steps,
+      'servo:presets:*': percent,
+      'penpower:max': steps,
+      'penpower:min': steps,
+      'tools:*:x': steps,
+      'tools:*:y': steps,
+      'tools:*:wait': bool,
+      'tools:*:wiggleAxis': {type: 'string', values: ['x', 'y', 'xy']},
+      'tools:*:wiggleTravel': steps,
+      'tools:*:wiggleIterations': steps,
+      'tools:*:sequence': {type: 'any', check: checkSequence}
+    },
+
+    // Pairs of settings where the first must be less than the second, a "*"
+    // first only checks the settings being changed.
+    ranges: {
+      global: [],
+      bot: [
+        ['speed:min', 'speed:max'],
+        ['servo:min', 'servo:max'],
+        ['penpower:min', 'penpower:max'],
+        ['workArea:left', 'maxArea:width'],
+        ['workArea:top', 'maxArea:height'],
+        ['tools:*:x', 'maxArea:width'],
+        ['tools:*:y', 'maxArea:height']
+      ]
+    }
+  };
+
+  /**
+   * Validate and coerce changes to a settings group.
+   *
+   * @param {string} type
+   *   Settings group, "global" or "bot".
+   * @param {object} changes
+   *   Changes keyed by setting path (E.G. "servo:max"), any of which can be a
+   *   whole subtree (E.G. "servo" with an object value), as passed to PUT.
+   * @param {object} conf
+   *   Optional nconf provider of the settings the changes apply to, for range
+   *   checks, defaults to the current ones.
+   *
+   * @returns {object}
+   *   Result object with the coerced changes in "values", keyed as passed, and
+   *   an array of "errors", each with the setting "field" path and a "message",
+   *   empty if the changes are valid.
+   */
+  cncserver.schema.validate = function(type, changes, conf) {
+    var rules = cncserver.schema[type];
+    conf = conf || (type === 'global' ? cncserver.gConf : cncserver.botConf);
+    var result = {values: {}, errors: []};
+
+    Object.keys(changes).forEach(function(key) {
+      result.values[key] = coerce(rules, key, changes[key], result.errors);
+    });
+
+    // Ranges are checked against the values as they'll be once changed.
+    var flat = cncserver.schema.flatten(result.values);
+    var get = function(field) {
+      if (flat.hasOwnProperty(field)) return flat[field];
+
+      // Anything else in a replaced subtree is gone.
+      var replaced = Object.keys(changes).some(function(key) {
+        return field.indexOf(key + ':') === 0;
+      });
+      return replaced ? undefined : conf.get(field);
+    };
+
+    getRanges(type, flat).forEach(function(pair) {
+      if (!flat.hasOwnProperty(pair[0]) && !flat.hasOwnProperty(pair[1])) {
+        return;
+      }
+
+      // Missing values are left for whatever uses them to default.
+      var low = Number(get(pair[0]));
+      var high = Number(get(pair[1]));
+      if (!isNaN(low) && !isNaN(high) && low >= high) {
+        result.errors.push({
+          field: pair[0],
+          message: 'must be less than ' + pair[1] + ' (' + high + '), got ' +
+            low
+        });
+      }
+    });
+
+    return result;
+  };
+
+  /**
+   * Flatten changes with subtree values into single values by full path.
+   *
+   * @param {object} changes
+   *   Changes keyed by setting path, as cncserver.schema.validate.
+   *
+   * @returns {object}
+   *   Every single value keyed by its full setting path.
+   */
+  cncserver.schema.flatten = function(changes) {
+    var out = {};
+    Object.keys(changes).forEach(function(key) {
+      if (isObject(changes[key])) {
+        var children = {};
+        Object.keys(changes[key]).forEach(function(child) {
+          children[key + ':' + child] = changes[key][child];
+        });
+        cncserver.utils.extend(out, cncserver.schema.flatten(children));
+      } else {
+        out[key] = changes[key];
+      }
+    });
+    return out;
+  };
+
+  /**
+   * Get the range pairs of a settings group, with "*" pairs matched against
+   * the flattened changes.
+   */
+  function getRanges(type, flat) {
+    var pairs = [];
+    cncserver.schema.ranges[type].forEach(function(pair) {
+      if (pair[0].indexOf('*') === -1) {
+        pairs.push(pair);
+        return;
+      }
+
+      Object.keys(flat).forEach(function(field) {
+        if (matches(pair[0].split(':'), field.split(':'))) {
+          pairs.push([field, pair[1]]);
+        }
+      });
+    });
+    return pairs;
+  }
+
+  /**
+   * Coerce a single setting value or subtree by its rules, adding any errors.
+   */
+  function coerce(rules, field, value, errors) {
+    var rule = getRule(rules, field);
+    if (rule && rule.type === 'fixed') {
+      errors.push({field: field, message: 'can only be changed in config.ini'});
+      return value;
+    }
+
+    if (rule && rule.type === 'any') {
+      var message = rule.check ? rule.check(value) : null;
+      if (message) errors.push({field: field, message: message});
+      return value;
+    }
+
+    if (!rule) {
+      if (isObject(value) && hasChildren(rules, field)) {
+        var out = {};
+        Object.keys(value).forEach(function(key) {
+          out[key] = coerce(rules, field + ':' + key, value[key], errors);
+        });
+        return out;
+      }
+
+      errors.push({field: field, message: 'is not a known setting'});
+      return value;
+    }
+
+    var result = coerceValue(rule, value);
+    if (result.error) {
+      errors.push({field: field, message: result.error});
+      return value;
+    }
+    return result.value;
+  }
+
+  /**
+   * Coerce a single value to its rule type.
+   *
+   * @returns {object}
+   *   Object with the coerced "value", or an "error" message.
+   */
+  function coerceValue(rule, value) {
+    var label = JSON.stringify(value);
+    var error = function(message) {
+      return {error: message + ', got ' + label};
+    };
+
+    if (rule.type === 'boolean') {
+      if ([true, 'true', 1, '1'].indexOf(value) !== -1) return {value: true};
+      if ([false, 'false', 0, '0'].indexOf(value) !== -1) return {value: false};
+      return error('must be true or false');
+    }
+
+    if (rule.type === 'string') {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return error('must be a string');
+      }
+      value = String(value);
+      if (rule.values && rule.values.indexOf(value) === -1) {
+        return error('must be one of "' + rule.values.join('", "') + '"');
+      }
+      var message = rule.check ? rule.check(value) : null;
+      return message ? error(message) : {value: value};
+    }
+
+    // Numbers, whole or not.
+    var number = typeof value === 'string' && value.trim() !== '' ||
+      typeof value === 'number' ? Number(value) : NaN;
+    if (!isFinite(number)) return error('must be a number');
+    if (rule.type === 'integer' && number % 1 !== 0) {
+      return error('must be a whole number');
+    }
+
+    if (typeof rule.max === 'undefined' && number < rule.min) {
+      return error('must be at least ' + rule.min);
+    }
+    if (number < rule.min || number > rule.max) {
+      return error('must be between ' + rule.min + ' and ' + rule.max);
+    }
+    return {value: number};
+  }
+
+  /**
+   * Get the rule for a setting path, matching "*" keys.
+   */
+  function getRule(rules, field) {
+    var parts = field.split(':');
+    for (var pattern in rules) {
+      if (matches(pattern.split(':'), parts)) return rules[pattern];
+    }
+    return null;
+  }
+
+  /**
+   * Are there rules for settings below a setting path?
+   */
+  function hasChildren(rules, field) {
+    var parts = field.split(':');
+    return Object.keys(rules).some(function(pattern) {
+      pattern = pattern.split(':');
+      return pattern.length > parts.length &&
+        matches(pattern.slice(0, parts.length), parts);
+    });
+  }
+
+  /**
+   * Do split setting path parts match split pattern parts?
+   */
+  function matches(pattern, parts) {
+    if (pattern.length !== parts.length) return false;
+    return pattern.every(function(part, index) {
+      return part === '*' || part === parts[index];
+    });
+  }
+
+  /**
+   * Check a bot type is supported.
+   */
+  function checkBotType(botType) {
+    var bots = cncserver.settings.getSupportedBots();
+    return bots.hasOwnProperty(botType) ? null :
+      'must be a supported bot type';
+  }
+
+  /**
+   * Check a tool change sequence is valid.
+   */
+  function checkSequence(sequence) {
+    var errors = cncserver.tools.validate(sequence);
+    return errors.length ? 'step ' + errors[0].step + ': ' + errors[0].message :
+      null;
+  }
+
+  /**
+   * Is the value a plain object?
+   */
+  function isObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+  }
+};
@@ -11,9 +11,14 @@ var SerialPort = require("serialport");
 module.exports = function(cncserver) {
   cncserver.serial = {
     callbacks: {}, // Hold global serial connection/error callbacks.
-    connectPath: "{auto}"
+    connectPath: "{auto}",
+    detectedPath: "", // Port picked by detection, rather than passed.
+    watchInterval: 2000 // Milliseconds between checks for a lost bot.
   };
 
+  var watchTimer = null; // Timer checking for a lost bot, while watching.
+  var lostPath = ""; // Port the lost bot was last connected to.
+
   /**
    * Helper function to manage initial serial connection and reconnection.
    *
@@ -26,6 +31,8 @@ module.exports = function(cncserver) {
    *     complete: Callback for general completion
    */
   cncserver.serial.connect = function(options) {
+    cncserver.serial.stopWatching();
+
     // Apply any passed callbacks to a new serial callbacks object.
     cncserver.serial.callbacks = {
       connect: options.connect,
@@ -34,9 +41,21 @@ module.exports = function(cncserver) {
       success: options.success
     };
 
+    // Skip port detection entirely when using a mock board.
+    var botController = cncserver.botConf.get("controller");
+    var mock = cncserver.gConf.get("serialMock");
+    if (mock) {
+      console.log('Attempting to open mock serial port...');
+      cncserver.ipc.sendMessage("serial.connect", {
+        port: "{mock}",
+        baudRate: Number(botController.baudRate),
+        mock: typeof mock === "object" ? mock : {}
+      });
+      return;
+    }
+
     // Run everything through the callback as port list is async.
     console.log("Finding available serial ports...");
-    var botController = cncserver.botConf.get("controller");
     cncserver.serial.autoDetectPort(botController, function(ports) {
       // Give some console feedback on ports.
       if (cncserver.gConf.get("debug")) {
@@ -50,6 +69,7 @@ module.exports = function(cncserver) {
       if (passedPort === "" || passedPort === "{auto}") {
         if (ports.auto.length) {
           cncserver.gConf.set("serialPath", ports.auto[0]);
+          cncserver.serial.detectedPath = ports.auto[0];
           console.log('Using first detected port: "' + ports.auto[0] + '"...');
         } else {
           console.error("No matching serial ports detected.");
@@ -87,6 +107,95 @@ module.exports = function(cncserver) {
     });
   };
 
+  /**
+   * Get the serial connection status.
+   *
+   * @returns {object}
+   *   Status with whether the bot is "connected", the port "path" used, the
+   *   bot "controller" name, and whether a lost bot is being "watching" for.
+   */
+  cncserver.serial.getStatus = function() {
+    return {
+      connected: !cncserver.pen.simulation,
+      path: cncserver.gConf.get("serialPath"),
+      controller: cncserver.botConf.get("controller").name,
+      watching: cncserver.serial.watching()
+    };
+  };
+
+  /**
+   * List the available serial ports, marking those that match the bot
+   * controller.
+   *
+   * @param {function} callback
+   *   Called with an array of ports, each with its "path", "manufacturer",
+   *   "productId", "vendorId", "pnpId" and "serialNumber" as reported, and
+   *   whether it's a "match" for the bot controller. If the ports couldn't be
+   *   listed, the array is empty and the error is passed as the second
+   *   argument.
+   */
+  cncserver.serial.listPorts = function(callback) {
+    var controller = cncserver.botConf.get("controller");
+    cncserver.serial.autoDetectPort(controller, function(ports, err) {
+      callback(ports.full.map(function(port) {
+        return {
+          path: port.path,
+          manufacturer: port.manufacturer || "",
+          productId: port.productId || "",
+          vendorId: port.vendorId || "",
+          pnpId: port.pnpId || "",
+          serialNumber: port.serialNumber || "",
+          match: ports.auto.indexOf(port.path) !== -1
+        };
+      }), err);
+    });
+  };
+
+  /**
+   * Connect to the bot, leaving simulation, and re-run the bot init once
+   * connected.
+   *
+   * @param {string} path
+   *   Port path to connect to, or "{auto}" to detect the bot controller port.
+   *   Defaults to the current "serialPath" setting.
+   * @param {function} callback
+   *   Called once connected with no arguments, or with an error object with a
+   *   "message" if the connection failed, leaving the pen simulated.
+   */
+  cncserver.serial.open = function(path, callback) {
+    if (path) cncserver.gConf.set("serialPath", path);
+
+    cncserver.serial.connect({
+      connect: function() {
+        cncserver.serial.localTrigger("botInit");
+        cncserver.io.sendPenUpdate();
+        if (callback) callback();
+      },
+      disconnect: function() {
+        cncserver.serial.localTrigger("serialClose");
+      },
+      error: function(info) {
+        cncserver.serial.localTrigger("simulationStart");
+        cncserver.io.sendPenUpdate();
+        if (callback) {
+          callback({message: info && info.message ? info.message :
+            "Failed to connect"});
+        }
+      }
+    });
+  };
+
+  /**
+   * Cleanly close the serial connection, continuing in simulation.
+   */
+  cncserver.serial.close = function() {
+    cncserver.serial.stopWatching();
+    cncserver.serial.callbacks = {};
+    cncserver.ipc.sendMessage("serial.disconnect");
+    cncserver.serial.localTrigger("simulationStart");
+    cncserver.io.sendPenUpdate();
+  };
+
   /**
    * Helper function to implement matching port information to configured bot
    * parameters.
@@ -97,12 +206,14 @@ module.exports = function(cncserver) {
    * @param {object} botControllerConf
    *   The configured bot controller to try to match
    * @param {function} callback
-   *   The callback function when async getports completes. Returns single
-   *   object argument containing three keys:
+   *   The callback function when async getports completes. Returns an object
+   *   argument containing three keys:
    *     auto {array}: Array of auto detected port names based on bot conf.
    *       Empty array if none found.
    *     names {array}: Clean flat array of all available comm paths/port names.
    *     full {array}: Array of all valid serial port objects for debugging.
+   *   If the ports couldn't be listed, every array is empty and the error is
+   *   passed as the second argument.
    */
   cncserver.serial.autoDetectPort = function(botControllerConf, callback) {
     var botMaker = botControllerConf.manufacturer.toLowerCase();
@@ -155,7 +266,10 @@ module.exports = function(cncserver) {
       
       );
       callback({auto: detectList, names: portNames, full: cleanList});
-    }, err => console.error(err));
+    }, function(err) {
+      console.error("Failed to list serial ports:", err.message);
+      callback({auto: [], names: [], full: []}, err);
+    });
   };
 
   // Cheap wrapper!
@@ -202,33 +316,26 @@ module.exports = function(cncserver) {
             '" lost!! Did it get unplugged?'
         );
 
-        // Assume the serialport isn't coming back... It's on a long vacation!
+        // Hold the buffer so it isn't run through in simulation, leaving the
+        // user to decide whether to carry on once the bot is back.
+        if (!cncserver.buffer.paused) {
+          cncserver.buffer.pause("Serial connection lost");
+        }
+
+        lostPath = cncserver.gConf.get("serialPath");
         cncserver.gConf.set("serialPath", "");
         cncserver.serial.localTrigger("simulationStart");
+
+        // Watch for it to be plugged back in, or assume the serialport isn't
+        // coming back... It's on a long vacation!
+        if (cncserver.gConf.get("serialReconnect")) {
+          cncserver.serial.watch();
+        }
         break;
 
       case "botInit":
-        // EBB Specific Config =================================
-        if (cncserver.botConf.get("controller").name === "EiBotBoard") {
-          console.log("Sending EBB config...");
-          cncserver.run(
-            "custom",
-            cncserver.buffer.cmdstr("enablemotors", {
-              p: cncserver.botConf.get("speed:precision")
-            })
-          );
-
-          // Send twice for good measure
-          var rate = cncserver.botConf.get("servo:rate");
-          cncserver.run(
-            "custom",
-            cncserver.buffer.cmdstr("configureservo", { r: rate })
-          );
-          cncserver.run(
-            "custom",
-            cncserver.buffer.cmdstr("configureservo", { r: rate })
-          );
-        }
+        // Straight out if paused, so it's sent before the buffer carries on.
+        cncserver.serial.sendBotConfig(cncserver.buffer.paused);
 
         var isVirtual = cncserver.pen.simulation ? " (simulated)" : "";
         console.info(
@@ -241,6 +348,70 @@ module.exports = function(cncserver) {
     }
   };
 
+  /**
+   * Send the controller configuration from the bot config, E.G. motor
+   * precision and servo rate. Sent on bot init, and again when any of these
+   * bot settings change.
+   *
+   * @param {boolean} direct
+   *   Pass true to write the config straight to the bot, instead of through
+   *   the buffer.
+   */
+  cncserver.serial.sendBotConfig = function(direct) {
+    var send = function(cmd) {
+      if (direct) {
+        cncserver.serial.command(cmd);
+      } else {
+        cncserver.run("custom", cmd);
+      }
+    };
+
+    // EBB Specific Config =================================
+    if (cncserver.botConf.get("controller").name === "EiBotBoard") {
+      console.log("Sending EBB config...");
+      send(
+        cncserver.buffer.cmdstr("enablemotors", {
+          p: cncserver.botConf.get("speed:precision")
+        })
+      );
+
+      // Send twice for good measure
+      var rate = cncserver.botConf.get("servo:rate");
+      send(cncserver.buffer.cmdstr("configureservo", { r: rate }));
+      send(cncserver.buffer.cmdstr("configureservo", { r: rate }));
+    }
+  };
+
+  /**
+   * Watch for the bot to be plugged back in after its connection is lost,
+   * checking the available ports for the bot controller every watchInterval,
+   * then reconnect and re-run the bot init. The buffer is left paused.
+   */
+  cncserver.serial.watch = function() {
+    if (watchTimer) return;
+
+    console.log("Watching for " + cncserver.botConf.get("controller").name +
+      " to be plugged back in...");
+    watchTimer = setTimeout(checkLostBot, cncserver.serial.watchInterval);
+  };
+
+  /**
+   * Stop watching for a lost bot.
+   */
+  cncserver.serial.stopWatching = function() {
+    clearTimeout(watchTimer);
+    watchTimer = null;
+  };
+
+  /**
+   * Is a lost bot being watched for?
+   *
+   * @returns {boolean}
+   */
+  cncserver.serial.watching = function() {
+    return watchTimer !== null;
+  };
+
   /**
    * Run to the buffer direct low level setup commands (for EiBotBoard only).
    *
@@ -253,6 +424,48 @@ module.exports = function(cncserver) {
     cncserver.run("custom", "SC," + id + "," + value);
   };
 
+  /**
+   * Check the available ports for the lost bot, reconnecting if it's back, or
+   * checking again later if not.
+   */
+  function checkLostBot() {
+    var controller = cncserver.botConf.get("controller");
+    cncserver.serial.autoDetectPort(controller, function(ports, err) {
+      // Stopped (or already reconnected) while checking.
+      if (!watchTimer) return;
+      watchTimer = null;
+
+      // Ports that couldn't be listed are tried again later.
+      if (err) {
+        cncserver.serial.watch();
+        return;
+      }
+
+      // A mock board is always there to connect back to.
+      if (!ports.auto.length && !cncserver.gConf.get("serialMock")) {
+        cncserver.serial.watch();
+        return;
+      }
+
+      // Prefer the port it was on, if it's back at the same one.
+      var path = ports.auto.indexOf(lostPath) !== -1 ? lostPath : ports.auto[0];
+      console.log(controller.name + " found again, reconnecting...");
+      cncserver.gConf.set("serialPath", path || "");
+      cncserver.serial.connect({
+        connect: function() {
+          cncserver.serial.localTrigger("botInit");
+          cncserver.io.sendPenUpdate();
+        },
+        disconnect: function() {
+          cncserver.serial.localTrigger("serialClose");
+        },
+        error: function() {
+          cncserver.serial.watch();
+        }
+      });
+    });
+  }
+
   // Exports...
   cncserver.exports.getPorts = cncserver.serial.getPorts;
   cncserver.exports.sendEBBSetup = cncserver.serial.sendEBBSetup;
@@ -19,6 +19,16 @@ module.exports = function(cncserver) {
 
   cncserver.settings = {};
 
+  // Global config file, with bot overrides.
+  var configPath = path.resolve(__dirname, '..', 'config.ini');
+
+  // Bot type profile directories: those shipped, and those saved via the API,
+  // which take the place of any shipped profile of the same name.
+  cncserver.settings.botPaths = {
+    shipped: path.resolve(__dirname, '..', 'machine_types'),
+    user: path.resolve(__dirname, '..', 'profiles')
+  };
+
   /**
    * Initialize/load the global cncserver configuration file & options.
    *
@@ -27,7 +37,6 @@ module.exports = function(cncserver) {
    */
   cncserver.settings.loadGlobalConfig = function(cb) {
     // Pull conf from file
-    var configPath = path.resolve(__dirname, '..', 'config.ini');
     cncserver.gConf.reset();
     cncserver.gConf.use('file', {
       file: configPath,
@@ -70,13 +79,7 @@ module.exports = function(cncserver) {
   cncserver.settings.loadBotConfig = function (cb, botType) {
     if (!botType) botType = cncserver.gConf.get('botType');
 
-    var botFile = path.resolve(
-      __dirname,
-      '..',
-      'machine_types',
-      botType + '.ini'
-    );
-
+    var botFile = cncserver.settings.getBotFile(botType);
     if (!fs.existsSync(botFile)){
       console.error(
         'Bot configuration file "' +
@@ -86,79 +89,12 @@ module.exports = function(cncserver) {
 
       process.exit(16);
     } else {
-      cncserver.botConf.reset();
-      cncserver.botConf.use('file', {
-        file: botFile,
-        format: nconf.formats.ini
-      }).load(function(){
-
-        // Mesh in bot overrides from main config
-        var overrides = cncserver.gConf.get('botOverride');
-        if (overrides) {
-          if (overrides[botType]) {
-            for(var key in overrides[botType]) {
-              cncserver.botConf.set(key, overrides[botType][key]);
-            }
-          }
-        }
-
-        // Handy bot constant for easy number from string conversion
-        cncserver.bot = {
-          workArea: {
-            left: Number(cncserver.botConf.get('workArea:left')),
-            top: Number(cncserver.botConf.get('workArea:top')),
-            right: Number(cncserver.botConf.get('maxArea:width')),
-            bottom: Number(cncserver.botConf.get('maxArea:height'))
-          },
-          maxArea: {
-            width: Number(cncserver.botConf.get('maxArea:width')),
-            height: Number(cncserver.botConf.get('maxArea:height'))
-          },
-          park: {
-            x: Number(cncserver.botConf.get('park:x')),
-            y: Number(cncserver.botConf.get('park:y'))
-          },
-          commands : cncserver.botConf.get('controller').commands
-        };
-
-        // Check if a point is within the work area.
-        cncserver.bot.inWorkArea = function(point) {
-          var area = cncserver.bot.workArea;
-          if (point.x > area.right || point.x < area.left) {
-            return false;
-          }
-          if (point.y > area.bottom || point.y < area.top) {
-            return false;
-          }
-          return true;
-        };
-
-        // Store assumed constants.
-        var bot = cncserver.bot;
-        bot.workArea.width = bot.maxArea.width - bot.workArea.left;
-        bot.workArea.height = bot.maxArea.height - bot.workArea.top;
-
-        bot.workArea.relCenter = {
-          x: bot.workArea.width / 2,
-          y: bot.workArea.height / 2
-        };
-
-        bot.workArea.absCenter = {
-          x: bot.workArea.relCenter.x + bot.workArea.left,
-          y: bot.workArea.relCenter.y + bot.workArea.top
-        };
-
+      loadBotFile(botFile, botType, function() {
         // Set initial pen position at park position
-        var park = cncserver.utils.centToSteps(bot.park, true);
+        var park = cncserver.utils.centToSteps(cncserver.bot.park, true);
         cncserver.pen.x = park.x;
         cncserver.pen.y = park.y;
 
-        // Set global override for swapMotors if set by bot config
-        var swapMotors = cncserver.botConf.get('controller:swapMotors');
-        if (typeof swapMotors !== 'undefined') {
-          cncserver.gConf.set('swapMotors', swapMotors);
-        }
-
         console.log(
           'Successfully loaded config for ' +
           cncserver.botConf.get('name') +
@@ -171,6 +107,94 @@ module.exports = function(cncserver) {
     }
   };
 
+  /**
+   * Reload the current bot type config after its profile has changed, applying
+   * it right away without moving the pen, as bot settings changes do.
+   *
+   * @param {function} cb
+   *   Optional callback triggered when reloading is complete.
+   */
+  cncserver.settings.reloadBotConfig = function(cb) {
+    var botType = cncserver.gConf.get('botType');
+    loadBotFile(cncserver.settings.getBotFile(botType), botType, function() {
+      cncserver.serial.sendBotConfig();
+      cncserver.io.sendBotUpdate();
+      if (cb) cb();
+    });
+  };
+
+  /**
+   * Get the INI file a bot type is loaded from, a saved profile taking the
+   * place of a shipped one.
+   *
+   * @param {string} botType
+   *   Machine name of the bot type.
+   *
+   * @returns {string}
+   *   Full file path, of the shipped profile if there's no such saved profile.
+   */
+  cncserver.settings.getBotFile = function(botType) {
+    var file = path.join(cncserver.settings.botPaths.user, botType + '.ini');
+    if (fs.existsSync(file)) return file;
+    return path.join(cncserver.settings.botPaths.shipped, botType + '.ini');
+  };
+
+  /**
+   * Compute the bot constants derived from the bot config, as numbers. Called
+   * on load, and again whenever the bot settings change.
+   */
+  cncserver.settings.updateBotConstants = function() {
+    // Handy bot constant for easy number from string conversion
+    cncserver.bot = {
+      workArea: {
+        left: Number(cncserver.botConf.get('workArea:left')),
+        top: Number(cncserver.botConf.get('workArea:top')),
+        right: Number(cncserver.botConf.get('maxArea:width')),
+        bottom: Number(cncserver.botConf.get('maxArea:height'))
+      },
+      maxArea: {
+        width: Number(cncserver.botConf.get('maxArea:width')),
+        height: Number(cncserver.botConf.get('maxArea:height'))
+      },
+      park: {
+        x: Number(cncserver.botConf.get('park:x')),
+        y: Number(cncserver.botConf.get('park:y'))
+      },
+      // Zero if not configured, real units can't be used.
+      stepsPerMM: Number(
+        cncserver.botConf.get('maxArea:stepsPerMM')
+      ) || 0,
+      commands : cncserver.botConf.get('controller').commands
+    };
+
+    // Check if a point is within the work area.
+    cncserver.bot.inWorkArea = function(point) {
+      var area = cncserver.bot.workArea;
+      if (point.x > area.right || point.x < area.left) {
+        return false;
+      }
+      if (point.y > area.bottom || point.y < area.top) {
+        return false;
+      }
+      return true;
+    };
+
+    // Store assumed constants.
+    var bot = cncserver.bot;
+    bot.workArea.width = bot.maxArea.width - bot.workArea.left;
+    bot.workArea.height = bot.maxArea.height - bot.workArea.top;
+
+    bot.workArea.relCenter = {
+      x: bot.workArea.width / 2,
+      y: bot.workArea.height / 2
+    };
+
+    bot.workArea.absCenter = {
+      x: bot.workArea.relCenter.x + bot.workArea.left,
+      y: bot.workArea.relCenter.y + bot.workArea.top
+    };
+  };
+
   /**
    * Get the list of supported bots and their full ini config arrays.
    *
@@ -179,21 +203,313 @@ module.exports = function(cncserver) {
    */
   cncserver.settings.getSupportedBots = function() {
     var ini = require('ini');
-    var list = fs.readdirSync(path.resolve(__dirname, '..', 'machine_types'));
     var out = {};
-    for(var i in list) {
-      var file = path.resolve(__dirname, '..', 'machine_types', list[i]);
-      var data = ini.parse(fs.readFileSync(file, 'utf-8'), 'utf-8');
-      var type = list[i].split('.')[0];
-      out[type] = {
-        name: data.name,
-        data: data
-      };
-    }
+
+    // Saved profiles are read last, to take the place of shipped ones.
+    ['shipped', 'user'].forEach(function(source) {
+      var dir = cncserver.settings.botPaths[source];
+      if (!fs.existsSync(dir)) return;
+
+      var list = fs.readdirSync(dir);
+      for(var i in list) {
+        if (path.extname(list[i]) !== '.ini') continue;
+
+        var file = path.join(dir, list[i]);
+        var data = ini.parse(fs.readFileSync(file, 'utf-8'), 'utf-8');
+        var type = list[i].split('.')[0];
+        out[type] = {
+          name: data.name,
+          data: data,
+          custom: source === 'user'
+        };
+      }
+    });
     return out;
   };
 
+  // Bot type change waiting for the buffer to drain, with the "type" it's
+  // changing to, the "callback" and the "timer" interval checking the buffer.
+  var pendingChange = null;
+
+  /**
+   * Switch to another bot type at runtime. The pen is parked first, and once
+   * the buffer is empty the bot config is reloaded, serial is reconnected if
+   * the controller differs (or the bot is just re-initialized if not), and all
+   * stream clients are notified. A serial port passed by the user is kept,
+   * otherwise the new controller's port is detected.
+   *
+   * @param {string} botType
+   *   Machine name of the bot type to change to, from machine_types.
+   * @param {object} options
+   *   Change options:
+   *     drain {boolean}: Pass true to wait for a non-empty buffer to finish,
+   *       instead of refusing to change.
+   * @param {function} callback
+   *   Optional, called once the bot type has changed, or with an error if the
+   *   change was cancelled by pausing or clearing the buffer.
+   *
+   * @returns {boolean}
+   *   True if changed immediately, false if waiting for the buffer to drain.
+   *
+   * @throws {Error}
+   *   If the bot type isn't supported, or the buffer isn't empty and we're not
+   *   waiting for it.
+   */
+  cncserver.settings.changeBotType = function(botType, options, callback) {
+    var bots = cncserver.settings.getSupportedBots();
+    if (!bots.hasOwnProperty(botType)) {
+      throw new Error('Bot type "' + botType + '" not found');
+    }
+
+    if (cncserver.buffer.data.length && !options.drain) {
+      throw new Error('Buffer must be empty to change bot type');
+    }
+
+    // A new change replaces any still waiting to happen.
+    cncserver.settings.cancelBotTypeChange(
+      'changing to ' + botType + ' instead'
+    );
+
+    // Park where the current bot knows it's going, so the new one starts from
+    // a known position.
+    if (cncserver.utils.penDown()) cncserver.control.setHeight('up');
+    cncserver.control.setPen({
+      x: cncserver.bot.park.x,
+      y: cncserver.bot.park.y,
+      park: true
+    });
+
+    if (!cncserver.buffer.data.length) {
+      changeBot(botType, callback);
+      return true;
+    }
+
+    pendingChange = {type: botType, callback: callback};
+    pendingChange.timer = setInterval(function() {
+      if (cncserver.buffer.paused) {
+        cncserver.settings.cancelBotTypeChange('the buffer was paused');
+      } else if (!cncserver.buffer.data.length) {
+        clearInterval(pendingChange.timer);
+        pendingChange = null;
+        changeBot(botType, callback);
+      }
+    }, 250);
+    return false;
+  };
+
+  /**
+   * Get the bot type a change is waiting to switch to.
+   *
+   * @returns {string}
+   *   Machine name of the bot type, or null if no change is waiting.
+   */
+  cncserver.settings.getPendingBotType = function() {
+    return pendingChange ? pendingChange.type : null;
+  };
+
+  /**
+   * Cancel any bot type change waiting for the buffer to drain.
+   *
+   * @param {string} reason
+   *   Why it was cancelled, passed on to the change callback as an error.
+   */
+  cncserver.settings.cancelBotTypeChange = function(reason) {
+    if (!pendingChange) return;
+
+    var change = pendingChange;
+    clearInterval(change.timer);
+    pendingChange = null;
+
+    var message = 'Bot type change to ' + change.type + ' cancelled, ' + reason;
+    console.log(message);
+    if (change.callback) change.callback(new Error(message));
+  };
+
+  /**
+   * Actually change the bot type, see cncserver.settings.changeBotType.
+   */
+  function changeBot(botType, callback) {
+    var oldController = cncserver.botConf.get('controller');
+    cncserver.gConf.set('botType', botType);
+
+    cncserver.settings.loadBotConfig(function() {
+      // Pen has been reset to the new park position, but the bot is still
+      // where it parked.
+      cncserver.pen.x = cncserver.actualPen.x;
+      cncserver.pen.y = cncserver.actualPen.y;
+
+      var controller = cncserver.botConf.get('controller');
+      var changed = ['name', 'manufacturer', 'productId', 'baudRate'].some(
+        function(key) {
+          return String(controller[key]) !== String(oldController[key]);
+        }
+      );
+
+      if (changed && !cncserver.pen.simulation) {
+        console.log('Controller changed, reconnecting serial...');
+
+        // Find the new controller, unless the user passed a port to use.
+        var serialPath = cncserver.gConf.get('serialPath');
+        if (!serialPath || serialPath === cncserver.serial.detectedPath) {
+          cncserver.gConf.set('serialPath', '{auto}');
+        }
+        cncserver.serial.connect({
+          connect: function() {
+            cncserver.serial.localTrigger('botInit');
+          },
+          disconnect: function() {
+            cncserver.serial.localTrigger('serialClose');
+          },
+          error: function() {
+            cncserver.serial.localTrigger('simulationStart');
+            cncserver.serial.localTrigger('botInit');
+          }
+        });
+      } else {
+        cncserver.serial.localTrigger('botInit');
+      }
+
+      cncserver.io.sendBotUpdate();
+      cncserver.io.sendPenUpdate();
+      if (callback) callback();
+    }, botType);
+  }
+
+  /**
+   * Change settings, checking them against the settings schema first.
+   *
+   * @param {string} type
+   *   Settings group, "global" or "bot".
+   * @param {object} changes
+   *   Changes keyed by setting path, see cncserver.schema.validate. Subtree
+   *   values replace the entire subtree.
+   * @param {boolean} persist
+   *   Pass true to also save the changes to config.ini, bot settings being
+   *   saved as overrides for the current bot type.
+   *
+   * @returns {object}
+   *   The coerced changes as set.
+   *
+   * @throws {Error}
+   *   If any of the changes aren't valid, with the validation errors as
+   *   "errors".
+   */
+  cncserver.settings.update = function(type, changes, persist) {
+    var result = cncserver.schema.validate(type, changes);
+    if (result.errors.length) {
+      var err = new Error('Settings are not valid');
+      err.errors = result.errors;
+      throw err;
+    }
+
+    var conf = type === 'global' ? cncserver.gConf : cncserver.botConf;
+    for (var key in result.values) {
+      conf.set(key, result.values[key]);
+    }
+
+    if (persist) saveChanges(type, result.values);
+    if (type === 'bot') applyBotChanges(result.values);
+    return result.values;
+  };
+
+  // Bot settings the controller is configured with, see sendBotConfig.
+  var controllerSettings = ['speed:precision', 'servo:rate'];
+
+  /**
+   * Apply changed bot settings to everything derived from them, and let all
+   * stream clients know.
+   */
+  function applyBotChanges(values) {
+    var fields = Object.keys(cncserver.schema.flatten(values));
+    cncserver.settings.updateBotConstants();
+
+    var swapMotors = cncserver.botConf.get('controller:swapMotors');
+    if (typeof swapMotors !== 'undefined') {
+      cncserver.gConf.set('swapMotors', swapMotors);
+    }
+
+    var reconfigure = fields.some(function(field) {
+      return controllerSettings.indexOf(field) !== -1;
+    });
+    if (reconfigure) cncserver.serial.sendBotConfig();
+
+    cncserver.io.sendBotUpdate();
+    cncserver.io.sendSettingsUpdate('bot', cncserver.schema.flatten(values));
+  }
+
+  /**
+   * Load a bot config file, meshing in the bot overrides from the main config
+   * and computing the bot constants from it.
+   */
+  function loadBotFile(botFile, botType, cb) {
+    cncserver.botConf.reset();
+    cncserver.botConf.use('file', {
+      file: botFile,
+      format: nconf.formats.ini
+    }).load(function(){
+
+      // Mesh in bot overrides from main config
+      var overrides = cncserver.gConf.get('botOverride');
+      if (overrides) {
+        if (overrides[botType]) {
+          for(var key in overrides[botType]) {
+            cncserver.botConf.set(key, overrides[botType][key]);
+          }
+        }
+      }
+
+      cncserver.settings.updateBotConstants();
+
+      // Set global override for swapMotors if set by bot config
+      var swapMotors = cncserver.botConf.get('controller:swapMotors');
+      if (typeof swapMotors !== 'undefined') {
+        cncserver.gConf.set('swapMotors', swapMotors);
+      }
+
+      cb();
+    });
+  }
+
+  /**
+   * Write validated settings changes to config.ini.
+   */
+  function saveChanges(type, values) {
+    var ini = require('ini');
+    var data = {};
+    if (fs.existsSync(configPath)) {
+      data = ini.parse(fs.readFileSync(configPath, 'utf-8'));
+    }
+
+    if (type === 'global') {
+      Object.keys(values).forEach(function(key) {
+        var parts = key.split(':');
+        var parent = parts.slice(0, -1).reduce(function(obj, part) {
+          if (typeof obj[part] !== 'object') obj[part] = {};
+          return obj[part];
+        }, data);
+        parent[parts[parts.length - 1]] = values[key];
+      });
+    } else {
+      // Overrides are single values keyed by full path, as loadBotConfig
+      // expects, kept in sync in memory for when the bot config is reloaded.
+      var botType = cncserver.gConf.get('botType');
+      data.botOverride = data.botOverride || {};
+      data.botOverride[botType] = cncserver.utils.extend(
+        data.botOverride[botType] || {},
+        cncserver.schema.flatten(values)
+      );
+      cncserver.gConf.set(
+        'botOverride:' + botType,
+        data.botOverride[botType]
+      );
+    }
+
+    fs.writeFileSync(configPath, ini.stringify(data));
+  }
+
   // Exports.
+  cncserver.exports.updateSettings = cncserver.settings.update;
+  cncserver.exports.changeBotType = cncserver.settings.changeBotType;
   cncserver.exports.getSupportedBots = cncserver.settings.getSupportedBots;
   cncserver.exports.loadGlobalConfig = cncserver.settings.loadGlobalConfig;
   cncserver.exports.loadBotConfig = cncserver.settings.loadBotConfig;
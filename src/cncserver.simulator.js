@@ -0,0 +1,249 @@
+"use strict";
+
+/**
+ * @file Abstraction module for the virtual plotter simulator for CNC Server!
+ * While in simulation mode, the runner reports every serial command it would
+ * have written, and the simulator reconstructs what the machine would have
+ * drawn from the rendered movexy/movez commands, for output as SVG.
+ */
+
+module.exports = function(cncserver) {
+  cncserver.simulator = {
+    position: null, // Simulated absolute position in steps.
+    down: false, // Is the simulated pen down?
+    paths: [], // Polylines drawn while the pen was down.
+    travel: [] // Pen up moves, as [from, to] point pairs.
+  };
+
+  var current = null; // Polyline being drawn, while the pen is down.
+  var matchers = {}; // Command matching regexes, keyed by command template.
+
+  /**
+   * Reset the simulator recording.
+   *
+   * @param {object} position
+   *   Pen object with absolute x/y position in steps (and optional height
+   *   state) to start from, defaults to the bot park position with pen up.
+   */
+  cncserver.simulator.reset = function(position) {
+    var sim = cncserver.simulator;
+    if (!position) {
+      position = cncserver.utils.centToSteps(cncserver.bot.park, true);
+    }
+
+    sim.position = {x: Number(position.x), y: Number(position.y)};
+    sim.down = position.state ? cncserver.utils.penDown(position) : false;
+    sim.paths = [];
+    sim.travel = [];
+    current = null;
+  };
+
+  /**
+   * Simulate a single serial command, as it would have been written to the
+   * bot. Anything other than moves and height changes is ignored.
+   *
+   * @param {string} command
+   *   Serial command string.
+   */
+  cncserver.simulator.command = function(command) {
+    var sim = cncserver.simulator;
+    if (!sim.position) sim.reset();
+
+    var move = matchCommand('movexy', command);
+    if (move) {
+      moveTo(getDestination(move));
+      return;
+    }
+
+    var height = matchCommand('movez', command);
+    if (height && typeof height.z !== 'undefined') {
+      var up = cncserver.utils.stateToHeight('up').height;
+      var draw = cncserver.utils.stateToHeight('draw').height;
+      sim.down = Math.abs(height.z - draw) < Math.abs(height.z - up);
+      if (!sim.down) current = null;
+    }
+  };
+
+  /**
+   * Get simulator recording stats.
+   *
+   * @returns {object}
+   *   Stats with simulated "position", "down" state, and number of "paths",
+   *   "points" and "travel" moves recorded.
+   */
+  cncserver.simulator.getStats = function() {
+    var sim = cncserver.simulator;
+    if (!sim.position) sim.reset();
+
+    return {
+      position: sim.position,
+      down: sim.down,
+      paths: sim.paths.length,
+      points: sim.paths.reduce(function(total, points) {
+        return total + points.length;
+      }, 0),
+      travel: sim.travel.length
+    };
+  };
+
+  /**
+   * Render everything drawn so far as an SVG document, measured in steps.
+   *
+   * @param {object} options
+   *   Render options:
+   *     travel {boolean}: Pass true to include pen up moves as dashed lines.
+   *
+   * @returns {string}
+   *   SVG document.
+   */
+  cncserver.simulator.renderSVG = function(options) {
+    options = options || {};
+    var sim = cncserver.simulator;
+    var max = cncserver.bot.maxArea;
+    var work = cncserver.bot.workArea;
+    var stroke = Math.max(1, Math.round(max.width / 500));
+
+    var out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<svg xmlns="http://www.w3.org/2000/svg" version="1.1" ' +
+        'width="' + max.width + '" height="' + max.height + '" ' +
+        'viewBox="0 0 ' + max.width + ' ' + max.height + '">',
+      '  <rect class="work-area" x="' + work.left + '" y="' + work.top +
+        '" width="' + work.width + '" height="' + work.height +
+        '" fill="none" stroke="#cccccc" stroke-width="' + stroke + '"/>'
+    ];
+
+    if (options.travel && sim.travel.length) {
+      out.push(
+        '  <path class="travel" fill="none" stroke="#ff0000" stroke-width="' +
+        stroke + '" stroke-dasharray="' + (stroke * 4) + '" d="' +
+        sim.travel.map(pathData).join(' ') + '"/>'
+      );
+    }
+
+    if (sim.paths.length) {
+      out.push(
+        '  <path class="drawing" fill="none" stroke="#000000" ' +
+        'stroke-width="' + stroke + '" stroke-linecap="round" ' +
+        'stroke-linejoin="round" d="' + sim.paths.map(pathData).join(' ') +
+        '"/>'
+      );
+    }
+
+    out.push('</svg>');
+    return out.join('\n') + '\n';
+  };
+
+  /**
+   * Match a serial command against a bot command template, like
+   * "SM,%d,%x,%y".
+   *
+   * @param {string} name
+   *   Key in cncserver.bot.commands of the template to match.
+   * @param {string} command
+   *   Serial command string.
+   *
+   * @returns {object}
+   *   Numeric values keyed by placeholder name, or null if no match.
+   */
+  function matchCommand(name, command) {
+    var template = cncserver.bot.commands[name];
+    if (!template) return null;
+
+    if (!matchers[template]) {
+      // Splitting on the placeholders leaves their names at the odd indexes.
+      var keys = [];
+      var pattern = template.split(/%([a-z])/).map(function(part, index) {
+        if (index % 2) {
+          keys.push(part);
+          return '(-?[\\d.]+)';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }).join('');
+      matchers[template] = {keys: keys, regex: new RegExp('^' + pattern + '$')};
+    }
+
+    var matcher = matchers[template];
+    var found = matcher.regex.exec(String(command).trim());
+    if (!found) return null;
+
+    var values = {};
+    matcher.keys.forEach(function(key, index) {
+      values[key] = Number(found[index + 1]);
+    });
+    return values;
+  }
+
+  /**
+   * Get the absolute destination of a move command, undoing the motor swap
+   * and axis inversion applied in cncserver.utils.getPosChangeData.
+   *
+   * @param {object} move
+   *   Matched movexy command values.
+   *
+   * @returns {{x: number, y: number}}
+   *   Absolute destination in steps.
+   */
+  function getDestination(move) {
+    var point = {x: move.x, y: move.y};
+    if (cncserver.gConf.get('swapMotors')) {
+      point = {x: move.y, y: move.x};
+    }
+
+    // Absolute controllers are sent the destination directly.
+    if (cncserver.botConf.get('controller').position !== "relative") {
+      return point;
+    }
+
+    if (cncserver.gConf.get('invertAxis:x')) point.x *= -1;
+    if (cncserver.gConf.get('invertAxis:y')) point.y *= -1;
+
+    return {
+      x: cncserver.simulator.position.x + point.x,
+      y: cncserver.simulator.position.y + point.y
+    };
+  }
+
+  /**
+   * Move the simulated pen, recording the line drawn or travelled.
+   *
+   * @param {{x: number, y: number}} dest
+   *   Absolute destination in steps.
+   */
+  function moveTo(dest) {
+    var sim = cncserver.simulator;
+    var from = sim.position;
+    if (dest.x === from.x && dest.y === from.y) return;
+
+    if (sim.down) {
+      if (!current) {
+        current = [from];
+        sim.paths.push(current);
+      }
+      current.push(dest);
+    } else {
+      sim.travel.push([from, dest]);
+    }
+
+    sim.position = dest;
+  }
+
+  /**
+   * Convert a list of points into SVG path data.
+   */
+  function pathData(points) {
+    return points.map(function(p, index) {
+      return (index ? 'L' : 'M') + round(p.x) + ',' + round(p.y);
+    }).join(' ');
+  }
+
+  /**
+   * Round a coordinate for output, to two decimal places.
+   */
+  function round(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  // Exports.
+  cncserver.exports.renderSimulation = cncserver.simulator.renderSVG;
+};
@@ -10,6 +10,12 @@ module.exports = function(cncserver) {
   var io = require('socket.io')(cncserver.server);
   cncserver.io = {};
 
+  // Require a read token to connect when API tokens are configured.
+  io.use(function(socket, next) {
+    var denied = cncserver.auth.check(socket.handshake.query.token, 'read');
+    next(denied ? new Error(denied[1]) : null);
+  });
+
   // SOCKET DATA STREAM ========================================================
   io.on('connection', function(socket){
     // Send buffer and pen updates on user connect
@@ -18,15 +24,50 @@ module.exports = function(cncserver) {
     // TODO: this likely needs to be sent ONLY to new connections
     cncserver.io.sendBufferComplete();
 
+    // Let the new client know who has control, if anyone.
+    socket.emit('lock update', cncserver.lock.getStatus());
+
     socket.on('disconnect', function(){
       //console.log('user disconnected');
     });
 
     // Shortcuts for moving and height for streaming lots of commands.
-    socket.on('move', cncserver.io.shortcut.move);
-    socket.on('height', cncserver.io.shortcut.height);
+    socket.on('move', function(data) {
+      if (allowControl(socket, data)) cncserver.io.shortcut.move(data);
+    });
+    socket.on('height', function(data) {
+      if (allowControl(socket, data)) cncserver.io.shortcut.height(data);
+    });
   });
 
+  /**
+   * Check if a socket's connection token allows control of the bot, and that
+   * it isn't locked by another client, telling the client if not.
+   *
+   * @param {object} socket
+   *   Socket.io client socket.
+   * @param {object} data
+   *   Shortcut event data, with the control lock key in "lock" if held.
+   *
+   * @returns {boolean}
+   *   True if allowed, false if not.
+   */
+  function allowControl(socket, data) {
+    var denied = cncserver.auth.check(socket.handshake.query.token, 'control');
+    if (denied) {
+      socket.emit('auth error', {status: denied[0], message: denied[1]});
+      return false;
+    }
+
+    denied = cncserver.lock.check(data && data.lock);
+    if (denied) {
+      socket.emit('lock error', {status: denied[0], message: denied[1]});
+      return false;
+    }
+
+    return true;
+  }
+
 
   /**
    * Send an update to all Stream clients about the actualPen object.
@@ -82,7 +123,8 @@ module.exports = function(cncserver) {
       type: 'vars',
       bufferRunning: cncserver.buffer.running,
       bufferPaused: cncserver.buffer.paused,
-      bufferPausePen: cncserver.buffer.pausePen
+      bufferPausePen: cncserver.buffer.pausePen,
+      bufferPauseReason: cncserver.buffer.pauseReason
     };
 
     if (cncserver.exports.bufferUpdateTrigger) {
@@ -102,7 +144,8 @@ module.exports = function(cncserver) {
       bufferData: cncserver.buffer.dataSet,
       bufferRunning: cncserver.buffer.running,
       bufferPaused: cncserver.buffer.paused,
-      bufferPausePen: cncserver.buffer.pausePen
+      bufferPausePen: cncserver.buffer.pausePen,
+      bufferPauseReason: cncserver.buffer.pauseReason
     };
 
     // Low-level event callback trigger to avoid Socket.io overhead
@@ -112,6 +155,53 @@ module.exports = function(cncserver) {
     io.emit('buffer update', data);
   };
 
+  /**
+   * Send an update to all stream clients when the bot type or its settings
+   * are changed.
+   */
+  cncserver.io.sendBotUpdate = function () {
+    io.emit('bot update', {
+      type: cncserver.gConf.get('botType'),
+      name: cncserver.botConf.get('name'),
+      maxArea: cncserver.bot.maxArea,
+      workArea: cncserver.bot.workArea,
+      park: cncserver.bot.park
+    });
+  };
+
+  /**
+   * Send an update to all stream clients when settings are changed.
+   *
+   * @param {string} type
+   *   Settings group changed, "global" or "bot".
+   * @param {object} values
+   *   New values keyed by full setting path.
+   */
+  cncserver.io.sendSettingsUpdate = function (type, values) {
+    io.emit('settings update', {type: type, values: values});
+  };
+
+  /**
+   * Send an update to all stream clients when the control lock changes.
+   *
+   * @param {object} status
+   *   Lock status object, see cncserver.lock.getStatus.
+   */
+  cncserver.io.sendLockUpdate = function (status) {
+    io.emit('lock update', status);
+  };
+
+  /**
+   * Send an update to all stream clients when the runner process is lost,
+   * restarted or recovered.
+   *
+   * @param {object} status
+   *   Runner status object, see cncserver.supervisor.getStatus.
+   */
+  cncserver.io.sendRunnerUpdate = function (status) {
+    io.emit('runner update', status);
+  };
+
   /**
    * Send an update to all stream clients of the given custom text string.
    *
@@ -143,10 +233,13 @@ module.exports = function(cncserver) {
    *
    * @param {int} vIndex
    *   Virtual index of manual swap
+   * @param {string} message
+   *   Optional message for the user from the tool change sequence.
    */
-  cncserver.io.manualSwapTrigger = function (vIndex) {
+  cncserver.io.manualSwapTrigger = function (vIndex, message) {
     io.emit('manualswap trigger', {
-      index: vIndex
+      index: vIndex,
+      message: message || ''
     });
   };
 
@@ -0,0 +1,220 @@
+"use strict";
+
+/**
+ * @file Abstraction module for supervising the runner process for CNC Server!
+ * The runner exits on any uncaught error, taking its buffer and serial port
+ * with it. When that happens the incident is recorded, a local runner is
+ * restarted with an increasing delay, and once any runner is ready again it's
+ * reconnected to serial and given back the buffer items it hadn't finished.
+ */
+
+module.exports = function(cncserver) {
+  cncserver.supervisor = {
+    state: 'starting', // One of "starting", "running", "lost" or "restarting".
+    local: false, // Whether the runner was started by us, so we can restart it.
+    restarts: 0, // Number of times the runner has been restarted.
+    incidents: [], // Recent incidents, newest last.
+    maxIncidents: 20, // Number of incidents to keep.
+
+    // Restart delays in milliseconds, doubling from "min" up to "max" for each
+    // restart until a runner has stayed up for "stable".
+    backoff: {min: 1000, max: 30000, stable: 60000}
+  };
+
+  var started = false; // Whether the runner has been ready before.
+  var attempts = 0; // Restart attempts since the runner was last stable.
+  var readyTime = 0; // When the runner was last ready.
+  var restartTimer = null;
+  var nextRestart = null; // When the runner is due to be restarted.
+  var reconnectSerial = false; // Whether serial was connected when lost.
+
+  /**
+   * Get the runner supervision status.
+   *
+   * @returns {object}
+   *   Status with the runner "state", whether it's "local", its process "pid",
+   *   number of "restarts", the "nextRestart" date if one is due, and recent
+   *   "incidents".
+   */
+  cncserver.supervisor.getStatus = function() {
+    var runner = cncserver.ipc.runner.process;
+    return {
+      state: cncserver.supervisor.state,
+      local: cncserver.supervisor.local,
+      pid: runner && runner.pid ? runner.pid : null,
+      restarts: cncserver.supervisor.restarts,
+      nextRestart: nextRestart ? new Date(nextRestart).toISOString() : null,
+      incidents: cncserver.supervisor.incidents
+    };
+  };
+
+  /**
+   * Handle the runner being ready, called on every "runner.ready" message.
+   *
+   * @returns {boolean}
+   *   True if the runner was ready before, and should be recovered once
+   *   configured, false if this is the first time it's ready and the server
+   *   should carry on starting up.
+   */
+  cncserver.supervisor.ready = function() {
+    var recover = started;
+    started = true;
+    readyTime = Date.now();
+    nextRestart = null;
+    clearTimeout(restartTimer);
+
+    // Connecting serial the first time is left to the server start up.
+    if (!recover) reconnectSerial = false;
+
+    cncserver.supervisor.state = 'running';
+    sendUpdate();
+    return recover;
+  };
+
+  /**
+   * Record the runner as lost, E.G. when its IPC socket disconnects. Does
+   * nothing if it's already lost.
+   *
+   * @param {string} reason
+   *   What happened, for the incident record.
+   */
+  cncserver.supervisor.lost = function(reason) {
+    var state = cncserver.supervisor.state;
+    if (state === 'lost' || state === 'restarting') return;
+
+    var incidents = cncserver.supervisor.incidents;
+    incidents.push({
+      time: new Date().toISOString(),
+      reason: reason,
+      item: cncserver.buffer.current, // Hash of the item left unfinished.
+      resent: 0, // Buffer items given back to the recovered runner.
+      recovered: null // When the runner was ready again.
+    });
+    if (incidents.length > cncserver.supervisor.maxIncidents) incidents.shift();
+
+    log('Runner lost: ' + reason);
+    cncserver.supervisor.state = 'lost';
+
+    // The serial port went with the runner, so the pen is simulated for now.
+    reconnectSerial = reconnectSerial || !cncserver.pen.simulation;
+    cncserver.pen.simulation = 1;
+    cncserver.actualPen.simulation = 1;
+    cncserver.io.sendPenUpdate();
+    sendUpdate();
+  };
+
+  /**
+   * Handle the local runner process exiting, restarting it after the backoff
+   * delay.
+   *
+   * @param {number} code
+   *   Exit code of the process, if it exited.
+   * @param {string} signal
+   *   Signal that killed the process, if it was killed.
+   */
+  cncserver.supervisor.exited = function(code, signal) {
+    cncserver.supervisor.lost(
+      'Runner process exited with ' + (signal ? 'signal ' + signal :
+      'code ' + code)
+    );
+
+    if (!cncserver.supervisor.local) return;
+
+    // A runner that stayed up long enough starts the backoff over.
+    var backoff = cncserver.supervisor.backoff;
+    if (readyTime && Date.now() - readyTime >= backoff.stable) attempts = 0;
+
+    var delay = Math.min(backoff.min * Math.pow(2, attempts), backoff.max);
+    attempts++;
+
+    log('Restarting runner in ' + delay + 'ms...');
+    cncserver.supervisor.state = 'restarting';
+    nextRestart = Date.now() + delay;
+    clearTimeout(restartTimer);
+    restartTimer = setTimeout(function() {
+      cncserver.supervisor.restarts++;
+      cncserver.ipc.runner.init();
+    }, delay);
+    sendUpdate();
+  };
+
+  /**
+   * Bring a newly ready runner back to where the lost one was: reconnect
+   * serial, drop the item that was left unfinished, and give it every buffer
+   * item already sent that it doesn't have. When a new runner has to start
+   * over, a buffer with items left is paused so the bot can be checked over
+   * before carrying on.
+   *
+   * @param {object} runner
+   *   Data from the "runner.ready" message: the "buffer" array of item hashes
+   *   the runner still has, and the hash of the item it's running as
+   *   "current", for a runner that only lost its connection.
+   */
+  cncserver.supervisor.recover = function(runner) {
+    var buffer = cncserver.buffer;
+    var incident = cncserver.supervisor.incidents.slice(-1)[0];
+    var kept = runner && runner.buffer ? runner.buffer : [];
+    var current = runner && runner.current ? runner.current : null;
+
+    if (reconnectSerial) {
+      reconnectSerial = false;
+      log('Reconnecting serial for the restarted runner...');
+      cncserver.serial.open();
+    }
+
+    // The unfinished item may have been partly run, the pen is assumed to
+    // have made it, as its state was already taken as the actual pen.
+    if (buffer.current && buffer.current !== current) {
+      cncserver.history.interrupt();
+      buffer.removeItem(buffer.current);
+    }
+
+    // Anything the runner kept that's since been cleared from the buffer
+    // mustn't run, so it starts over with what's left.
+    var stale = kept.some(function(hash) {
+      return !buffer.dataSet[hash];
+    });
+    if (stale) {
+      cncserver.ipc.sendMessage('buffer.clear');
+      kept = [];
+    }
+
+    // Items still held by the planner were never sent, and will be anyway.
+    var hashes = buffer.data.slice().reverse().filter(function(hash) {
+      return hash !== current && kept.indexOf(hash) === -1 &&
+        !cncserver.planner.isHeld(hash);
+    });
+
+    if (hashes.length) {
+      if (buffer.paused) {
+        cncserver.ipc.sendMessage('buffer.pause');
+      } else if (!current && !kept.length) {
+        buffer.pause('Runner restarted, check the bot before resuming');
+      }
+      hashes.forEach(buffer.send);
+    }
+
+    if (incident) {
+      incident.resent = hashes.length;
+      incident.recovered = new Date().toISOString();
+    }
+
+    log('Runner recovered, ' + hashes.length + ' buffer items resent');
+    sendUpdate();
+  };
+
+  /**
+   * Log what the supervisor is doing when debugging, as incidents are kept and
+   * sent to stream clients anyway.
+   */
+  function log(message) {
+    if (cncserver.gConf.get('debug')) console.log('SUPERVISOR: ' + message);
+  }
+
+  /**
+   * Send the supervision status to all stream clients.
+   */
+  function sendUpdate() {
+    cncserver.io.sendRunnerUpdate(cncserver.supervisor.getStatus());
+  }
+};
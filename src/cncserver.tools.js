@@ -0,0 +1,233 @@
+"use strict";
+
+/**
+ * @file Abstraction module for tool change sequences for CNC Server! Each tool
+ * in the bot config can carry a "sequence" of steps run once the pen is up and
+ * over the tool, E.G. for bot config INI:
+ *
+ *   [tools.red]
+ *   x = 1000
+ *   y = 200
+ *   sequence[] = "height draw"
+ *   sequence[] = "wiggle y 300 4"
+ *   sequence[] = "height up"
+ *   sequence[] = "move 0 500"
+ *   sequence[] = "pause Put the red pen back"
+ *
+ * Tools without a sequence get the original WaterColorBot tool change.
+ */
+
+module.exports = function(cncserver) {
+  cncserver.tools = {
+    // Every step type, with a description of its arguments.
+    steps: {
+      height: '<preset name, or height from 0 (up) to 1 (draw)>',
+      move: '<x> <y> steps, relative to the tool position',
+      wait: '<milliseconds>',
+      wiggle: '<axis: x, y or xy> <travel steps> <iterations>',
+      pause: '[message for the user]'
+    }
+  };
+
+  /**
+   * Parse a single sequence step.
+   *
+   * @param {string} step
+   *   Step string, the step type followed by its arguments, separated by spaces
+   *   or commas, E.G. "move 0, 100".
+   *
+   * @returns {object}
+   *   Parsed step with type "name", and "args" array: numbers for moves, waits
+   *   and wiggles, and a single message string for pauses.
+   *
+   * @throws {Error}
+   *   If the step isn't valid.
+   */
+  cncserver.tools.parse = function(step) {
+    var match = /^\s*(\w+)\s*(.*)$/.exec(String(step));
+    var name = match ? match[1].toLowerCase() : '';
+    var rest = match ? match[2].trim() : '';
+    var args = rest.length ? rest.split(/[\s,]+/) : [];
+
+    if (!cncserver.tools.steps.hasOwnProperty(name)) {
+      throw new Error('Unknown step "' + step + '", expected one of: ' +
+        Object.keys(cncserver.tools.steps).join(', '));
+    }
+
+    var usage = 'Step "' + name + '" expects ' + cncserver.tools.steps[name];
+    var numbers = function(count) {
+      var values = args.map(Number);
+      if (values.length !== count || !values.every(isFinite)) {
+        throw new Error(usage);
+      }
+      return values;
+    };
+
+    switch (name) {
+      case 'height':
+        if (args.length !== 1) throw new Error(usage);
+        return {name: name, args: args};
+
+      case 'move':
+        return {name: name, args: numbers(2)};
+
+      case 'wait':
+        args = numbers(1);
+        if (args[0] < 0) throw new Error(usage);
+        return {name: name, args: args};
+
+      case 'wiggle':
+        if (['x', 'y', 'xy'].indexOf(args[0]) === -1) throw new Error(usage);
+        var axis = args.shift();
+        return {name: name, args: [axis].concat(numbers(2))};
+    }
+
+    // Pauses keep the message as written.
+    return {name: name, args: [rest]};
+  };
+
+  /**
+   * Validate a tool change sequence.
+   *
+   * @param {array|string} sequence
+   *   Array of step strings, or a single step string.
+   *
+   * @returns {array}
+   *   Array of errors, each with the "step" index and a "message", empty if the
+   *   sequence is valid.
+   */
+  cncserver.tools.validate = function(sequence) {
+    var errors = [];
+    toArray(sequence).forEach(function(step, index) {
+      try {
+        cncserver.tools.parse(step);
+      } catch (e) {
+        errors.push({step: index, message: e.message});
+      }
+    });
+    return errors;
+  };
+
+  /**
+   * Get the tool change sequence for a tool.
+   *
+   * @param {string} toolName
+   *   Machine name of the tool.
+   * @param {object} tool
+   *   Tool object from the bot config.
+   *
+   * @returns {array}
+   *   Array of step strings.
+   */
+  cncserver.tools.getSequence = function(toolName, tool) {
+    if (typeof tool.sequence !== 'undefined') return toArray(tool.sequence);
+
+    // A "wait" tool requires user feedback before it can continue.
+    if (typeof tool.wait !== 'undefined') {
+      return tool.wait ? ['pause'] : [];
+    }
+
+    // "Standard" WaterColorBot tool change, water dips go down to wash.
+    var downHeight = toolName.indexOf('water') !== -1 ? 'wash' : 'draw';
+    return [
+      'height ' + downHeight,
+      ['wiggle', tool.wiggleAxis, tool.wiggleTravel, tool.wiggleIterations]
+        .join(' '),
+      'height up'
+    ];
+  };
+
+  /**
+   * Queue the steps of a tool change sequence into the buffer. The pen is
+   * expected to be over the tool already.
+   *
+   * @param {string} toolName
+   *   Machine name of the tool.
+   * @param {object} tool
+   *   Tool object from the bot config.
+   * @param {string} vIndex
+   *   Virtual index passed by the client, handed back with pause triggers.
+   *
+   * @throws {Error}
+   *   If any step in the sequence isn't valid, before anything is queued.
+   */
+  cncserver.tools.run = function(toolName, tool, vIndex) {
+    var steps = cncserver.tools.getSequence(toolName, tool).map(function(step) {
+      try {
+        return cncserver.tools.parse(step);
+      } catch (e) {
+        throw new Error('Tool "' + toolName + '": ' + e.message);
+      }
+    });
+
+    var origin = {x: Number(tool.x), y: Number(tool.y)};
+    steps.forEach(function(step) {
+      var args = step.args;
+      switch (step.name) {
+        case 'height':
+          cncserver.control.setHeight(args[0]);
+          break;
+
+        case 'move':
+          cncserver.control.movePenAbs({
+            x: origin.x + args[0],
+            y: origin.y + args[1]
+          });
+          break;
+
+        case 'wait':
+          cncserver.run('wait', null, args[0]);
+          break;
+
+        case 'wiggle':
+          cncserver.control.wigglePen(args[0], args[1], args[2]);
+          break;
+
+        case 'pause':
+          queuePause(vIndex, args[0]);
+          break;
+      }
+    });
+  };
+
+  /**
+   * Pause the buffer for the user to confirm before continuing, as queued by a
+   * "pause" step, triggering the client to ask once the buffer has paused.
+   *
+   * @param {object} command
+   *   Pause buffer item command, with the "message" to show, the virtual tool
+   *   "index" passed by the client, and the "delay" in milliseconds of the
+   *   move before it.
+   */
+  cncserver.tools.pause = function(command) {
+    cncserver.buffer.pause(command.message || 'Tool change');
+    cncserver.buffer.newlyPaused = true;
+
+    // Trigger the manualswap with virtual index for the client/user.
+    cncserver.buffer.pauseCallback = function() {
+      cncserver.buffer.pauseCallback = null;
+      cncserver.buffer.newlyPaused = false;
+      setTimeout(function() {
+        cncserver.io.manualSwapTrigger(command.index, command.message);
+      }, command.delay);
+    };
+  };
+
+  /**
+   * Queue a pause item, see cncserver.tools.pause().
+   */
+  function queuePause(vIndex, message) {
+    cncserver.run('pause', {
+      message: message,
+      index: vIndex,
+      delay: cncserver.pen.lastDuration
+    });
+  }
+
+  /**
+   * Sequences can be given as a single step string.
+   */
+  function toArray(sequence) {
+    return Array.isArray(sequence) ? sequence : [sequence];
+  }
+};
@@ -60,6 +60,21 @@ module.exports = function(cncserver) {
   cncserver.utils.getDurationFromDistance = function(distance, min, inPen) {
     if (typeof min === "undefined") min = 1;
 
+    // How many steps a second?
+    var speed = cncserver.utils.getSpeed(inPen);
+    return Math.max(Math.abs(Math.round(distance / speed * 1000)), min);
+  };
+
+  /**
+   * Get the current movement speed, taking into account whether the pen is up
+   * or down.
+   *
+   * @param {object} inPen
+   *   Incoming pen object to check (buffer tip or bot current).
+   * @returns {number}
+   *   Speed in steps per second.
+   */
+  cncserver.utils.getSpeed = function(inPen) {
     var minSpeed = parseFloat(cncserver.botConf.get('speed:min'));
     var maxSpeed = parseFloat(cncserver.botConf.get('speed:max'));
     var drawingSpeed = cncserver.botConf.get('speed:drawing');
@@ -76,8 +91,7 @@ module.exports = function(cncserver) {
     speed = speed > maxSpeed ? maxSpeed : speed;
     speed = speed < minSpeed ? minSpeed : speed;
 
-    // How many steps a second?
-    return Math.max(Math.abs(Math.round(distance / speed * 1000)), min);
+    return speed;
   };
 
   /**
@@ -198,6 +212,111 @@ module.exports = function(cncserver) {
   };
 
 
+  // Supported position units, and their size in millimeters where applicable.
+  cncserver.utils.units = {
+    percent: null,
+    steps: null,
+    mm: 1,
+    in: 25.4
+  };
+
+  /**
+   * Check whether position units are supported by the current bot.
+   *
+   * @param {string} units
+   *   Units name, one of the keys of cncserver.utils.units.
+   *
+   * @returns {boolean}
+   *   True if the units can be used, false if unknown, or if they're real
+   *   units and the bot has no stepsPerMM configured.
+   */
+  cncserver.utils.unitsSupported = function(units) {
+    if (!cncserver.utils.units.hasOwnProperty(units)) return false;
+    return !cncserver.utils.units[units] || cncserver.bot.stepsPerMM > 0;
+  };
+
+  /**
+   * Convert a coordinate in the given units into absolute step coordinate
+   * values. Percent & real units are measured from the work area origin.
+   *
+   * @param {{x: number, y: number}} point
+   *   Coordinate to be converted.
+   * @param {string} units
+   *   Units the point is given in, defaults to "percent" of the work area.
+   *
+   * @returns {{x: number, y: number}}
+   *   Converted coordinate in steps.
+   */
+  cncserver.utils.unitsToSteps = function(point, units) {
+    if (!units || units === 'percent') {
+      return cncserver.utils.centToSteps(point);
+    }
+
+    if (units === 'steps') {
+      return {x: Number(point.x), y: Number(point.y)};
+    }
+
+    var scale = cncserver.utils.units[units] * cncserver.bot.stepsPerMM;
+    return {
+      x: cncserver.bot.workArea.left + (point.x * scale),
+      y: cncserver.bot.workArea.top + (point.y * scale)
+    };
+  };
+
+  /**
+   * Convert absolute step coordinate values into the given units, the inverse
+   * of unitsToSteps.
+   *
+   * @param {{x: number, y: number}} point
+   *   Coordinate (measured in steps) to be converted.
+   * @param {string} units
+   *   Units to convert to, defaults to "percent" of the work area.
+   *
+   * @returns {{x: number, y: number}}
+   *   Converted coordinate in the given units.
+   */
+  cncserver.utils.stepsToUnits = function(point, units) {
+    var area = cncserver.bot.workArea;
+    if (units === 'steps') {
+      return {x: point.x, y: point.y};
+    }
+
+    if (!units || units === 'percent') {
+      return {
+        x: ((point.x - area.left) / area.width) * 100,
+        y: ((point.y - area.top) / area.height) * 100
+      };
+    }
+
+    var scale = cncserver.utils.units[units] * cncserver.bot.stepsPerMM;
+    return {
+      x: (point.x - area.left) / scale,
+      y: (point.y - area.top) / scale
+    };
+  };
+
+  /**
+   * Get a copy of a pen object with its position given in the given units.
+   *
+   * @param {object} pen
+   *   Pen object to convert, either cncserver.pen or cncserver.actualPen.
+   * @param {string} units
+   *   Units to convert to, returns plain copy in steps if not given.
+   *
+   * @returns {object}
+   *   Copy of the pen with converted x/y, and a "units" key.
+   */
+  cncserver.utils.penInUnits = function(pen, units) {
+    var out = cncserver.utils.extend({}, pen);
+    if (units) {
+      var point = cncserver.utils.stepsToUnits(pen, units);
+      out.x = point.x;
+      out.y = point.y;
+      out.units = units;
+    }
+    return out;
+  };
+
   /**
    * Get the distance/length of the given vector coordinate
    *
@@ -0,0 +1,508 @@
+/*jslint node: true */
+/*global describe, it, before */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var cncserver = require('./spawn/spawn-server.js');
+var path = cncserver.path;
+var req = require('request');
+
+cncserver.ready();
+
+/**
+ * Make an API request to the test server.
+ *
+ * @param {string} method
+ *   HTTP method, E.G. "GET".
+ * @param {string} resource
+ *   Path from the server root, E.G. "v1/pen".
+ * @param {object} options
+ *   Optional JSON "body" to send, and any request "headers".
+ * @param {function} callback
+ *   Called with the response status code, and the body, parsed if it's JSON.
+ */
+function api(method, resource, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  req({
+    method: method,
+    url: path + resource,
+    headers: options.headers,
+    json: options.body || true
+  }, function(err, res, body) {
+    expect(err).to.equal(null);
+    callback(res.statusCode, body, res);
+  });
+}
+
+// Only requests that read or are rejected, so the pen is left parked for the
+// scratch tests that follow.
+describe('API', function(){
+  before(function(done){
+    cncserver.waitFor(function(){return cncserver.isReady;}, done);
+  });
+
+  describe('Paths', function(){
+    it('requires paths data', function(done){
+      api('POST', 'v1/paths', {body: {}}, function(code, body) {
+        expect(code).to.equal(400);
+        expect(body.status).to.equal('/v1/paths POST requires "paths" data');
+        done();
+      });
+    });
+
+    it('rejects invalid path data, queueing nothing', function(done){
+      var body = {paths: ['L10,10']};
+      api('POST', 'v1/paths', {body: body}, function(code, body) {
+        expect(code).to.equal(400);
+        expect(body.status).to.contain('must begin with a move command');
+
+        api('GET', 'v1/buffer', function(code, body) {
+          expect(code).to.equal(200);
+          expect(body.count).to.equal(0);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('G-code', function(){
+    it('rejects unsupported codes by line, queueing nothing', function(done){
+      var body = {gcode: 'G21 G90\nG28\nG0 X10 Y10'};
+      api('POST', 'v1/gcode', {body: body}, function(code, body) {
+        expect(code).to.equal(400);
+        expect(body.moves).to.equal(0);
+        expect(body.errors).to.have.length(1);
+        expect(body.errors[0].line).to.equal(2);
+        done();
+      });
+    });
+
+    it('gives and resets the stream state', function(done){
+      api('DELETE', 'v1/gcode', function(code) {
+        expect(code).to.equal(200);
+
+        api('GET', 'v1/gcode', function(code, body) {
+          expect(code).to.equal(200);
+          expect(body).to.include({line: 0, absolute: true, penDown: false});
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Units', function(){
+    it('gives the pen position in real units', function(done){
+      api('GET', 'v1/pen?units=mm', function(code, body) {
+        expect(code).to.equal(200);
+        expect(body.units).to.equal('mm');
+        expect(body.x).to.be.a('number');
+        done();
+      });
+    });
+
+    it('rejects unknown units', function(done){
+      api('GET', 'v1/pen?units=furlongs', function(code, body) {
+        expect(code).to.equal(406);
+        expect(body.status).to.contain('furlongs');
+        done();
+      });
+    });
+  });
+
+  describe('Jobs', function(){
+    it('rejects jobs with nothing to draw, saving nothing', function(done){
+      api('POST', 'v1/jobs', {body: {name: 'Empty'}}, function(code) {
+        expect(code).to.equal(400);
+
+        api('GET', 'v1/jobs', function(code, body) {
+          expect(code).to.equal(200);
+          expect(body.jobs.map(function(job) { return job.name; }))
+            .to.not.include('Empty');
+          done();
+        });
+      });
+    });
+
+    it('can\'t find jobs that don\'t exist', function(done){
+      api('GET', 'v1/jobs/nope', function(code) {
+        expect(code).to.equal(404);
+
+        api('POST', 'v1/jobs/nope/resume', function(code) {
+          expect(code).to.equal(404);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Job queue', function(){
+    it('lists queued jobs, and any paused job holding them up', function(done){
+      api('GET', 'v1/jobs?status=queued', function(code, body) {
+        expect(code).to.equal(200);
+        expect(body.jobs).to.be.an('array');
+        expect(body).to.have.property('blockedBy');
+        done();
+      });
+    });
+  });
+
+  describe('Estimates', function(){
+    it('estimates commands without touching the buffer', function(done){
+      var commands = [
+        {pen: {x: 10, y: 10}},
+        {pen: {state: 'draw'}},
+        {pen: {x: 20, y: 10}},
+        {pen: {state: 'up'}},
+        {wait: 500}
+      ];
+
+      var body = {commands: commands};
+      api('POST', 'v1/estimate', {body: body}, function(code, body) {
+        expect(code).to.equal(200);
+        expect(body.items).to.be.above(0);
+        expect(body.distance.drawing).to.be.above(0);
+        expect(body.duration.wait).to.equal(500);
+
+        api('GET', 'v1/buffer', function(code, body) {
+          expect(code).to.equal(200);
+          expect(body.count).to.equal(0);
+          done();
+        });
+      });
+    });
+
+    it('rejects invalid commands', function(done){
+      var body = {commands: [{fly: true}]};
+      api('POST', 'v1/estimate', {body: body}, function(code, body) {
+        expect(code).to.equal(400);
+        expect(body.status).to.contain('expected "pen", "tool" or "wait"');
+        done();
+      });
+    });
+  });
+
+  describe('Path optimizing', function(){
+    it('rejects unknown optimize modes', function(done){
+      var body = {paths: ['M10,10 L20,20'], optimize: 'magic'};
+      api('POST', 'v1/paths', {body: body}, function(code, body) {
+        expect(code).to.equal(400);
+        expect(body.status).to.contain('magic');
+        done();
+      });
+    });
+  });
+
+  describe('Simulation', function(){
+    it('summarizes the recording', function(done){
+      api('GET', 'v1/simulation', function(code, body) {
+        expect(code).to.equal(200);
+        expect(body.position).to.include.keys('x', 'y');
+        expect(body.simulation).to.equal(0);
+        done();
+      });
+    });
+
+    it('renders the recording as SVG', function(done){
+      var resource = 'v1/simulation/render?travel=true';
+      api('GET', resource, function(code, body, res) {
+        expect(code).to.equal(200);
+        expect(res.headers['content-type']).to.contain('image/svg+xml');
+        expect(body).to.contain('<svg');
+        done();
+      });
+    });
+  });
+
+  describe('Buffer', function(){
+    it('only reads the buffer state on GET', function(done){
+      api('PUT', 'v1/buffer', {body: {paused: true}}, function(code, body) {
+        expect(code).to.equal(200);
+        expect(body.paused).to.equal(true);
+
+        api('GET', 'v1/buffer', function(code, body) {
+          expect(code).to.equal(200);
+          expect(body.paused).to.equal(true);
+
+          var resume = {body: {paused: false}};
+          api('PUT', 'v1/buffer', resume, function(code, body) {
+            expect(code).to.equal(200);
+            expect(body.paused).to.equal(false);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('Control lock', function(){
+    it('blocks control by others until released', function(done){
+      var body = {name: 'Spawn test'};
+      api('POST', 'v1/lock', {body: body}, function(code, held) {
+        expect(code).to.equal(200);
+        expect(held).to.include({locked: true, name: 'Spawn test'});
+        var headers = {'X-CNCServer-Lock': held.key};
+
+        api('PUT', 'v1/pen', {body: {}}, function(code, body) {
+          expect(code).to.equal(423);
+          expect(body.status).to.contain('Spawn test');
+
+          api('DELETE', 'v1/lock', {headers: headers}, function(code, body) {
+            expect(code).to.equal(200);
+            expect(body).to.deep.equal({locked: false});
+            done();
+          });
+        });
+      });
+    });
+
+    it('rejects durations it can\'t keep', function(done){
+      var body = {name: 'Spawn test', duration: 30 * 86400};
+      api('POST', 'v1/lock', {body: body}, function(code, body) {
+        expect(code).to.equal(400);
+        expect(body.status).to.contain('at most 604800 seconds');
+        expect(body.errors[0].field).to.equal('duration');
+
+        api('GET', 'v1/lock', function(code, body) {
+          expect(code).to.equal(200);
+          expect(body.locked).to.equal(false);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Machines', function(){
+    it('lists the default machine', function(done){
+      api('GET', 'v1/machines', function(code, body) {
+        expect(code).to.equal(200);
+        expect(body[0]).to.include({
+          id: 'default',
+          botType: 'watercolorbot',
+          url: '/v1/machines/default'
+        });
+        done();
+      });
+    });
+
+    it('can\'t find machines that aren\'t served', function(done){
+      api('GET', 'v1/machines/nope', function(code) {
+        expect(code).to.equal(404);
+
+        api('GET', 'v1/machines/nope/v1/pen', function(code) {
+          expect(code).to.equal(404);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Bot type', function(){
+    it('gives the current bot type, and the others available', function(done){
+      api('GET', 'v1/settings/bot/type', function(code, body) {
+        expect(code).to.equal(200);
+        expect(body.type).to.equal('watercolorbot');
+        expect(body.types).to.include.keys('axidraw', 'eggbot');
+        done();
+      });
+    });
+
+    it('rejects unknown bot types', function(done){
+      var body = {type: 'toaster'};
+      api('PUT', 'v1/settings/bot/type', {body: body}, function(code, body) {
+        expect(code).to.equal(404);
+        expect(body.status).to.equal('Bot type "toaster" not found');
+        done();
+      });
+    });
+  });
+
+  describe('Machine profiles', function(){
+    it('lists the shipped profiles', function(done){
+      api('GET', 'v1/machines/types', function(code, body) {
+        expect(code).to.equal(200);
+        var types = body.map(function(profile) { return profile.type; });
+        expect(types).to.include('watercolorbot');
+        done();
+      });
+    });
+
+    it('gives the full data of a profile', function(done){
+      api('GET', 'v1/machines/types/watercolorbot', function(code, body) {
+        expect(code).to.equal(200);
+        expect(body.type).to.equal('watercolorbot');
+        expect(body.data.controller.name).to.equal('EiBotBoard');
+        done();
+      });
+    });
+
+    it('rejects invalid profiles, saving nothing', function(done){
+      var body = {type: 'spawntest', data: {name: 'Spawn test'}};
+      api('POST', 'v1/machines/types', {body: body}, function(code, body) {
+        expect(code).to.equal(400);
+        expect(body.errors).to.have.length.above(0);
+
+        api('GET', 'v1/machines/types/spawntest', function(code) {
+          expect(code).to.equal(404);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Settings', function(){
+    it('rejects settings of the wrong type', function(done){
+      var body = {httpPort: 'fast'};
+      api('PUT', 'v1/settings/global', {body: body}, function(code, body) {
+        expect(code).to.equal(400);
+        expect(body.errors).to.deep.equal([
+          {field: 'httpPort', message: 'must be a number, got "fast"'}
+        ]);
+        done();
+      });
+    });
+
+    it('rejects settings only for config.ini', function(done){
+      var body = {jobsPath: '/etc'};
+      api('PUT', 'v1/settings/global', {body: body}, function(code, body) {
+        expect(code).to.equal(400);
+        expect(body.errors[0].field).to.equal('jobsPath');
+
+        api('GET', 'v1/settings/global', function(code, body) {
+          expect(code).to.equal(200);
+          expect(body.jobsPath).to.not.equal('/etc');
+          expect(body).to.not.have.property('apiTokens');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Reinking', function(){
+    it('gives the reink settings', function(done){
+      api('GET', 'v1/tools/reink', function(code, body) {
+        expect(code).to.equal(200);
+        expect(body).to.include.keys('distance', 'tool', 'wash', 'remaining');
+        done();
+      });
+    });
+
+    it('rejects bad distances and tools', function(done){
+      var body = {distance: -1};
+      api('PUT', 'v1/tools/reink', {body: body}, function(code, body) {
+        expect(code).to.equal(400);
+        expect(body.status).to.contain('must be a positive number');
+
+        var bad = {distance: 100, wash: 'nope'};
+        api('PUT', 'v1/tools/reink', {body: bad}, function(code, body) {
+          expect(code).to.equal(400);
+          expect(body.status).to.equal('Tool "nope" not found');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Pause rules', function(){
+    it('adds, gives and removes rules', function(done){
+      var rule = {type: 'distance', value: 20000, reason: 'Spawn test'};
+      api('POST', 'v1/buffer/rules', {body: rule}, function(code, body) {
+        expect(code).to.equal(201);
+        expect(body).to.include(rule);
+        var resource = 'v1/buffer/rules/' + body.id;
+
+        api('GET', resource, function(code, body) {
+          expect(code).to.equal(200);
+          expect(body.reason).to.equal('Spawn test');
+
+          api('DELETE', resource, function(code) {
+            expect(code).to.equal(200);
+
+            api('GET', resource, function(code) {
+              expect(code).to.equal(404);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('rejects invalid rules', function(done){
+      var rule = {type: 'distance', value: -5};
+      api('POST', 'v1/buffer/rules', {body: rule}, function(code, body) {
+        expect(code).to.equal(400);
+        expect(body.status).to.equal('Rule value must be a positive number');
+        done();
+      });
+    });
+  });
+
+  describe('History', function(){
+    it('pages through what the bot has run', function(done){
+      api('GET', 'v1/history?limit=1', function(code, body) {
+        expect(code).to.equal(200);
+        expect(body).to.include({offset: 0, limit: 1});
+        expect(body.entries).to.have.length.at.most(1);
+        done();
+      });
+    });
+
+    it('rejects bad filters, and unknown entries', function(done){
+      api('GET', 'v1/history?limit=lots', function(code, body) {
+        expect(code).to.equal(400);
+        expect(body.status).to.equal('History "limit" must be a whole number');
+
+        api('GET', 'v1/history/nope', function(code) {
+          expect(code).to.equal(404);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Metrics', function(){
+    it('gives metrics in the Prometheus text format', function(done){
+      api('GET', 'metrics', function(code, body) {
+        expect(code).to.equal(200);
+        expect(body).to.contain('# TYPE cncserver_buffer_items gauge');
+        expect(body).to.contain('cncserver_simulation{machine="default"} 0');
+        done();
+      });
+    });
+  });
+
+  describe('Runner', function(){
+    it('gives the status of the runner it started', function(done){
+      api('GET', 'v1/runner', function(code, body) {
+        expect(code).to.equal(200);
+        expect(body).to.include({state: 'running', local: true, restarts: 0});
+        expect(body.pid).to.be.a('number');
+        done();
+      });
+    });
+  });
+
+  describe('Serial', function(){
+    it('gives the connection status', function(done){
+      api('GET', 'v1/serial', function(code, body) {
+        expect(code).to.equal(200);
+        expect(body).to.include({connected: true, controller: 'EiBotBoard'});
+        done();
+      });
+    });
+
+    it('lists serial ports, or why they can\'t be', function(done){
+      this.timeout(5000);
+      api('GET', 'v1/serial/ports', function(code, body) {
+        expect(code).to.be.oneOf([200, 500]);
+        expect(body.ports).to.be.an('array');
+        if (code === 500) expect(body.status).to.contain('serial ports');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/*jslint node: true */
+/*global describe, it, afterEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+var request = stub.request;
+
+var config = {};
+var cncserver = stub.create({gConf: stub.config(config)});
+require('../src/cncserver.auth.js')(cncserver);
+var auth = cncserver.auth;
+
+describe('Auth', function(){
+  afterEach(function() {
+    cncserver.gConf.reset();
+  });
+
+  it('allows everything with no tokens configured', function(){
+    config.apiTokens = {info: 'Example text, not a token'};
+    expect(auth.enabled()).to.equal(false);
+    expect(auth.checkRequest(request('put', '/v1/pen'))).to.equal(null);
+  });
+
+  it('requires a valid token once configured', function(){
+    config.apiTokens = {info: 'Example', secret: 'control'};
+    expect(auth.enabled()).to.equal(true);
+    expect(auth.checkRequest(request('get', '/v1/pen'))[0]).to.equal(401);
+    expect(auth.check('info', 'read')[0]).to.equal(401);
+    expect(auth.check('constructor', 'read')[0]).to.equal(401);
+    expect(auth.check('wrong', 'read')[0]).to.equal(401);
+  });
+
+  it('reads tokens from the header or query string', function(){
+    config.apiTokens = {secret: 'control'};
+    var header = request('put', '/v1/pen', {Authorization: 'Bearer secret'});
+    var query = request('put', '/v1/pen', {}, {token: 'secret'});
+    expect(auth.checkRequest(header)).to.equal(null);
+    expect(auth.checkRequest(query)).to.equal(null);
+  });
+
+  it('limits read only tokens to looking', function(){
+    config.apiTokens = {viewer: 'read', driver: 'control'};
+    var query = {token: 'viewer'};
+
+    expect(auth.checkRequest(request('get', '/v1/pen', {}, query))).to.equal(
+      null
+    );
+    expect(auth.checkRequest(request('put', '/v1/pen', {}, query))[0]).to
+      .equal(403);
+    expect(auth.check('driver', 'read')).to.equal(null);
+    expect(auth.check('driver', 'control')).to.equal(null);
+  });
+
+  it('treats Scratch endpoints as control, apart from polling', function(){
+    expect(auth.getRequestScope(request('get', '/pen.up'))).to.equal('control');
+    expect(auth.getRequestScope(request('get', '/poll'))).to.equal('read');
+    expect(auth.getRequestScope(request('get', '/v1/buffer'))).to.equal('read');
+    expect(auth.getRequestScope(request('delete', '/v1/buffer'))).to.equal(
+      'control'
+    );
+  });
+});
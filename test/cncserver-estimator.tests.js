@@ -0,0 +1,140 @@
+/*jslint node: true */
+/*global describe, it */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+// Drawing at 1000 steps/s, moving at 2000 steps/s, and with servo moves taking
+// 1ms per height unit.
+var config = {
+  'controller': {position: 'relative'},
+  'speed:acceleration': 0
+};
+var speed = function(pen) { return pen.state === 'up' ? 2000 : 1000; };
+var cncserver = stub.create({
+  botConf: stub.config(config),
+  pen: {x: 0, y: 0, height: 0, state: 'up'},
+  utils: {
+    getSpeed: speed,
+    unitsSupported: function(units) { return units === 'steps'; },
+    unitsToSteps: function(point) { return {x: point.x, y: point.y}; },
+    getPosChangeData: function(src, dest) {
+      var d = cncserver.utils.getVectorLength({
+        x: dest.x - src.x,
+        y: dest.y - src.y
+      });
+      return {d: d / speed(src) * 1000};
+    },
+    getHeightChangeData: function(src, dest) {
+      return {d: Math.abs(dest - src)};
+    }
+  },
+  control: {
+    setHeight: function(state) {
+      var z = state === 'up' ? 0 : 100;
+      addItem({type: 'absheight', z: z, source: cncserver.pen.height});
+      cncserver.pen.height = z;
+      cncserver.pen.state = state;
+    },
+    movePenAbs: function(point) {
+      addItem({
+        type: 'absmove',
+        x: point.x,
+        y: point.y,
+        source: {x: cncserver.pen.x, y: cncserver.pen.y}
+      });
+      cncserver.pen.x = point.x;
+      cncserver.pen.y = point.y;
+    },
+    setTool: function(name) {
+      if (name !== 'color1') return false;
+      cncserver.control.setHeight('up');
+      cncserver.control.movePenAbs({x: 1000, y: 0});
+      cncserver.run('wait', null, 500);
+      return true;
+    }
+  },
+  run: function(type, data, duration) {
+    cncserver.buffer.capturing.push({command: type + data, duration: duration});
+  },
+  buffer: {
+    capture: function(fn) {
+      var pen = cncserver.utils.extend({}, cncserver.pen);
+      var items = cncserver.buffer.capturing = [];
+      fn(items);
+      cncserver.buffer.capturing = null;
+      cncserver.pen = pen;
+      return items;
+    }
+  }
+});
+
+function addItem(command) {
+  cncserver.buffer.capturing.push({
+    command: command,
+    pen: {state: cncserver.pen.state}
+  });
+}
+
+require('../src/cncserver.planner.js')(cncserver);
+require('../src/cncserver.estimator.js')(cncserver);
+var estimator = cncserver.estimator;
+
+var square = [
+  {pen: {x: 1000, y: 0}},
+  {pen: {state: 'draw'}},
+  {pen: {x: 2000, y: 0, units: 'steps'}},
+  {pen: {x: 2000, y: 1000}},
+  {pen: {state: 'up'}}
+];
+
+describe('Estimator', function(){
+  it('breaks down distance and duration', function(){
+    var out = estimator.estimate({commands: square});
+
+    expect(out.items).to.equal(5);
+    expect(out.distance).to.deep.equal({
+      drawing: 2000,
+      travel: 1000,
+      total: 3000
+    });
+    expect(out.duration).to.deep.equal({
+      drawing: 2000,
+      travel: 500,
+      servo: 200,
+      toolChanges: 0,
+      wait: 0,
+      total: 2700
+    });
+  });
+
+  it('counts everything in a tool change as tool change time', function(){
+    var out = estimator.estimate({commands: [{tool: 'color1'}, {wait: 250}]});
+    expect(out.duration.toolChanges).to.equal(1000);
+    expect(out.duration.wait).to.equal(250);
+    expect(out.duration.travel).to.equal(0);
+  });
+
+  it('uses planned acceleration when enabled', function(){
+    config['speed:acceleration'] = 1000;
+    var out = estimator.estimate({commands: square});
+    config['speed:acceleration'] = 0;
+
+    expect(out.duration.drawing).to.be.above(2000);
+    expect(out.duration.travel).to.be.above(500);
+  });
+
+  it('rejects invalid commands', function(){
+    expect(function() {
+      estimator.estimate({commands: [{tool: 'missing'}]});
+    }).to.throw(/tool "missing"/);
+    expect(function() {
+      estimator.estimate({commands: [{pen: {x: 1, y: 1, units: 'mm'}}]});
+    }).to.throw(/units/);
+    expect(function() {
+      estimator.estimate({commands: [{dance: true}]});
+    }).to.throw(/expected/);
+  });
+});
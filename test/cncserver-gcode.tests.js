@@ -0,0 +1,133 @@
+/*jslint node: true */
+/*global describe, it, beforeEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+// G-code coordinates are on a 100mm canvas.
+var cncserver = stub.create({
+  gConf: stub.config({pathTolerance: 1}),
+  pen: {state: 'up'},
+  utils: {
+    unitsSupported: function() { return cncserver.bot.stepsPerMM > 0; },
+    unitsToSteps: function(point) {
+      var scale = cncserver.bot.stepsPerMM;
+      return {x: point.x * scale, y: point.y * scale};
+    }
+  },
+  bot: {stepsPerMM: 0, workArea: {height: 500}}
+});
+require('../src/cncserver.gcode.js')(cncserver);
+var gcode = cncserver.gcode;
+
+function interpret(text, options) {
+  return gcode.interpret(text, gcode.newState(options));
+}
+
+describe('G-code', function(){
+  describe('interpret', function(){
+    it('handles absolute and relative moves', function(){
+      var out = interpret('G90 G0 X10 Y10\nG91\nG1 X5 Y-5');
+      expect(out.errors).to.deep.equal([]);
+      expect(out.actions).to.deep.equal([
+        {type: 'move', x: 10, y: 10},
+        {type: 'move', x: 15, y: 5}
+      ]);
+    });
+
+    it('converts inches to mm', function(){
+      var out = interpret('G20\nG0 X1 Y2');
+      expect(out.actions[0]).to.deep.equal({type: 'move', x: 25.4, y: 50.8});
+    });
+
+    it('keeps the motion mode between lines', function(){
+      var out = interpret('G1 X1 Y1\nX2 Y2');
+      expect(out.actions.length).to.equal(2);
+    });
+
+    it('sets the pen from M3/M5 and Z moves', function(){
+      var out = interpret('M3\nM5\nG0 Z-1\nG0 Z5\nM5');
+      expect(out.actions.map(function(a) { return a.down; })).to.deep.equal(
+        [true, false, true, false]
+      );
+    });
+
+    it('flattens arcs in the right direction', function(){
+      var cw = interpret('G0 X0 Y0\nG2 X20 Y0 I10 J0').actions;
+      var ccw = interpret('G0 X0 Y0\nG3 X20 Y0 I10 J0').actions;
+
+      expect(cw.length).to.be.above(3);
+      expect(cw[cw.length - 1]).to.deep.equal({type: 'move', x: 20, y: 0});
+      expect(cw[2].y).to.be.above(0);
+      expect(ccw[2].y).to.be.below(0);
+    });
+
+    it('finds arc centers from a radius', function(){
+      var out = interpret('G0 X0 Y0\nG2 X10 Y10 R10');
+      var mid = out.actions[Math.floor(out.actions.length / 2)];
+      var r = Math.sqrt(Math.pow(mid.x - 10, 2) + Math.pow(mid.y, 2));
+      expect(out.errors).to.deep.equal([]);
+      expect(r).to.be.closeTo(10, 0.0001);
+    });
+
+    it('ignores comments and accepted words', function(){
+      var out = interpret('N10 G1 X1 Y1 F3000 (feed) ; fast\n%\nS1000 T1');
+      expect(out.errors).to.deep.equal([]);
+      expect(out.actions.length).to.equal(1);
+    });
+
+    it('reports unsupported codes with line numbers', function(){
+      var out = interpret('G0 X1 Y1\nG28\nM8\nG1 Q4\nX$');
+      expect(out.errors.map(function(e) { return e.line; })).to.deep.equal(
+        [2, 3, 4, 5]
+      );
+      expect(out.errors[0].message).to.contain('G28');
+    });
+
+    it('requires a motion code before coordinates', function(){
+      expect(interpret('X1 Y1').errors.length).to.equal(1);
+    });
+  });
+
+  describe('import', function(){
+    var moves;
+
+    beforeEach(function(){
+      moves = [];
+      cncserver.control = {
+        setHeight: function(state) { cncserver.pen.state = state; },
+        movePenAbs: function(point) { moves.push([point.x, point.y]); }
+      };
+      gcode.state = gcode.newState();
+    });
+
+    it('maps and flips coordinates onto the canvas', function(){
+      gcode.import({gcode: 'G0 X100 Y50', width: 200, height: 100, flipY: 1});
+      expect(moves).to.deep.equal([[50, 50]]);
+    });
+
+    it('draws in real units if the bot supports them', function(){
+      cncserver.bot.stepsPerMM = 10;
+      gcode.import({gcode: 'G0 X10 Y10', flipY: true});
+      cncserver.bot.stepsPerMM = 0;
+      expect(moves).to.deep.equal([[100, 400]]);
+    });
+
+    it('continues from the previous state when streaming', function(){
+      gcode.import({gcode: 'G91\nG0 X10 Y10'});
+      var out = gcode.import({gcode: 'X10 Y10', stream: true});
+      expect(out.lines).to.equal(1);
+      expect(gcode.state.line).to.equal(3);
+      expect(moves).to.deep.equal([[10, 10], [20, 20]]);
+    });
+
+    it('queues nothing when there are errors', function(){
+      var out = gcode.import({gcode: 'G0 X10 Y10\nG99'});
+      expect(out.errors.length).to.equal(1);
+      expect(moves).to.deep.equal([]);
+      expect(gcode.state.line).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/*jslint node: true */
+/*global describe, it, beforeEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+var config = {historySize: 3};
+var cncserver = stub.create({
+  gConf: stub.config(config),
+  pen: {simulation: 0},
+  buffer: {
+    render: function(item) {
+      return typeof item.command === 'string' ? [item.command] : ['SM,1,2,3'];
+    }
+  }
+});
+require('../src/cncserver.history.js')(cncserver);
+var history = cncserver.history;
+
+function move(x) {
+  return {
+    command: {type: 'absmove', x: x, y: 0, source: {x: 0, y: 0}},
+    pen: {x: x, y: 0, state: 'draw', height: 100, tool: 'color0'},
+    duration: 250
+  };
+}
+
+function run(hash, item) {
+  history.start(hash, item, {x: 0, y: 0, state: 'up'});
+  history.done(hash);
+}
+
+describe('History', function(){
+  beforeEach(function(){
+    config.historySize = 3;
+    cncserver.pen.simulation = 0;
+    history.clear();
+    history.pending = {};
+    history.nextId = 1;
+  });
+
+  it('records executed buffer items', function(){
+    history.start('a', move(10), {x: 0, y: 0, state: 'up', height: 200});
+    expect(history.entries[0].ack).to.equal('pending');
+
+    history.done('a');
+    var entry = history.get(1);
+    expect(entry).to.include({
+      id: 1,
+      hash: 'a',
+      type: 'move',
+      duration: 250,
+      ack: 'ok'
+    });
+    expect(entry.penBefore).to.deep.equal(
+      {x: 0, y: 0, state: 'up', height: 200, tool: undefined}
+    );
+    expect(entry.penAfter.x).to.equal(10);
+    expect(entry.commands).to.deep.equal(['SM,1,2,3']);
+    expect(entry.elapsed).to.be.at.least(0);
+    expect(Date.parse(entry.finished))
+      .to.be.at.least(Date.parse(entry.started));
+    expect(history.pending).to.deep.equal({});
+  });
+
+  it('records controller errors against running items', function(){
+    history.start('a', {command: 'SC,4,1', duration: 0}, {});
+    history.error('!8 Err: Unknown command');
+    history.done('a');
+    history.error('Too late');
+
+    expect(history.get(1)).to.include({type: 'serial', ack: 'error'});
+    expect(history.get(1).errors).to.deep.equal(['!8 Err: Unknown command']);
+  });
+
+  it('marks simulated and cleared items', function(){
+    cncserver.pen.simulation = 1;
+    run('a', move(10));
+    cncserver.pen.simulation = 0;
+    history.start('b', {command: {type: 'message', message: 'Hi'}}, {});
+    history.interrupt();
+
+    expect(history.get(1).ack).to.equal('simulated');
+    expect(history.get(2)).to.include({ack: 'cleared', message: 'Hi'});
+  });
+
+  it('keeps only the last "historySize" items', function(){
+    ['a', 'b', 'c', 'd'].forEach(function(hash) { run(hash, move(1)); });
+    expect(history.entries.map(function(entry) { return entry.hash; }))
+      .to.deep.equal(['b', 'c', 'd']);
+
+    config.historySize = 0;
+    run('e', move(1));
+    expect(history.entries.length).to.equal(3);
+  });
+
+  it('filters and pages entries, newest first', function(){
+    config.historySize = 10;
+    run('a', move(1));
+    run('b', {command: 'SC,4,1', duration: 0});
+    run('c', move(2));
+    run('d', move(3));
+    history.entries[0].started = 1000;
+
+    var page = history.query({type: 'move', offset: '1', limit: '1'});
+    expect(page.total).to.equal(3);
+    expect(page.limit).to.equal(1);
+    expect(page.entries.map(function(entry) { return entry.hash; }))
+      .to.deep.equal(['c']);
+
+    expect(history.query({until: 2000}).entries[0].hash).to.equal('a');
+    expect(history.query({since: '1970-01-01T00:00:02Z'}).total).to.equal(3);
+    expect(history.query({ack: 'error'}).total).to.equal(0);
+  });
+
+  it('rejects invalid query options', function(){
+    expect(function() { history.query({limit: -1}); })
+      .to.throw('History "limit" must be a whole number');
+    expect(function() { history.query({since: 'yesterday'}); })
+      .to.throw('History "since" must be a date or timestamp');
+  });
+});
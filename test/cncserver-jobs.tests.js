@@ -0,0 +1,187 @@
+/*jslint node: true */
+/*global describe, it, beforeEach, afterEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var path = require('path');
+var stub = require('./stub/stub-cncserver.js');
+
+// Saving jobs to a temporary directory, with a "drawing" that adds a fixed set
+// of items to the buffer.
+var dir = stub.tempDir('jobs');
+var hashes = 0;
+var calls = [];
+var cncserver = stub.create({
+  gConf: stub.config({jobsPath: dir}),
+  pen: {x: 0, y: 0, state: 'up'},
+  bot: {park: {x: 0, y: 0}},
+  utils: {
+    getHash: function() { return 'job' + hashes++; }
+  },
+  paths: {
+    draw: function() {
+      [
+        {command: {type: 'absmove', x: 10, y: 0}, pen: {x: 10, state: 'up'}},
+        {command: {type: 'absheight', z: 1}, pen: {x: 10, y: 0, state: 'draw'}},
+        {command: {type: 'pause', index: '2'}, pen: {x: 10, y: 0}},
+        {command: {type: 'absmove', x: 20, y: 0}, pen: {x: 20, state: 'up'}}
+      ].forEach(cncserver.buffer.addItem);
+    }
+  },
+  control: {
+    setHeight: function(state) { calls.push(['height', state]); },
+    movePenAbs: function(point) { calls.push(['move', point.x, point.y]); }
+  },
+  estimator: {
+    items: function(items) { return {duration: {total: items.length}}; }
+  },
+  buffer: {
+    data: [],
+    capturing: null,
+    capture: function(fn) {
+      var pen = cncserver.pen;
+      var items = cncserver.buffer.capturing = [];
+      fn();
+      cncserver.buffer.capturing = null;
+      cncserver.pen = pen;
+      return items;
+    },
+    addItem: function(item) {
+      if (cncserver.buffer.capturing) {
+        return cncserver.buffer.capturing.push(item);
+      }
+      cncserver.buffer.data.push(item);
+    }
+  }
+});
+require('../src/cncserver.jobs.js')(cncserver);
+var jobs = cncserver.jobs;
+
+describe('Jobs', function(){
+  var job;
+
+  beforeEach(function(){
+    calls = [];
+    cncserver.buffer.data = [];
+    cncserver.pen = {x: 0, y: 0, state: 'up'};
+    job = jobs.submit({name: 'Test', paths: []});
+  });
+
+  afterEach(function(){
+    jobs.list().forEach(function(old) {
+      jobs.interrupt();
+      jobs.cancel(old.id);
+    });
+  });
+
+  it('saves the drawn items to disk, including pauses', function(){
+    var lines = fs.readFileSync(path.join(dir, job.id + '.jsonl')).toString();
+    expect(job.total).to.equal(4);
+    expect(lines.split('\n').length).to.equal(5);
+    expect(JSON.parse(lines.split('\n')[2]).command.type).to.equal('pause');
+    expect(cncserver.pen.x).to.equal(20);
+
+    // Queued jobs leave the tip of the buffer where it was.
+    jobs.submit({name: 'Next', paths: []});
+    expect(cncserver.pen.x).to.equal(20);
+  });
+
+  it('rejects jobs without drawing data', function(){
+    expect(function() { jobs.submit({name: 'Empty'}); }).to.throw(Error);
+  });
+
+  it('rejects jobs with callbacks that can\'t be saved', function(){
+    var draw = cncserver.paths.draw;
+    cncserver.paths.draw = function() {
+      cncserver.buffer.addItem({command: function() {}, pen: {}});
+    };
+
+    try {
+      expect(function() {
+        jobs.submit({name: 'Callback', paths: []});
+      }).to.throw(/callbacks/);
+    } finally {
+      cncserver.paths.draw = draw;
+    }
+    expect(jobs.list().length).to.equal(1);
+  });
+
+  it('starts right away, then queues', function(){
+    var next = jobs.submit({name: 'Next', paths: []});
+    expect(job.status).to.equal('running');
+    expect(next.status).to.equal('queued');
+    expect(cncserver.buffer.data.length).to.equal(4);
+    expect(cncserver.buffer.data[3].jobIndex).to.equal(3);
+    expect(calls).to.deep.equal([['height', 'up'], ['move', 0, 0]]);
+  });
+
+  it('tracks progress and starts the next job when done', function(){
+    var next = jobs.submit({name: 'Next', paths: []});
+    jobs.itemDone(cncserver.buffer.data[1]);
+    expect(job.done).to.equal(2);
+    expect(jobs.info(job).progress).to.equal(50);
+
+    jobs.itemDone(cncserver.buffer.data[3]);
+    expect(job.status).to.equal('done');
+    expect(next.status).to.equal('running');
+
+    var saved = JSON.parse(fs.readFileSync(path.join(dir, job.id + '.json')));
+    expect(saved.status).to.equal('done');
+  });
+
+  it('reorders and cancels queued jobs', function(){
+    var a = jobs.submit({name: 'A', paths: []});
+    var b = jobs.submit({name: 'B', paths: []});
+    expect(function() { jobs.move(job.id, 0); }).to.throw(/queued/);
+    expect(function() { jobs.cancel(job.id); }).to.throw(/Running/);
+
+    jobs.move(b.id, 0);
+    expect(jobs.list('queued')).to.deep.equal([b, a]);
+
+    jobs.cancel(b.id);
+    expect(jobs.get(b.id)).to.equal(null);
+    expect(fs.existsSync(path.join(dir, b.id + '.json'))).to.equal(false);
+  });
+
+  it('holds up the queue while a job is paused, reporting it', function(){
+    var next = jobs.submit({name: 'Next', paths: []});
+    expect(jobs.blocking()).to.equal(null);
+
+    // Interrupted by clearing the buffer, or losing the runner.
+    jobs.interrupt();
+    cncserver.buffer.data = [];
+    expect(jobs.startNext()).to.equal(null);
+    expect(next.status).to.equal('queued');
+    expect(jobs.blocking()).to.equal(job);
+
+    jobs.cancel(job.id);
+    expect(next.status).to.equal('running');
+    expect(jobs.blocking()).to.equal(null);
+  });
+
+  it('resumes from the last completed point', function(){
+    jobs.itemDone(cncserver.buffer.data[1]);
+    expect(function() { jobs.resume(job.id); }).to.throw(/paused/);
+
+    jobs.interrupt();
+    expect(job.status).to.equal('paused');
+    expect(function() { jobs.resume(job.id); }).to.throw(/empty/);
+
+    calls = [];
+    cncserver.buffer.data = [];
+    jobs.resume(job.id);
+    expect(job.status).to.equal('running');
+    expect(calls).to.deep.equal([
+      ['height', 'up'],
+      ['move', 0, 0],
+      ['move', 10, 0],
+      ['height', 'draw']
+    ]);
+    expect(cncserver.buffer.data.length).to.equal(2);
+    expect(cncserver.buffer.data[0].command.type).to.equal('pause');
+    expect(cncserver.buffer.data[1].command.x).to.equal(20);
+    expect(cncserver.buffer.data[1].jobIndex).to.equal(3);
+  });
+});
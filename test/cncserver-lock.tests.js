@@ -0,0 +1,107 @@
+/*jslint node: true */
+/*global describe, it, afterEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+var request = stub.request;
+
+// Lock updates broadcast to stream clients.
+var updates = [];
+var cncserver = stub.create({
+  gConf: stub.config({lockDuration: 60}),
+  io: {sendLockUpdate: function(status) { updates.push(status); }},
+  auth: {
+    getRequestScope: function(req) {
+      return req.route.method === 'get' ? 'read' : 'control';
+    }
+  }
+});
+require('../src/cncserver.lock.js')(cncserver);
+var lock = cncserver.lock;
+
+describe('Lock', function(){
+  afterEach(function() {
+    if (lock.data) lock.release(lock.data.key);
+    updates = [];
+  });
+
+  it('is unlocked by default', function(){
+    expect(lock.getStatus()).to.deep.equal({locked: false});
+    expect(lock.checkRequest(request('put', '/v1/pen'))).to.equal(null);
+  });
+
+  it('blocks control by other clients while held', function(){
+    var held = lock.acquire({name: 'Studio PC'});
+    expect(held.key).to.be.a('string');
+    expect(held.remaining).to.equal(60);
+
+    var denied = lock.checkRequest(request('put', '/v1/pen'));
+    expect(denied).to.deep.equal([423, 'Control is locked by "Studio PC"']);
+    expect(lock.checkRequest(request('get', '/v1/pen'))).to.equal(null);
+    expect(lock.checkRequest(request('post', '/v1/lock'))).to.equal(null);
+    expect(
+      lock.checkRequest(request('put', '/v1/pen', {}, {lock: held.key}))
+    ).to.equal(null);
+
+    expect(function() {
+      lock.acquire({name: 'Intruder'});
+    }).to.throw(/Studio PC/);
+    expect(function() {
+      lock.release('wrong');
+    }).to.throw(/Studio PC/);
+  });
+
+  it('renews with the key, and never reports it', function(){
+    var held = lock.acquire({name: 'Laptop', duration: 5});
+    var renewed = lock.acquire({key: held.key, duration: 30});
+
+    expect(renewed.key).to.equal(held.key);
+    expect(renewed.name).to.equal('Laptop');
+    expect(renewed.remaining).to.equal(30);
+    expect(lock.getStatus().key).to.equal(undefined);
+  });
+
+  it('rejects durations timers can\'t keep', function(){
+    expect(function() {
+      lock.acquire({name: 'Server', duration: 30 * 86400});
+    }).to.throw(/at most 604800 seconds, got 2592000/);
+    expect(function() {
+      lock.acquire({name: 'Server', duration: -5});
+    }).to.throw(/positive/);
+    expect(lock.getStatus().locked).to.equal(false);
+  });
+
+  it('tells invalid durations apart from a held lock', function(){
+    var invalid;
+    try {
+      lock.acquire({name: 'Server', duration: 'soon'});
+    } catch (err) {
+      invalid = err;
+    }
+    expect(invalid.errors).to.deep.equal([{
+      field: 'duration',
+      message: 'must be a positive number of seconds'
+    }]);
+
+    var held = lock.acquire({name: 'Studio PC'});
+    expect(function() {
+      lock.acquire({name: 'Server'});
+    }).to.throw(Error).that.has.not.property('errors');
+    lock.release(held.key);
+  });
+
+  it('expires, and broadcasts every change', function(){
+    lock.acquire({name: 'Tablet'});
+    lock.data.expires = Date.now() - 1;
+
+    expect(lock.getStatus().locked).to.equal(false);
+    expect(lock.check('anything')).to.equal(null);
+
+    lock.acquire({name: 'Phone'});
+    lock.release(lock.data.key);
+    expect(updates.map(function(status) { return status.locked; })).to.deep
+      .equal([true, true, false]);
+  });
+});
@@ -0,0 +1,92 @@
+/*jslint node: true */
+/*global describe, it, afterEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+var path = require('path');
+
+var defaults = {
+  botType: 'watercolorbot',
+  httpPort: 4242,
+  jobsPath: 'jobs',
+  machineId: 'default'
+};
+var config = {};
+var cncserver = stub.create({gConf: stub.config(config, defaults)});
+require('../src/cncserver.machines.js')(cncserver);
+var machines = cncserver.machines;
+
+describe('Machines', function(){
+  afterEach(function() {
+    cncserver.gConf.reset();
+    machines.children = {};
+  });
+
+  it('reads extra machines from config', function(){
+    config.machines = {
+      info: 'Example text, not a machine',
+      axidraw: {botType: 'axidraw', serialPath: '/dev/ttyACM1'},
+      wcb2: {httpPort: '5000'},
+      'bad id!': {botType: 'eggbot'},
+      default: {botType: 'eggbot'}
+    };
+
+    expect(machines.getConfigs()).to.deep.equal({
+      axidraw: {botType: 'axidraw', serialPath: '/dev/ttyACM1', httpPort: 4243},
+      wcb2: {botType: 'watercolorbot', httpPort: 5000}
+    });
+  });
+
+  it('passes machine config to child servers as arguments', function(){
+    var args = machines.getArgs('axidraw', {
+      botType: 'axidraw',
+      httpPort: 4243,
+      invertAxis: {x: true}
+    });
+
+    expect(path.basename(args[0])).to.equal('cncserver.js');
+    expect(args.slice(1)).to.deep.equal([
+      '--machineId=axidraw',
+      '--jobsPath=' + path.join('jobs', 'axidraw'),
+      '--botType=axidraw',
+      '--httpPort=4243'
+    ]);
+  });
+
+  it('lists the primary and child machines', function(){
+    machines.children.axidraw = {
+      botType: 'axidraw',
+      httpPort: 4243,
+      status: 'starting'
+    };
+
+    expect(machines.list()).to.deep.equal([
+      {
+        id: 'default',
+        botType: 'watercolorbot',
+        httpPort: 4242,
+        status: 'running',
+        url: '/v1/machines/default'
+      },
+      {
+        id: 'axidraw',
+        botType: 'axidraw',
+        httpPort: 4243,
+        status: 'starting',
+        url: '/v1/machines/axidraw'
+      }
+    ]);
+    expect(machines.info('constructor')).to.equal(null);
+  });
+
+  it('only starts children from the primary server', function(){
+    config.machineId = 'axidraw';
+    config.machines = {wcb2: {botType: 'watercolorbot'}};
+
+    expect(machines.isPrimary()).to.equal(false);
+    machines.start();
+    expect(machines.children).to.deep.equal({});
+  });
+});
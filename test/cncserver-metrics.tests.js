@@ -0,0 +1,88 @@
+/*jslint node: true */
+/*global describe, it */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+var cncserver = stub.create({
+  gConf: stub.config({machineId: 'plotter"2'}),
+  botConf: stub.config({controller: {ack: 'OK'}}),
+  pen: {simulation: 1},
+  buffer: {
+    data: ['a', 'b'],
+    paused: false,
+    render: function(item) {
+      return item.command.type === 'absheight' ? ['SC,5,1', 'SP,1'] : ['SM'];
+    }
+  }
+});
+require('../src/cncserver.metrics.js')(cncserver);
+var metrics = cncserver.metrics;
+
+function item(type, distance) {
+  return {
+    command: {type: type},
+    pen: {distanceCounter: distance},
+    duration: 500
+  };
+}
+
+describe('Metrics', function(){
+  it('counts executed buffer items', function(){
+    metrics.itemDone(item('absmove', 100));
+    metrics.itemDone(item('absheight', 100));
+    metrics.itemDone(item('absmove', 250));
+    metrics.itemDone({command: function() {}, duration: 0});
+
+    // Distance counters reset by a client carry on from zero.
+    metrics.itemDone(item('absmove', 40));
+
+    expect(metrics.counters).to.include({
+      itemsExecuted: 5,
+      serialCommands: 5,
+      servoMoves: 1,
+      penDownDistance: 290,
+      runSeconds: 2
+    });
+  });
+
+  it('counts serial commands written directly', function(){
+    var before = metrics.counters.serialCommands;
+    metrics.serverMessage({
+      command: 'serial.direct.command',
+      data: {commands: ['SM', 'SM']}
+    });
+    metrics.serverMessage({command: 'serial.direct.write', data: 'EM,1'});
+    metrics.serverMessage({command: 'buffer.add', data: {commands: ['SM']}});
+
+    expect(metrics.counters.serialCommands).to.equal(before + 3);
+  });
+
+  it('counts runner restarts and serial errors', function(){
+    metrics.runnerMessage({command: 'runner.ready'});
+    metrics.runnerMessage({command: 'runner.ready'});
+    metrics.runnerMessage({command: 'serial.data', data: 'OK\r\n'});
+    metrics.runnerMessage({command: 'serial.data', data: '!8 Err\r\n'});
+    metrics.runnerMessage({command: 'serial.error', data: {type: 'connect'}});
+    metrics.runnerMessage({command: 'serial.error', data: {type: 'data'}});
+
+    expect(metrics.counters).to.include({runnerRestarts: 1, serialErrors: 2});
+  });
+
+  it('renders the Prometheus text format', function(){
+    var lines = metrics.render().split('\n');
+
+    expect(lines.slice(0, 3)).to.deep.equal([
+      '# HELP cncserver_buffer_items Items waiting in the run buffer.',
+      '# TYPE cncserver_buffer_items gauge',
+      'cncserver_buffer_items{machine="plotter\\"2"} 2'
+    ]);
+    expect(lines).to.include('cncserver_simulation{machine="plotter\\"2"} 1');
+    expect(lines).to.include(
+      'cncserver_runner_restarts_total{machine="plotter\\"2"} 1'
+    );
+    expect(lines.pop()).to.equal('');
+  });
+});
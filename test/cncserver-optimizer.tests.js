@@ -0,0 +1,131 @@
+/*jslint node: true */
+/*global describe, it */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+var cncserver = stub.create({pen: {x: 0, y: 0}});
+require('../src/cncserver.optimizer.js')(cncserver);
+var optimizer = cncserver.optimizer;
+
+// Horizontal strokes along a line, drawn left to right, in a scrambled order.
+function strokes(order) {
+  return order.map(function(n) {
+    return [{x: n * 20, y: 0}, {x: n * 20 + 10, y: 0}];
+  });
+}
+
+function starts(polylines) {
+  return polylines.map(function(points) { return points[0].x; });
+}
+
+describe('Optimizer', function(){
+  it('orders strokes by nearest neighbour', function(){
+    var out = optimizer.optimize(strokes([3, 0, 2, 1]), {mode: 'greedy'});
+    expect(starts(out.polylines)).to.deep.equal([0, 20, 40, 60]);
+    expect(out.before).to.equal(190);
+    expect(out.after).to.equal(30);
+  });
+
+  it('reverses strokes only when allowed', function(){
+    var backwards = [
+      [{x: 10, y: 0}, {x: 0, y: 0}],
+      [{x: 30, y: 0}, {x: 20, y: 0}]
+    ];
+
+    var kept = optimizer.optimize(backwards, {mode: 'greedy'});
+    var flipped = optimizer.optimize(backwards, {
+      mode: 'greedy',
+      reverse: true
+    });
+
+    expect(starts(kept.polylines)).to.deep.equal([10, 30]);
+    expect(starts(flipped.polylines)).to.deep.equal([0, 20]);
+    expect(flipped.after).to.be.below(kept.after);
+  });
+
+  it('improves on greedy with 2-opt', function(){
+    // Greedy heads for the close stroke at 11, then has to come back for the
+    // one at -10 before going all the way out to 40.
+    var lines = [
+      [{x: 11, y: 0}, {x: 12, y: 0}],
+      [{x: -10, y: 0}, {x: -9, y: 0}],
+      [{x: 40, y: 0}, {x: 41, y: 0}]
+    ];
+
+    var greedy = optimizer.optimize(lines, {mode: 'greedy', reverse: true});
+    var twoOpt = optimizer.optimize(lines, {mode: '2opt', reverse: true});
+    var fixed = optimizer.optimize(lines, {mode: '2opt'});
+
+    expect(twoOpt.after).to.be.at.most(greedy.after);
+    expect(fixed.after).to.be.at.most(greedy.after);
+    expect(twoOpt.polylines.length).to.equal(3);
+  });
+
+  it('never makes travel longer, and keeps every point', function(){
+    var lines = [];
+    for (var i = 0; i < 30; i++) {
+      var x = (i * 7919) % 500;
+      var y = (i * 104729) % 300;
+      lines.push([{x: x, y: y}, {x: x + 15, y: y + 5}, {x: x + 3, y: y + 20}]);
+    }
+
+    ['greedy', '2opt'].forEach(function(mode) {
+      var out = optimizer.optimize(lines, {mode: mode, reverse: true});
+      var count = out.polylines.reduce(function(t, p) {
+        return t + p.length;
+      }, 0);
+      expect(out.after).to.be.below(out.before);
+      expect(count).to.equal(90);
+    });
+  });
+
+  it('improves large inputs quickly, within its limits', function(){
+    var lines = [];
+    for (var i = 0; i < 1000; i++) {
+      var x = (i * 7919) % 5000;
+      var y = (i * 104729) % 3000;
+      lines.push([{x: x, y: y}, {x: x + 15, y: y + 5}]);
+    }
+    var greedy = optimizer.optimize(lines, {mode: 'greedy'});
+
+    var time = Date.now();
+    var out = optimizer.optimize(lines, {mode: '2opt'});
+    expect(Date.now() - time).to.be.below(optimizer.timeLimit + 500);
+    expect(out.after).to.be.below(greedy.after);
+
+    // Out of time or over the stroke limit, the greedy order is kept.
+    var limits = {timeLimit: optimizer.timeLimit, max: optimizer.maxStrokes};
+    optimizer.timeLimit = -1;
+    expect(optimizer.optimize(lines, {mode: '2opt'})).to.deep.equal(greedy);
+    optimizer.timeLimit = limits.timeLimit;
+    optimizer.maxStrokes = 999;
+    expect(optimizer.optimize(lines, {mode: '2opt'})).to.deep.equal(greedy);
+    optimizer.maxStrokes = limits.max;
+  });
+
+  it('stops ordering greedily once out of time', function(){
+    var lines = [];
+    for (var i = 0; i < 20000; i++) {
+      lines.push([{x: (i * 7919) % 5000, y: (i * 104729) % 3000}]);
+    }
+
+    var limit = optimizer.greedyTimeLimit;
+    optimizer.greedyTimeLimit = 50;
+    var time = Date.now();
+    var out = optimizer.optimize(lines, {mode: 'greedy'});
+    optimizer.greedyTimeLimit = limit;
+
+    expect(Date.now() - time).to.be.below(1000);
+    expect(out.polylines.length).to.equal(lines.length);
+    expect(out.polylines[lines.length - 1]).to.equal(lines[lines.length - 1]);
+  });
+
+  it('rejects unknown modes', function(){
+    expect(function() {
+      optimizer.optimize([], {mode: 'magic'});
+    }).to.throw(/magic/);
+  });
+});
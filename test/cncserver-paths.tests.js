@@ -0,0 +1,144 @@
+/*jslint node: true */
+/*global describe, it, beforeEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+var cncserver = stub.create({
+  gConf: stub.config({pathTolerance: 1}),
+  pen: {state: 'up'}
+});
+require('../src/cncserver.paths.js')(cncserver);
+var paths = cncserver.paths;
+
+function last(list) {
+  return list[list.length - 1];
+}
+
+describe('Paths', function(){
+  describe('parseData', function(){
+    it('parses absolute and relative lines', function(){
+      var sub = paths.parseData('M10,10 L20,10 l0,10 H10 v-10')[0];
+      expect(sub.start).to.deep.equal({x: 10, y: 10});
+      expect(sub.segments.map(function(s) { return s.p; })).to.deep.equal([
+        {x: 20, y: 10}, {x: 20, y: 20}, {x: 10, y: 20}, {x: 10, y: 10}
+      ]);
+    });
+
+    it('treats coordinates after a move as implicit lines', function(){
+      var sub = paths.parseData('m 5 5 10 0 0 10')[0];
+      expect(sub.segments.length).to.equal(2);
+      expect(last(sub.segments).p).to.deep.equal({x: 15, y: 15});
+    });
+
+    it('closes and splits subpaths', function(){
+      var subs = paths.parseData('M0 0 L10 0 L10 10 Z M20 20 L30 30');
+      expect(subs.length).to.equal(2);
+      expect(subs[0].closed).to.equal(true);
+      expect(last(subs[0].segments).p).to.deep.equal({x: 0, y: 0});
+    });
+
+    it('reflects control points for smooth curves', function(){
+      var sub = paths.parseData('M0 0 C 0 10 10 10 10 0 S 20 -10 20 0')[0];
+      expect(sub.segments[1].c1).to.deep.equal({x: 10, y: -10});
+    });
+
+    it('parses compact numbers and packed arc flags', function(){
+      var sub = paths.parseData('M0,0a5,5 0 105.5.5')[0];
+      expect(last(sub.segments).p).to.deep.equal({x: 5.5, y: 0.5});
+    });
+
+    it('converts arcs to quarter turn cubics', function(){
+      var sub = paths.parseData('M0 0 A 10 10 0 0 1 20 0')[0];
+      expect(sub.segments.length).to.equal(2);
+      expect(sub.segments[0].p.x).to.be.closeTo(10, 0.0001);
+      expect(sub.segments[0].p.y).to.be.closeTo(-10, 0.0001);
+    });
+
+    it('throws on invalid data', function(){
+      expect(function() { paths.parseData('L 10 10'); }).to.throw(/move/);
+      expect(function() { paths.parseData('M 10 x'); }).to.throw(/number/);
+    });
+  });
+
+  describe('parseTransform', function(){
+    it('composes transform lists in order', function(){
+      var m = paths.parseTransform('translate(10, 5) scale(2)');
+      expect(m).to.deep.equal([2, 0, 0, 2, 10, 5]);
+    });
+
+    it('rotates about a center point', function(){
+      var m = paths.parseTransform('rotate(90 10 10)');
+      expect(m[4]).to.be.closeTo(20, 0.0001);
+      expect(m[5]).to.be.closeTo(0, 0.0001);
+    });
+
+    it('throws on unknown transforms', function(){
+      expect(function() { paths.parseTransform('warp(1)'); }).to.throw();
+    });
+  });
+
+  describe('render', function(){
+    it('maps canvas coordinates into steps', function(){
+      var lines = paths.render({
+        width: 200,
+        height: 50,
+        paths: [{points: [[0, 0], [200, 50]]}]
+      });
+      expect(lines[0]).to.deep.equal([{x: 0, y: 0}, {x: 100, y: 100}]);
+    });
+
+    it('flattens curves within tolerance', function(){
+      var radius = 50;
+      var coarse = paths.render({
+        tolerance: 5,
+        paths: 'M 0 50 A 50 50 0 0 1 100 50'
+      })[0];
+      var fine = paths.render({
+        tolerance: 0.1,
+        paths: 'M 0 50 A 50 50 0 0 1 100 50'
+      })[0];
+
+      expect(fine.length).to.be.above(coarse.length);
+      fine.forEach(function(p) {
+        var r = Math.sqrt(Math.pow(p.x - 50, 2) + Math.pow(p.y - 50, 2));
+        expect(r).to.be.closeTo(radius, 0.2);
+      });
+    });
+  });
+
+  describe('run', function(){
+    var calls;
+
+    beforeEach(function(){
+      calls = [];
+      cncserver.pen.state = 'up';
+      cncserver.control = {
+        setHeight: function(state) {
+          cncserver.pen.state = state;
+          calls.push(state);
+        },
+        movePenAbs: function(point) {
+          calls.push([point.x, point.y]);
+          return 10;
+        }
+      };
+    });
+
+    it('lifts the pen between separate paths', function(){
+      var stats = paths.run([
+        [{x: 0, y: 0}, {x: 10, y: 0}],
+        [{x: 20, y: 20}, {x: 30, y: 30}]
+      ]);
+
+      expect(calls).to.deep.equal([
+        [0, 0], 'draw', [10, 0],
+        'up', [20, 20], 'draw', [30, 30],
+        'up'
+      ]);
+      expect(stats).to.deep.equal({paths: 2, points: 4, distance: 40});
+    });
+  });
+});
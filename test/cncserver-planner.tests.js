@@ -0,0 +1,162 @@
+/*jslint node: true */
+/*global describe, it, beforeEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+// A relative position controller, a 1000 steps/s speed and an acceleration of
+// 10000 steps/s^2.
+var config = {
+  'controller': {position: 'relative'},
+  'speed:acceleration': 10000,
+  'speed:cornering': 2
+};
+var sent = [];
+var cncserver = stub.create({
+  botConf: stub.config(config),
+  utils: {
+    getSpeed: function() { return 1000; },
+    getPosChangeData: function(src, dest) {
+      return {x: dest.x - src.x, y: dest.y - src.y};
+    }
+  },
+  buffer: {
+    dataSet: {},
+    cmdstr: function(name, v) { return [name, v.d, v.x, v.y].join(','); },
+    send: function(hash) { sent.push(cncserver.buffer.dataSet[hash]); }
+  }
+});
+require('../src/cncserver.planner.js')(cncserver);
+var planner = cncserver.planner;
+
+function block(x, y) {
+  var d = Math.sqrt(x * x + y * y);
+  return {distance: d, unit: {x: x / d, y: y / d}, nominal: 1000};
+}
+
+function addMove(from, to) {
+  var item = {
+    command: {type: 'absmove', x: to.x, y: to.y, source: from},
+    pen: {}
+  };
+  var hash = 'move' + Object.keys(cncserver.buffer.dataSet).length;
+  cncserver.buffer.dataSet[hash] = item;
+  return planner.hold(item, hash);
+}
+
+describe('Planner', function(){
+  describe('plan', function(){
+    it('starts and ends at a full stop', function(){
+      var blocks = planner.plan([block(100, 0), block(100, 0)], 0, 10000, 2);
+      expect(blocks[0].entry).to.equal(0);
+      expect(blocks[1].exit).to.equal(0);
+    });
+
+    it('keeps speed through straight junctions', function(){
+      var blocks = planner.plan(
+        [block(500, 0), block(500, 0), block(500, 0)], 0, 10000, 2
+      );
+      expect(blocks[1].entry).to.equal(1000);
+      expect(blocks[0].exit).to.equal(blocks[1].entry);
+    });
+
+    it('slows down for corners and stops for reversals', function(){
+      var corner = planner.plan([block(500, 0), block(0, 500)], 0, 10000, 2);
+      var back = planner.plan([block(500, 0), block(-500, 0)], 0, 10000, 2);
+      expect(corner[1].entry).to.be.above(0).and.below(1000);
+      expect(back[1].entry).to.equal(0);
+    });
+
+    it('never exceeds what acceleration allows', function(){
+      var blocks = planner.plan([block(5, 0), block(500, 0)], 0, 10000, 2);
+      expect(blocks[0].exit).to.be.closeTo(Math.sqrt(2 * 10000 * 5), 0.0001);
+    });
+  });
+
+  describe('profile', function(){
+    it('splits into accel, cruise and decel segments', function(){
+      var b = block(1000, 0);
+      b.entry = 0;
+      b.exit = 0;
+      var segments = planner.profile(b, 10000);
+      var durations = segments.map(function(s) { return s.duration; });
+      var cruise = Math.max.apply(null, durations);
+
+      expect(segments.length).to.equal(11);
+      expect(segments[0].start).to.equal(0);
+      expect(segments[10].end).to.be.closeTo(1000, 0.0001);
+      expect(durations.indexOf(cruise)).to.equal(5);
+      expect(durations[0]).to.be.above(durations[4]);
+    });
+
+    it('uses a triangle when nominal speed is out of reach', function(){
+      var b = block(40, 0);
+      b.entry = 0;
+      b.exit = 0;
+      var segments = planner.profile(b, 10000);
+      var total = segments.reduce(function(t, s) { return t + s.duration; }, 0);
+
+      // Accelerate over half, decelerate over half: t = 2 * sqrt(d / a).
+      expect(total).to.be.closeTo(2 * Math.sqrt(40 / 10000) * 1000, 5);
+    });
+  });
+
+  describe('hold', function(){
+    beforeEach(function(){
+      planner.clear();
+      sent = [];
+      cncserver.buffer.dataSet = {};
+    });
+
+    it('holds moves until flushed, then renders the exact change', function(){
+      expect(addMove({x: 0, y: 0}, {x: 300, y: 400})).to.equal(true);
+      expect(addMove({x: 300, y: 400}, {x: 600, y: 400})).to.equal(true);
+      expect(sent.length).to.equal(0);
+
+      planner.flush();
+      expect(sent.length).to.equal(2);
+      expect(sent[0].plan.exit).to.be.above(0);
+      expect(sent[1].plan.entry).to.equal(sent[0].plan.exit);
+
+      var total = {x: 0, y: 0};
+      planner.render(sent[0]).forEach(function(cmd) {
+        var parts = cmd.split(',');
+        expect(Number(parts[1])).to.be.at.least(1);
+        total.x += Number(parts[2]);
+        total.y += Number(parts[3]);
+      });
+      expect(total).to.deep.equal({x: 300, y: 400});
+    });
+
+    it('gives items their planned durations', function(){
+      // Ramps take 100ms over 50 steps, cruising covers the rest at 1000/s.
+      addMove({x: 0, y: 0}, {x: 500, y: 0});
+      var first = cncserver.buffer.dataSet.move0;
+      expect(first.duration).to.be.closeTo(600, 5);
+
+      // Carrying on in a straight line, the first move no longer stops.
+      addMove({x: 500, y: 0}, {x: 1000, y: 0});
+      planner.flush();
+      expect(first.duration).to.be.closeTo(550, 5);
+      expect(sent[1].duration).to.be.closeTo(550, 5);
+      expect(first.pen.lastDuration).to.equal(first.duration);
+    });
+
+    it('sends the oldest moves past the look-ahead limit', function(){
+      for (var i = 0; i <= planner.lookahead; i++) {
+        addMove({x: i * 10, y: 0}, {x: (i + 1) * 10, y: 0});
+      }
+      expect(sent.length).to.equal(1);
+      planner.clear();
+    });
+
+    it('ignores other items and acceleration free bots', function(){
+      expect(planner.hold({command: 'EM,1,1'}, 'x')).to.equal(false);
+      config['speed:acceleration'] = 0;
+      expect(addMove({x: 0, y: 0}, {x: 10, y: 0})).to.equal(false);
+      config['speed:acceleration'] = 10000;
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/*jslint node: true */
+/*global describe, it, after */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var path = require('path');
+var stub = require('./stub/stub-cncserver.js');
+
+// With the real settings, saving profiles to a temporary directory.
+var updates = [];
+var cncserver = stub.create({
+  serial: {sendBotConfig: function() { updates.push('config'); }},
+  io: {sendBotUpdate: function() { updates.push('bot'); }}
+});
+require('../src/cncserver.settings.js')(cncserver);
+require('../src/cncserver.tools.js')(cncserver);
+require('../src/cncserver.schema.js')(cncserver);
+cncserver.gConf.use('memory');
+require('../src/cncserver.profiles.js')(cncserver);
+var profiles = cncserver.profiles;
+var shipped = cncserver.settings.botPaths.shipped;
+var saved = cncserver.settings.botPaths.user = path.join(
+  stub.tempDir('profiles'),
+  'profiles'
+);
+
+// A valid profile, as parsed from an INI file (values are strings).
+function profile() {
+  return {
+    name: 'TestBot',
+    controller: {
+      name: 'EiBotBoard',
+      baudRate: '9600',
+      position: 'relative',
+      commands: {movexy: 'SM,%d,%x,%y', movez: 'SC,5,%z'}
+    },
+    speed: {min: '200', max: '2000', drawing: '25', moving: '30'},
+    maxArea: {width: '1000', height: '500'},
+    workArea: {left: '100', top: '0'},
+    park: {x: '0', y: '0'},
+    servo: {min: '7500', max: '25000', presets: {up: '70', draw: '30'}},
+    tools: {
+      color0: {x: '50', y: '50'},
+      manualswap: {x: '0', y: '0', wait: true}
+    }
+  };
+}
+
+function fields(errors) {
+  return errors.map(function(error) { return error.field; });
+}
+
+describe('Profiles', function(){
+  it('accepts a valid profile', function(){
+    expect(profiles.validate(profile())).to.deep.equal([]);
+  });
+
+  it('requires controller commands', function(){
+    var data = profile();
+    delete data.controller.commands.movez;
+    expect(profiles.validate(data)).to.deep.equal([
+      {field: 'controller:commands:movez', message: 'is required'}
+    ]);
+
+    delete data.controller.commands;
+    expect(fields(profiles.validate(data))).to.deep.equal([
+      'controller:commands:movexy',
+      'controller:commands:movez'
+    ]);
+  });
+
+  it('requires numeric areas', function(){
+    var data = profile();
+    data.maxArea.width = 'wide';
+    delete data.maxArea.height;
+
+    expect(profiles.validate(data)).to.deep.equal([
+      {field: 'maxArea:height', message: 'is required'},
+      {field: 'maxArea:width', message: 'must be a number, got "wide"'}
+    ]);
+  });
+
+  it('requires up and draw servo presets', function(){
+    var data = profile();
+    delete data.servo.presets.draw;
+    data.servo.presets.up = '120';
+
+    expect(profiles.validate(data)).to.deep.equal([
+      {field: 'servo:presets:draw', message: 'is required'},
+      {
+        field: 'servo:presets:up',
+        message: 'must be between 0 and 100, got "120"'
+      }
+    ]);
+  });
+
+  it('requires tools inside the max area', function(){
+    var data = profile();
+    data.tools.color0.x = '1001';
+    data.tools.color0.y = '-1';
+    data.workArea.left = '1000';
+
+    expect(fields(profiles.validate(data))).to.deep.equal([
+      'tools:color0:y',
+      'workArea:left',
+      'tools:color0:x'
+    ]);
+  });
+
+  it('requires speeds and ranges that go up', function(){
+    var data = profile();
+    delete data.speed;
+    data.servo.min = '30000';
+
+    expect(profiles.validate(data)).to.deep.equal([
+      {field: 'speed:min', message: 'is required'},
+      {field: 'speed:max', message: 'is required'},
+      {field: 'speed:drawing', message: 'is required'},
+      {field: 'speed:moving', message: 'is required'},
+      {
+        field: 'servo:min',
+        message: 'must be less than servo:max (25000), got 30000'
+      }
+    ]);
+  });
+
+  it('requires valid tool change sequences', function(){
+    var data = profile();
+    data.tools.color0.sequence = ['height draw', 'wiggle z 10 2', 'dance'];
+
+    expect(fields(profiles.validate(data))).to.deep.equal([
+      'tools:color0:sequence'
+    ]);
+  });
+
+  it('only allows safe profile names', function(){
+    expect(profiles.getPath('axidraw-v3_2')).to.match(/axidraw-v3_2\.ini$/);
+    expect(function() {
+      profiles.getPath('../config');
+    }).to.throw(/Invalid profile name/);
+    expect(profiles.get('../config')).to.equal(null);
+  });
+
+  it('saves profiles apart from the shipped ones', function(){
+    var before = fs.readFileSync(path.join(shipped, 'axidraw.ini'), 'utf-8');
+    profiles.create('testbot', profile());
+    profiles.update('axidraw', {name: 'My AxiDraw'});
+
+    expect(fs.readFileSync(path.join(shipped, 'axidraw.ini'), 'utf-8'))
+      .to.equal(before);
+    expect(fs.readdirSync(saved).sort())
+      .to.deep.equal(['axidraw.ini', 'testbot.ini']);
+    expect(profiles.get('axidraw').name).to.equal('My AxiDraw');
+    expect(function() {
+      profiles.create('axidraw', profile());
+    }).to.throw(/already exists/);
+
+    var list = profiles.list().filter(function(bot) { return bot.custom; });
+    expect(list).to.deep.equal([
+      {type: 'axidraw', name: 'My AxiDraw', controller: 'EiBotBoard',
+        custom: true},
+      {type: 'testbot', name: 'TestBot', controller: 'EiBotBoard',
+        custom: true}
+    ]);
+  });
+
+  it('reloads the current bot type when its profile changes', function(done){
+    cncserver.gConf.set('botType', 'testbot');
+    updates = [];
+    profiles.update('axidraw', {name: 'Not in use'});
+    expect(updates).to.deep.equal([]);
+
+    cncserver.io.sendBotUpdate = function() {
+      expect(cncserver.botConf.get('servo:presets:draw')).to.equal('25');
+      expect(cncserver.bot.maxArea.width).to.equal(1000);
+      expect(updates).to.deep.equal(['config']);
+      done();
+    };
+    profiles.update('testbot', {servo: {presets: {draw: 25}}});
+  });
+
+  after(function(){
+    fs.readdirSync(saved).forEach(function(file) {
+      fs.unlinkSync(path.join(saved, file));
+    });
+    fs.rmdirSync(saved);
+    fs.rmdirSync(path.dirname(saved));
+  });
+});
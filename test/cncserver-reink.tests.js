@@ -0,0 +1,129 @@
+/*jslint node: true */
+/*global describe, it, beforeEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+// Recording everything queued by a reink.
+var queued = [];
+var tools = {color0: {x: 0, y: 0}, color1: {x: 0, y: 100}, water0dip: {}};
+var cncserver = stub.create({
+  pen: {},
+  bot: {
+    stepsPerMM: 10,
+    inWorkArea: function(point) { return point.x >= 0 && point.y >= 0; }
+  },
+  botConf: stub.config({tools: tools}),
+  utils: {
+    units: {steps: null, mm: 1, in: 25.4},
+    unitsSupported: function() { return true; }
+  },
+  control: {
+    setTool: function(name) { queued.push(['tool', name]); },
+    setHeight: function(state) { queued.push(['height', state]); },
+    movePenAbs: function(point) { queued.push(['move', point.x, point.y]); }
+  },
+  run: function(command, data) { queued.push([command, data]); }
+});
+require('../src/cncserver.reink.js')(cncserver);
+var reink = cncserver.reink;
+
+describe('Reink', function(){
+  beforeEach(function(){
+    queued = [];
+    cncserver.pen = {
+      x: 0, y: 0, state: 'draw', tool: 'color0', distanceCounter: 0
+    };
+    reink.set({distance: 0});
+  });
+
+  it('sets the distance in steps or real units', function(){
+    expect(reink.set({distance: 1000})).to.deep.equal({
+      distance: 1000, tool: '', wash: '', remaining: 1000
+    });
+    expect(reink.set({distance: 2.5, units: 'mm'}).distance).to.equal(25);
+  });
+
+  it('rejects bad distances and unknown tools', function(){
+    expect(function() { reink.set({distance: -1}); }).to.throw(/positive/);
+    expect(function() { reink.set({distance: 'far'}); }).to.throw(/positive/);
+    expect(function() {
+      reink.set({distance: 100, tool: 'crayon'});
+    }).to.throw('Tool "crayon" not found');
+  });
+
+  it('counts drawing distance from when it was set', function(){
+    cncserver.pen.distanceCounter = 300;
+    reink.set({distance: 1000});
+    cncserver.pen.distanceCounter = 700;
+    expect(reink.getStatus().remaining).to.equal(600);
+
+    // Counter reset by a client.
+    cncserver.pen.distanceCounter = 100;
+    expect(reink.getStatus().remaining).to.equal(900);
+  });
+
+  it('splits moves where the reink is due', function(){
+    reink.set({distance: 1000});
+    cncserver.pen.distanceCounter = 800;
+    cncserver.pen.x = 100;
+
+    expect(reink.getSplit({x: 600, y: 0})).to.deep.equal({x: 300, y: 0});
+    expect(reink.getSplit({x: 250, y: 0})).to.equal(null);
+
+    // Only drawing moves count.
+    cncserver.pen.state = 'up';
+    expect(reink.getSplit({x: 600, y: 0})).to.equal(null);
+  });
+
+  it('queues a reink, then returns to drawing', function(){
+    reink.set({distance: 1000, wash: 'water0dip'});
+    cncserver.pen.distanceCounter = 999.5;
+    cncserver.pen.x = 50;
+    cncserver.pen.y = 20;
+
+    reink.check();
+    expect(queued).to.deep.equal([
+      ['message', 'Reinking with color0'],
+      ['tool', 'water0dip'],
+      ['tool', 'color0'],
+      ['height', 'up'],
+      ['move', 50, 20],
+      ['height', 'draw']
+    ]);
+
+    // Starts counting again from here.
+    expect(reink.getStatus().remaining).to.equal(1000);
+  });
+
+  it('reinks with the configured tool', function(){
+    reink.set({distance: 10, tool: 'color1'});
+    cncserver.pen.distanceCounter = 10;
+    reink.check();
+    expect(queued[1]).to.deep.equal(['tool', 'color1']);
+  });
+
+  it('reinks again after queueing one failed', function(){
+    reink.set({distance: 10});
+    cncserver.pen.distanceCounter = 10;
+    var setTool = cncserver.control.setTool;
+    cncserver.control.setTool = function() { throw new Error('Tool broke'); };
+    expect(reink.check).to.throw(/Tool broke/);
+    cncserver.control.setTool = setTool;
+
+    queued = [];
+    reink.check();
+    expect(queued[1]).to.deep.equal(['tool', 'color0']);
+  });
+
+  it('does nothing when turned off or not due', function(){
+    cncserver.pen.distanceCounter = 5000;
+    reink.check();
+    reink.set({distance: 1000});
+    cncserver.pen.distanceCounter = 5500;
+    reink.check();
+    expect(queued).to.deep.equal([]);
+  });
+});
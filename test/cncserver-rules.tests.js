@@ -0,0 +1,110 @@
+/*jslint node: true */
+/*global describe, it, beforeEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+// Recording pauses.
+var pauses = [];
+var cncserver = stub.create({
+  buffer: {
+    paused: false,
+    pause: function(reason) {
+      cncserver.buffer.paused = true;
+      pauses.push(reason);
+    }
+  },
+  control: {setHeight: function() {}}
+});
+require('../src/cncserver.rules.js')(cncserver);
+var rules = cncserver.rules;
+
+// Buffer item for a move of the given length and duration.
+function move(length, duration, state) {
+  return {
+    command: {type: 'absmove', x: length, y: 0, source: {x: 0, y: 0}},
+    duration: duration,
+    pen: {state: state}
+  };
+}
+
+function message(text) {
+  return {command: {type: 'message', message: text}, pen: {state: 'up'}};
+}
+
+describe('Pause rules', function(){
+  beforeEach(function(){
+    rules.clear();
+    pauses = [];
+    cncserver.buffer.paused = false;
+  });
+
+  it('validates rules', function(){
+    expect(function() { rules.add({type: 'never'}); }).to.throw(/type/);
+    expect(function() { rules.add({type: 'time', value: 0}); })
+      .to.throw(/positive/);
+    expect(function() { rules.add({type: 'message', value: '(' }); })
+      .to.throw(/pattern/);
+
+    var rule = rules.add({type: 'distance', value: '500'});
+    expect(rule.value).to.equal(500);
+    expect(rule.repeat).to.equal(true);
+    expect(rules.list.length).to.equal(1);
+  });
+
+  it('pauses after a drawing distance', function(){
+    rules.add({type: 'distance', value: 500, reason: 'Refill paint'});
+    rules.itemDone(move(300, 100, 'draw'));
+    rules.itemDone(move(1000, 100, 'up'));
+    expect(pauses).to.deep.equal([]);
+
+    rules.itemDone(move(300, 100, 1));
+    expect(pauses).to.deep.equal(['Refill paint (Drew for 500 steps)']);
+    expect(rules.list[0].count).to.equal(0);
+    expect(rules.list[0].triggered).to.equal(1);
+  });
+
+  it('pauses after drawing time', function(){
+    rules.add({type: 'time', value: 1});
+    rules.itemDone(move(10, 40000, 'draw'));
+    rules.itemDone(move(10, 40000, 0));
+    expect(pauses).to.deep.equal([]);
+
+    rules.itemDone(move(10, 20000, 'draw'));
+    expect(pauses).to.deep.equal(['Drew for 1 min']);
+  });
+
+  it('pauses on matching messages', function(){
+    rules.add({type: 'message', value: '^swap paper'});
+    rules.itemDone(message('Drawing layer 2'));
+    rules.itemDone(message('Swap paper now please'));
+    expect(pauses).to.deep.equal(['Message "Swap paper now please"']);
+  });
+
+  it('pauses on serial errors', function(){
+    rules.add({type: 'serialError', reason: 'Check the bot'});
+    rules.serialError('!8 Err: Unknown command');
+    expect(pauses).to.deep.equal([
+      'Check the bot (Controller error: !8 Err: Unknown command)'
+    ]);
+  });
+
+  it('removes rules that only trigger once', function(){
+    var rule = rules.add({type: 'serialError', repeat: false});
+    rules.add({type: 'serialError'});
+    rules.serialError('first');
+    expect(rules.list.map(function(r) { return r.id; }))
+      .to.not.contain(rule.id);
+    expect(rules.list.length).to.equal(1);
+    expect(pauses.length).to.equal(1);
+  });
+
+  it('removes rules by ID', function(){
+    var rule = rules.add({type: 'time', value: 5});
+    expect(rules.remove(rule.id + 1)).to.equal(false);
+    expect(rules.remove(String(rule.id))).to.equal(true);
+    expect(rules.list).to.deep.equal([]);
+  });
+});
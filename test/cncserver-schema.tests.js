@@ -0,0 +1,182 @@
+/*jslint node: true */
+/*global describe, it */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var path = require('path');
+var ini = require('ini');
+var stub = require('./stub/stub-cncserver.js');
+
+var cncserver = stub.create({
+  settings: {
+    getSupportedBots: function() {
+      return {axidraw: {name: 'AxiDraw'}, eggbot: {name: 'EggBot'}};
+    }
+  },
+  gConf: stub.config({httpPort: 4242}),
+  botConf: stub.config({
+    speed: {min: '200', max: '2000'},
+    servo: {min: '7500', max: '25000', presets: {up: '70', draw: '30'}},
+    maxArea: {width: '6315', height: '3600'},
+    workArea: {left: '1350', top: '0'}
+  })
+});
+require('../src/cncserver.schema.js')(cncserver);
+var schema = cncserver.schema;
+
+function fields(result) {
+  return result.errors.map(function(error) { return error.field; });
+}
+
+describe('Settings schema', function(){
+  it('coerces values to their types', function(){
+    var result = schema.validate('global', {
+      httpPort: '4343',
+      debug: 'true',
+      'invertAxis:y': 0,
+      corsDomain: 'example.com'
+    });
+
+    expect(result.errors).to.deep.equal([]);
+    expect(result.values).to.deep.equal({
+      httpPort: 4343,
+      debug: true,
+      'invertAxis:y': false,
+      corsDomain: 'example.com'
+    });
+  });
+
+  it('rejects values of the wrong type', function(){
+    var result = schema.validate('global', {
+      httpPort: 'fast',
+      debug: 'yes',
+      bufferLatencyOffset: ''
+    });
+
+    expect(result.errors).to.deep.equal([
+      {field: 'httpPort', message: 'must be a number, got "fast"'},
+      {field: 'debug', message: 'must be true or false, got "yes"'},
+      {field: 'bufferLatencyOffset', message: 'must be a number, got ""'}
+    ]);
+  });
+
+  it('rejects values out of range', function(){
+    var result = schema.validate('global', {
+      httpPort: 70000,
+      maximumBlockingCallStack: 0,
+      lockDuration: 2.5
+    });
+
+    expect(result.errors).to.deep.equal([
+      {field: 'httpPort', message: 'must be between 1 and 65535, got 70000'},
+      {field: 'maximumBlockingCallStack', message: 'must be at least 1, got 0'}
+    ]);
+  });
+
+  it('rejects unknown settings', function(){
+    var result = schema.validate('global', {
+      PATH: '/usr/bin',
+      invertAxis: {x: true, z: true}
+    });
+
+    expect(fields(result)).to.deep.equal(['PATH', 'invertAxis:z']);
+  });
+
+  it('checks the bot type is supported', function(){
+    expect(schema.validate('global', {botType: 'eggbot'}).errors)
+      .to.deep.equal([]);
+    expect(schema.validate('global', {botType: 'toaster'}).errors)
+      .to.deep.equal([{
+        field: 'botType',
+        message: 'must be a supported bot type, got "toaster"'
+      }]);
+  });
+
+  it('checks subtrees and wildcard settings', function(){
+    var result = schema.validate('bot', {
+      servo: {presets: {up: '80', wash: 120}},
+      'tools:water0': {x: '10', y: 20, wiggleAxis: 'z', color: 'red'}
+    });
+
+    expect(result.errors).to.deep.equal([
+      {
+        field: 'servo:presets:wash',
+        message: 'must be between 0 and 100, got 120'
+      },
+      {
+        field: 'tools:water0:wiggleAxis',
+        message: 'must be one of "x", "y", "xy", got "z"'
+      },
+      {field: 'tools:water0:color', message: 'is not a known setting'}
+    ]);
+    expect(result.values.servo.presets.up).to.equal(80);
+    expect(result.values['tools:water0'].x).to.equal(10);
+  });
+
+  it('keeps free form settings as given', function(){
+    var mock = {delay: 10};
+    var result = schema.validate('global', {serialMock: mock});
+    expect(result.errors).to.deep.equal([]);
+    expect(result.values.serialMock).to.equal(mock);
+  });
+
+  it('rejects settings only for config.ini', function(){
+    var result = schema.validate('global', {
+      jobsPath: '/etc',
+      apiTokens: {secret: 'control'},
+      'apiTokens:secret': 'control',
+      'machines:axidraw2': {botType: 'axidraw'}
+    });
+
+    expect(result.errors).to.deep.equal([
+      {field: 'jobsPath', message: 'can only be changed in config.ini'},
+      {field: 'apiTokens', message: 'can only be changed in config.ini'},
+      {field: 'apiTokens:secret', message: 'is not a known setting'},
+      {field: 'machines:axidraw2', message: 'is not a known setting'}
+    ]);
+  });
+
+  it('checks ranges against the current settings', function(){
+    expect(fields(schema.validate('bot', {'servo:max': 5000})))
+      .to.deep.equal(['servo:min']);
+    expect(fields(schema.validate('bot', {'speed:min': '2000'})))
+      .to.deep.equal(['speed:min']);
+    expect(fields(schema.validate('bot', {'maxArea:width': 1000})))
+      .to.deep.equal(['workArea:left']);
+  });
+
+  it('checks ranges against changes made together', function(){
+    var result = schema.validate('bot', {
+      'servo:max': 5000,
+      servo: {min: 1000, max: 5000, presets: {up: 70, draw: 30}}
+    });
+    expect(result.errors).to.deep.equal([]);
+
+    // Replacing a subtree drops anything not included, so isn't checked.
+    expect(fields(schema.validate('bot', {speed: {min: 500}})))
+      .to.deep.equal([]);
+  });
+
+  it('accepts every shipped machine profile', function(){
+    var dir = path.join(__dirname, '..', 'machine_types');
+    fs.readdirSync(dir).forEach(function(file) {
+      var data = ini.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+      expect(schema.validate('bot', data).errors, file).to.deep.equal([]);
+    });
+  });
+
+  it('flattens subtrees to full setting paths', function(){
+    expect(schema.flatten({
+      servo: {max: 1, presets: {up: 70}},
+      'tools:water0': {x: 0},
+      debug: true
+    })).to.deep.equal({
+      'servo:max': 1,
+      'servo:presets:up': 70,
+      'tools:water0:x': 0,
+      debug: true
+    });
+  });
+});
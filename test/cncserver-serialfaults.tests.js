@@ -0,0 +1,144 @@
+/*jslint node: true */
+/*global describe, it, before, after */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var req = require('request');
+var createServer = require('./spawn/create-server.js');
+
+/**
+ * Run the tests of a describe block against a server connected to a fake
+ * EiBotBoard with a fault. Servers take turns on their own port, stopped once
+ * their tests are done.
+ *
+ * @param {string} option
+ *   Fake EiBotBoard setting to fault it with, E.G. "dropAcks", see
+ *   runner/cncserver.serialmock.js.
+ * @param {number} value
+ *   Value of the setting.
+ *
+ * @returns {object}
+ *   Holds the running server as "server", once started.
+ */
+function faulty(option, value) {
+  var bot = {};
+
+  before(function(done){
+    this.timeout(10000);
+    bot.server = createServer(4343, [
+      '--showSerial=true',
+      '--serialMock:' + option + '=' + value
+    ]);
+    bot.server.ready(done);
+  });
+
+  after(function(done){
+    bot.server.kill(done);
+  });
+
+  return bot;
+}
+
+/**
+ * Count the lines a server output containing a string.
+ */
+function count(server, str) {
+  return server.out.filter(function(line) {
+    return line.indexOf(str) !== -1;
+  }).length;
+}
+
+/**
+ * Keep moving the pen back and forth until a check passes, each move being a
+ * single command sent to the bot.
+ *
+ * @param {object} server
+ *   Server to move the pen of.
+ * @param {function} check
+ *   Returns true once done.
+ * @param {function} callback
+ *   Called once the check passes.
+ */
+function drawUntil(server, check, callback, tries) {
+  tries = tries || 0;
+  if (check()) {
+    callback();
+    return;
+  }
+
+  expect(tries).to.be.below(100);
+  req({
+    method: 'PUT',
+    url: server.path + 'v1/pen',
+    json: {x: tries % 2 ? 10 : 20, y: 10, ignoreTimeout: 1}
+  }, function(err, res) {
+    expect(err).to.equal(null);
+    expect(res.statusCode).to.equal(200);
+    setTimeout(function() {
+      drawUntil(server, check, callback, tries + 1);
+    }, 100);
+  });
+}
+
+describe('Serial faults', function(){
+  this.timeout(20000);
+
+  describe('dropped ACKs', function(){
+    var bot = faulty('dropAcks', 2);
+
+    it('carry on sending without them', function(done){
+      var server = bot.server;
+      drawUntil(server, function() {
+        return count(server, 'Executing serial write: SM,') >= 4;
+      }, function() {
+        expect(server.said('Message From Controller', server.err))
+          .to.equal(false);
+        done();
+      });
+    });
+  });
+
+  describe('error replies', function(){
+    var bot = faulty('errorEvery', 10);
+
+    it('are reported, and the bot config sent again', function(done){
+      var server = bot.server;
+      drawUntil(server, function() {
+        return server.said('Mock error for command', server.err);
+      }, function() {
+        expect(server.said('Message From Controller: !8 Err', server.err))
+          .to.equal(true);
+        server.waitFor(function() {
+          return count(server, 'Sending EBB config...') >= 2;
+        }, done);
+      });
+    });
+  });
+
+  describe('slow writes', function(){
+    var bot = faulty('writeDelay', 600);
+
+    it('time out with a warning, still sending what follows', function(done){
+      var server = bot.server;
+      drawUntil(server, function() {
+        return server.said('WRITE TIMEOUT, COMMAND FAILED') &&
+          count(server, 'Executing serial write: SM,') >= 2;
+      }, done);
+    });
+  });
+
+  describe('disconnects', function(){
+    var bot = faulty('disconnectAfter', 8);
+
+    it('tell the server the bot was lost', function(done){
+      var server = bot.server;
+      drawUntil(server, function() {
+        return server.said('lost!! Did it get unplugged?');
+      }, function() {
+        expect(server.said('Executing serial write: SM,')).to.equal(true);
+        done();
+      });
+    });
+  });
+});
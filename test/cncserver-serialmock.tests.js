@@ -0,0 +1,116 @@
+/*jslint node: true */
+/*global describe, it */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var SerialMock = require('../runner/cncserver.serialmock.js');
+
+/**
+ * Open a mock port, collecting everything it responds with.
+ *
+ * @param {object} mock
+ *   Mock settings.
+ * @param {function} callback
+ *   Called with any open error, the port and its array of responses.
+ */
+function open(mock, callback) {
+  var responses = [];
+  var port = new SerialMock('{mock}', {mock: mock}, function(err) {
+    callback(err, port, responses);
+  });
+  port.on('data', function(data) {
+    responses.push(data.toString());
+  });
+}
+
+/**
+ * Write each command to the port, then wait for the responses to arrive.
+ */
+function send(port, commands, callback) {
+  commands.forEach(function(command) {
+    port.write(command + '\r', 'ascii');
+  });
+  setTimeout(callback, 20);
+}
+
+describe('SerialMock', function(){
+  it('acknowledges and answers EBB commands', function(done){
+    open({}, function(err, port, responses) {
+      expect(err).to.equal(null);
+      send(port, ['EM,1,1', 'SM,100,40,-20', 'XM,100,10,5', 'QS', 'SP,0', 'QP'],
+        function() {
+          expect(responses).to.deep.equal([
+            'OK\r\n',
+            'OK\r\n',
+            'OK\r\n',
+            '55,-15\n\rOK\r\n',
+            'OK\r\n',
+            '0\r\nOK\r\n'
+          ]);
+          done();
+        }
+      );
+    });
+  });
+
+  it('rejects unknown commands and bad parameters', function(done){
+    open({}, function(err, port, responses) {
+      expect(err).to.equal(null);
+      send(port, ['ZZ,1', 'SM,0,10,10', 'SM,10'], function() {
+        expect(responses[0]).to.contain('Unknown command');
+        expect(responses[1]).to.contain('Invalid parameters');
+        expect(responses[2]).to.contain('Invalid parameters');
+        done();
+      });
+    });
+  });
+
+  it('drops ACKs and injects errors', function(done){
+    open({dropAcks: 2, errorEvery: 3}, function(err, port, responses) {
+      expect(err).to.equal(null);
+      send(port, ['SP,1', 'SP,1', 'SP,1', 'SP,1'], function() {
+        expect(responses.length).to.equal(2);
+        expect(responses[0]).to.equal('OK\r\n');
+        expect(responses[1]).to.contain('Mock error for command "SP,1"');
+        done();
+      });
+    });
+  });
+
+  it('delays responses and writes', function(done){
+    open({latency: 30, writeDelay: 30}, function(err, port, responses) {
+      expect(err).to.equal(null);
+      var written = false;
+      port.write('V\r', 'ascii', function() {
+        written = true;
+      });
+
+      setTimeout(function() {
+        expect(written).to.equal(false);
+        expect(responses.length).to.equal(0);
+        setTimeout(function() {
+          expect(written).to.equal(true);
+          expect(responses[0]).to.contain('EBB');
+          done();
+        }, 40);
+      }, 10);
+    });
+  });
+
+  it('disconnects, and fails to open on request', function(done){
+    open({disconnectAfter: 1}, function(err, port) {
+      expect(err).to.equal(null);
+      port.on('close', function(closeErr) {
+        expect(closeErr.disconnected).to.equal(true);
+        expect(port.isOpen).to.equal(false);
+
+        open({failOpen: 'Access denied'}, function(openErr) {
+          expect(openErr.message).to.equal('Access denied');
+          done();
+        });
+      });
+      port.write('EM,1,1\r', 'ascii');
+    });
+  });
+});
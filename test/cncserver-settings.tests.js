@@ -0,0 +1,135 @@
+/*jslint node: true */
+/*global describe, it, beforeEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+// With the real settings, recording serial connects and parking.
+var connects = [];
+var parking = [];
+var cncserver = stub.create({
+  pen: {},
+  actualPen: {},
+  buffer: {data: []},
+  control: {
+    setHeight: function(state) { parking.push(state); },
+    setPen: function(pen) { parking.push(pen.park ? 'park' : 'move'); }
+  },
+  serial: {
+    detectedPath: '',
+    connect: function() {
+      connects.push(cncserver.gConf.get('serialPath'));
+    },
+    localTrigger: function() {}
+  },
+  io: {sendBotUpdate: function() {}, sendPenUpdate: function() {}}
+});
+require('../src/cncserver.settings.js')(cncserver);
+cncserver.gConf.use('memory');
+var settings = cncserver.settings;
+
+// Give the WaterColorBot another controller to change to.
+cncserver.gConf.set('botOverride', {
+  watercolorbot: {'controller:name': 'Grbl'}
+});
+
+describe('Settings', function(){
+  beforeEach(function(done){
+    connects = [];
+    parking = [];
+    cncserver.buffer.data = [];
+    cncserver.buffer.paused = false;
+    cncserver.pen.simulation = 0;
+    cncserver.gConf.set('botType', 'axidraw');
+    settings.loadBotConfig(done);
+  });
+
+  it('only reconnects serial when the controller changes', function(done){
+    cncserver.gConf.set('serialPath', '/dev/ttyACM0');
+    settings.changeBotType('eggbot', {}, function() {
+      expect(cncserver.gConf.get('botType')).to.equal('eggbot');
+      expect(connects).to.deep.equal([]);
+      done();
+    });
+  });
+
+  it('keeps a serial port passed by the user', function(done){
+    cncserver.gConf.set('serialPath', '/dev/ttyUSB3');
+    cncserver.serial.detectedPath = '/dev/ttyACM0';
+    settings.changeBotType('watercolorbot', {}, function() {
+      expect(connects).to.deep.equal(['/dev/ttyUSB3']);
+      done();
+    });
+  });
+
+  it('detects the new controller\'s port otherwise', function(done){
+    cncserver.gConf.set('serialPath', '/dev/ttyACM0');
+    cncserver.serial.detectedPath = '/dev/ttyACM0';
+    settings.changeBotType('watercolorbot', {}, function() {
+      expect(connects).to.deep.equal(['{auto}']);
+
+      cncserver.gConf.set('serialPath', '');
+      settings.changeBotType('axidraw', {}, function() {
+        expect(connects).to.deep.equal(['{auto}', '{auto}']);
+        done();
+      });
+    });
+  });
+
+  it('parks first, then stays where it parked', function(done){
+    cncserver.pen.state = 'draw';
+    cncserver.actualPen.x = 5;
+    cncserver.actualPen.y = 7;
+    settings.changeBotType('eggbot', {}, function(err) {
+      expect(err).to.equal(undefined);
+      expect(parking).to.deep.equal(['up', 'park']);
+      expect(cncserver.pen).to.include({x: 5, y: 7});
+      expect(cncserver.actualPen).to.include({x: 5, y: 7});
+      done();
+    });
+  });
+
+  it('reports a change waiting for the buffer to drain', function(done){
+    cncserver.buffer.data = ['move'];
+    expect(function() {
+      settings.changeBotType('eggbot', {});
+    }).to.throw(/Buffer must be empty/);
+
+    var changed = settings.changeBotType('eggbot', {drain: true}, function() {
+      expect(settings.getPendingBotType()).to.equal(null);
+      expect(cncserver.gConf.get('botType')).to.equal('eggbot');
+      done();
+    });
+    expect(changed).to.equal(false);
+    expect(settings.getPendingBotType()).to.equal('eggbot');
+    cncserver.buffer.data = [];
+  });
+
+  it('cancels a waiting change if the buffer is paused or cleared', function(){
+    var errors = [];
+    var record = function(err) { errors.push(err.message); };
+    cncserver.buffer.data = ['move'];
+
+    settings.changeBotType('eggbot', {drain: true}, record);
+    settings.changeBotType('watercolorbot', {drain: true}, record);
+    settings.cancelBotTypeChange('the buffer was cleared');
+    expect(settings.getPendingBotType()).to.equal(null);
+    expect(errors).to.deep.equal([
+      'Bot type change to eggbot cancelled, changing to watercolorbot instead',
+      'Bot type change to watercolorbot cancelled, the buffer was cleared'
+    ]);
+    expect(cncserver.gConf.get('botType')).to.equal('axidraw');
+  });
+
+  it('cancels a waiting change once the buffer pauses', function(done){
+    cncserver.buffer.data = ['move'];
+    settings.changeBotType('eggbot', {drain: true}, function(err) {
+      expect(err.message).to.contain('the buffer was paused');
+      expect(cncserver.gConf.get('botType')).to.equal('axidraw');
+      done();
+    });
+    cncserver.buffer.paused = true;
+  });
+});
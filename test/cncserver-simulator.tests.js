@@ -0,0 +1,94 @@
+/*jslint node: true */
+/*global describe, it, beforeEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+// An EiBotBoard style relative controller with pen heights of 0 (up) and 100
+// (draw).
+var config = {swapMotors: false, 'invertAxis:x': false, 'invertAxis:y': false};
+var cncserver = stub.create({
+  gConf: stub.config(config),
+  botConf: stub.config({controller: {position: 'relative'}}),
+  bot: {
+    commands: {movexy: 'SM,%d,%x,%y', movez: 'SC,5,%z', togglez: 'SP,%t'},
+    park: {x: 0, y: 0},
+    maxArea: {width: 1000, height: 500},
+    workArea: {left: 10, top: 20, width: 900, height: 400}
+  },
+  utils: {
+    stateToHeight: function(state) {
+      return {state: state, height: state === 'up' ? 0 : 100};
+    }
+  }
+});
+require('../src/cncserver.simulator.js')(cncserver);
+var simulator = cncserver.simulator;
+
+function run(commands) {
+  commands.forEach(simulator.command);
+}
+
+describe('Simulator', function(){
+  beforeEach(function() {
+    simulator.reset();
+  });
+
+  it('records drawn paths and travel moves', function(){
+    run([
+      'SM,100,100,100',
+      'SC,5,100',
+      'SP,0',
+      'SM,100,200,0',
+      'SM,100,0,50',
+      'SC,5,0',
+      'SM,100,-300,-150',
+      'EM,1,1'
+    ]);
+
+    expect(simulator.paths).to.deep.equal([
+      [{x: 100, y: 100}, {x: 300, y: 100}, {x: 300, y: 150}]
+    ]);
+    expect(simulator.travel.length).to.equal(2);
+    expect(simulator.getStats()).to.deep.equal({
+      position: {x: 0, y: 0},
+      down: false,
+      paths: 1,
+      points: 3,
+      travel: 2
+    });
+  });
+
+  it('starts a new path for every pen down', function(){
+    run(['SC,5,100', 'SM,10,10,0', 'SC,5,0', 'SM,10,10,0']);
+    run(['SC,5,100', 'SM,10,10,0', 'SM,10,0,0']);
+    expect(simulator.paths.length).to.equal(2);
+    expect(simulator.paths[1]).to.deep.equal([{x: 20, y: 0}, {x: 30, y: 0}]);
+  });
+
+  it('undoes swapped motors and inverted axes', function(){
+    config.swapMotors = true;
+    config['invertAxis:x'] = true;
+    run(['SM,10,5,20']);
+    config.swapMotors = false;
+    config['invertAxis:x'] = false;
+
+    expect(simulator.position).to.deep.equal({x: -20, y: 5});
+  });
+
+  it('renders an SVG of the bot area', function(){
+    simulator.reset({x: 0.123, y: 0, state: 'draw'});
+    run(['SM,10,100,0']);
+
+    var svg = simulator.renderSVG();
+    expect(svg).to.contain('viewBox="0 0 1000 500"');
+    expect(svg).to.contain('x="10" y="20" width="900" height="400"');
+    expect(svg).to.contain('d="M0.12,0 L100.12,0"');
+    expect(svg).not.to.contain('class="travel"');
+
+    run(['SC,5,0', 'SM,10,0,50']);
+    expect(simulator.renderSVG({travel: true})).to.contain('class="travel"');
+  });
+});
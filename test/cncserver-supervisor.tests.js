@@ -0,0 +1,220 @@
+/*jslint node: true */
+/*global describe, it, beforeEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+// Logging what's done.
+var log = [];
+var config = {debug: false};
+var cncserver = stub.create({
+  gConf: stub.config(config),
+  pen: {},
+  actualPen: {},
+  ipc: {
+    runner: {
+      process: {pid: 1234},
+      init: function() { log.push('init'); }
+    },
+    sendMessage: function(command) { log.push(command); }
+  },
+  io: {
+    sendPenUpdate: function() {},
+    sendRunnerUpdate: function(status) { log.push('update ' + status.state); }
+  },
+  serial: {
+    open: function() { log.push('connect'); }
+  },
+  history: {
+    interrupt: function() { log.push('interrupt'); }
+  },
+  planner: {
+    isHeld: function(hash) { return hash === 'held'; }
+  },
+  buffer: {
+    removeItem: function(hash) {
+      log.push('remove ' + hash);
+      cncserver.buffer.data.splice(cncserver.buffer.data.indexOf(hash), 1);
+      cncserver.buffer.current = null;
+    },
+    send: function(hash) { log.push('send ' + hash); },
+    pause: function(reason) {
+      log.push('pause');
+      cncserver.buffer.paused = true;
+      cncserver.buffer.pauseReason = reason;
+    }
+  }
+});
+require('../src/cncserver.supervisor.js')(cncserver);
+var supervisor = cncserver.supervisor;
+
+// Newest first, as the buffer keeps them.
+function setBuffer(hashes, current) {
+  cncserver.buffer.data = hashes;
+  cncserver.buffer.dataSet = {};
+  hashes.forEach(function(hash) { cncserver.buffer.dataSet[hash] = {}; });
+  cncserver.buffer.current = current || null;
+  cncserver.buffer.paused = false;
+}
+
+describe('Runner supervisor', function(){
+  beforeEach(function(){
+    log = [];
+    config.debug = false;
+    supervisor.local = true;
+    supervisor.backoff = {min: 5, max: 20, stable: 60000};
+    cncserver.pen.simulation = 0;
+    setBuffer([]);
+  });
+
+  it('carries on starting up the first time the runner is ready', function(){
+    expect(supervisor.ready()).to.equal(false);
+    expect(supervisor.getStatus()).to.include({
+      state: 'running',
+      local: true,
+      pid: 1234,
+      restarts: 0
+    });
+  });
+
+  it('records the runner being lost once', function(){
+    setBuffer(['c', 'b', 'a'], 'a');
+    supervisor.lost('Runner disconnected from IPC');
+    supervisor.lost('Again');
+
+    expect(supervisor.state).to.equal('lost');
+    expect(supervisor.incidents.length).to.equal(1);
+    expect(supervisor.incidents[0]).to.include({
+      reason: 'Runner disconnected from IPC',
+      item: 'a',
+      recovered: null
+    });
+    expect(cncserver.pen.simulation).to.equal(1);
+    expect(log).to.deep.equal(['update lost']);
+  });
+
+  it('restarts a local runner with increasing delays', function(done){
+    supervisor.backoff.min = 50;
+    supervisor.backoff.max = 200;
+    supervisor.state = 'running';
+    supervisor.exited(1);
+    expect(supervisor.state).to.equal('restarting');
+    expect(supervisor.incidents.slice(-1)[0].reason)
+      .to.equal('Runner process exited with code 1');
+
+    setTimeout(function() {
+      expect(log).to.include('init');
+      expect(supervisor.restarts).to.equal(1);
+
+      // Still restarting, so the next delay doubles.
+      supervisor.exited(null, 'SIGSEGV');
+      var delay = Date.parse(supervisor.getStatus().nextRestart) - Date.now();
+      expect(delay).to.be.above(50);
+
+      // Ready again, so the restart is off.
+      supervisor.ready();
+      expect(supervisor.getStatus().nextRestart).to.equal(null);
+      done();
+    }, 80);
+  });
+
+  it('leaves restarting a runner it didn\'t start to its parent', function(){
+    supervisor.state = 'running';
+    supervisor.local = false;
+    supervisor.exited(0);
+    expect(supervisor.state).to.equal('lost');
+    expect(log).to.deep.equal(['update lost']);
+  });
+
+  it('gives a new runner back the unfinished buffer, paused', function(){
+    expect(supervisor.ready()).to.equal(true);
+    setBuffer(['held', 'c', 'b', 'a'], 'a');
+    log = [];
+    supervisor.recover({buffer: [], current: null});
+
+    expect(log).to.deep.equal([
+      'connect',
+      'interrupt',
+      'remove a',
+      'pause',
+      'send b',
+      'send c',
+      'update running'
+    ]);
+    expect(cncserver.buffer.pauseReason)
+      .to.equal('Runner restarted, check the bot before resuming');
+
+    var incident = supervisor.incidents.slice(-1)[0];
+    expect(incident.resent).to.equal(2);
+    expect(incident.recovered).to.be.a('string');
+  });
+
+  it('only sends a reconnected runner what it\'s missing', function(){
+    supervisor.state = 'running';
+    setBuffer(['c', 'b', 'a'], 'a');
+    supervisor.lost('Runner disconnected from IPC');
+    supervisor.ready();
+    log = [];
+    supervisor.recover({buffer: ['b'], current: 'a'});
+
+    expect(log).to.deep.equal(['connect', 'send c', 'update running']);
+    expect(cncserver.buffer.paused).to.equal(false);
+  });
+
+  it('clears a reconnected runner holding cleared items', function(){
+    setBuffer(['b']);
+    cncserver.buffer.paused = true;
+    cncserver.pen.simulation = 1;
+    supervisor.recover({buffer: ['x', 'b'], current: null});
+
+    expect(log).to.deep.equal([
+      'buffer.clear',
+      'buffer.pause',
+      'send b',
+      'update running'
+    ]);
+  });
+
+  it('starts the backoff over once the runner has been stable', function(){
+    supervisor.backoff = {min: 50, max: 200, stable: 0};
+    supervisor.ready();
+    supervisor.exited(1);
+    var delay = Date.parse(supervisor.getStatus().nextRestart) - Date.now();
+    expect(delay).to.be.at.most(50);
+
+    // Ready before the restart is due, so it's called off.
+    supervisor.ready();
+    expect(supervisor.getStatus().nextRestart).to.equal(null);
+  });
+
+  it('only logs what it\'s doing when debugging', function(){
+    var logged = [];
+    var consoleLog = console.log;
+    console.log = function(message) { logged.push(message); };
+
+    try {
+      supervisor.ready();
+      supervisor.local = false;
+      supervisor.exited(2);
+      supervisor.ready();
+      supervisor.recover({buffer: [], current: null});
+
+      config.debug = true;
+      supervisor.exited(null, 'SIGKILL');
+      supervisor.ready();
+      supervisor.recover({buffer: [], current: null});
+    } finally {
+      console.log = consoleLog;
+    }
+
+    expect(logged).to.deep.equal([
+      'SUPERVISOR: Runner lost: Runner process exited with signal SIGKILL',
+      'SUPERVISOR: Runner recovered, 0 buffer items resent'
+    ]);
+    expect(supervisor.incidents.slice(-2).map(function(incident) {
+      return incident.recovered !== null;
+    })).to.deep.equal([true, true]);
+  });
+});
@@ -0,0 +1,131 @@
+/*jslint node: true */
+/*global describe, it, beforeEach */
+"use strict";
+
+var chai = require('chai');
+var expect = chai.expect;
+var stub = require('./stub/stub-cncserver.js');
+
+// Recording everything queued by a tool change.
+var queued = [];
+var cncserver = stub.create({
+  pen: {lastDuration: 0},
+  control: {
+    setHeight: function(state) { queued.push(['height', state]); },
+    movePenAbs: function(point) { queued.push(['move', point.x, point.y]); },
+    wigglePen: function(axis, travel, iterations) {
+      queued.push(['wiggle', axis, travel, iterations]);
+    }
+  },
+  run: function(command, data, duration) {
+    queued.push([command, data || duration]);
+  },
+  buffer: {
+    pause: function(reason) { queued.push(['paused', reason]); }
+  },
+  io: {
+    manualSwapTrigger: function(index, message) {
+      queued.push(['swap', index, message]);
+    }
+  }
+});
+require('../src/cncserver.tools.js')(cncserver);
+var tools = cncserver.tools;
+
+describe('Tool change sequences', function(){
+  beforeEach(function(){
+    queued = [];
+  });
+
+  it('parses steps', function(){
+    expect(tools.parse('height draw')).to.deep.equal({
+      name: 'height', args: ['draw']
+    });
+    expect(tools.parse(' MOVE 10, -20 ')).to.deep.equal({
+      name: 'move', args: [10, -20]
+    });
+    expect(tools.parse('wiggle xy 300 4')).to.deep.equal({
+      name: 'wiggle', args: ['xy', 300, 4]
+    });
+    expect(tools.parse('pause Swap to the red pen, then resume'))
+      .to.deep.equal({
+        name: 'pause',
+        args: ['Swap to the red pen, then resume']
+      });
+    expect(tools.parse('pause')).to.deep.equal({name: 'pause', args: ['']});
+  });
+
+  it('rejects invalid steps', function(){
+    expect(function() { tools.parse('dance'); }).to.throw(/Unknown step/);
+    expect(function() { tools.parse('move 10'); }).to.throw(/"move" expects/);
+    expect(function() { tools.parse('wait -5'); }).to.throw(/"wait" expects/);
+    expect(function() { tools.parse('wiggle z 1 2'); }).to.throw(/"wiggle"/);
+    expect(function() { tools.parse('height'); }).to.throw(/"height"/);
+  });
+
+  it('validates sequences by step', function(){
+    expect(tools.validate(['height up', 'wait 100'])).to.deep.equal([]);
+    expect(tools.validate('wait 100')).to.deep.equal([]);
+
+    var errors = tools.validate(['height up', 'move a b']);
+    expect(errors.length).to.equal(1);
+    expect(errors[0].step).to.equal(1);
+  });
+
+  it('defaults to the original tool changes', function(){
+    var tool = {x: 0, y: 0, wiggleAxis: 'y', wiggleTravel: 300,
+      wiggleIterations: 4};
+    expect(tools.getSequence('water0', tool)).to.deep.equal([
+      'height wash', 'wiggle y 300 4', 'height up'
+    ]);
+    expect(tools.getSequence('color3', tool)[0]).to.equal('height draw');
+    expect(tools.getSequence('manualswap', {wait: true})).to.deep.equal([
+      'pause'
+    ]);
+    expect(tools.getSequence('manualresume', {wait: false})).to.deep.equal([]);
+  });
+
+  it('queues sequence steps relative to the tool', function(){
+    tools.run('red', {
+      x: '1000',
+      y: '200',
+      sequence: [
+        'height draw',
+        'move 0 500',
+        'wait 250',
+        'wiggle x 10 2',
+        'pause Put the red pen back',
+        'height up'
+      ]
+    }, '2');
+
+    expect(queued).to.deep.equal([
+      ['height', 'draw'],
+      ['move', 1000, 700],
+      ['wait', 250],
+      ['wiggle', 'x', 10, 2],
+      ['pause', {message: 'Put the red pen back', index: '2', delay: 0}],
+      ['height', 'up']
+    ]);
+  });
+
+  it('pauses for the user, asking once paused', function(done){
+    tools.pause({message: '', index: '2', delay: 5});
+    expect(queued).to.deep.equal([['paused', 'Tool change']]);
+    expect(cncserver.buffer.newlyPaused).to.equal(true);
+
+    cncserver.buffer.pauseCallback();
+    expect(cncserver.buffer.pauseCallback).to.equal(null);
+    setTimeout(function() {
+      expect(queued.pop()).to.deep.equal(['swap', '2', '']);
+      done();
+    }, 10);
+  });
+
+  it('queues nothing for an invalid sequence', function(){
+    expect(function() {
+      tools.run('red', {x: 0, y: 0, sequence: ['height up', 'jump']});
+    }).to.throw(/Tool "red"/);
+    expect(queued).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,116 @@
+/*jslint node: true */
+"use strict";
+
+/*
+ * Code re-use for managing child cncservers.
+ */
+
+var spawn = require('child_process').spawn;
+
+/**
+ * Start our very own copy of CNC Server for tests.
+ *
+ * @param {number} port
+ *   HTTP port for it to serve on.
+ * @param {array} args
+ *   Any other command line arguments, E.G. "--serialMock:dropAcks=2" to
+ *   connect to a fake EiBotBoard that drops every other ACK.
+ *
+ * @returns {object}
+ *   The server, with its "path" URL, every line it output in "out" and "err"
+ *   from newest at [0] to oldest [n], and helpers to wait for and stop it.
+ */
+module.exports = function(port, args) {
+  var child = spawn('node', ['cncserver', '--httpPort=' + port].concat(args));
+  var server = {
+    path: 'http://localhost:' + port + '/',
+    out: [],
+    err: [],
+    isReady: 0
+  };
+
+  // Add data to start of arrays to allow referencing of lines directly.
+  child.stdout.on('data', function(data){
+    var d = data.toString().split('\n');
+
+    // Split the data by newlines, add each to the data.
+    for(var i in d) {
+      if (d[i].length) server.out.unshift(d[i]);
+    }
+
+    //console.log('STDOUT: ' + data); // TODO: Make this triggerable on test run
+  });
+
+  child.stderr.on('data', function (data) {
+    server.err.unshift(data.toString());
+    //console.log('stderr: ' + data);
+  });
+
+  var exited = false;
+  child.on('exit', function() {
+    exited = true;
+  });
+
+  server.ready = function(callback) {
+    console.log('Waiting for CNCServer to startup...');
+    var initWait = setInterval(function(){
+      if (server.said('ready to receive commands')) {
+        clearInterval(initWait);
+        console.log(
+          'CNCServer ready! Lets start testing.\n==================\n'
+        );
+        server.isReady = true;
+        if (callback) callback();
+      }
+    }, 50);
+  };
+
+  // Stop the server, calling back once it's gone so another can take its
+  // place.
+  server.kill = function(callback){
+    console.log('Killing child process ' + child.pid  + '...');
+    if (exited) {
+      if (callback) callback();
+      return;
+    }
+
+    if (callback) child.once('exit', function() { callback(); });
+    child.kill('SIGINT');
+  };
+
+  server.waitFor = function(v, callback) {
+    if (v()) {
+      callback();
+    } else {
+      setTimeout( function(){ server.waitFor(v, callback); }, 250);
+    }
+  };
+
+  /**
+   * Util function, does a string exist in the array of strings?
+   *
+   * @param {type} str
+   *   String to find within a string in the array.
+   * @param {type} ar
+   *   Array to search. Will default to the server's "out" array;
+   * @returns {Boolean}
+   *   True if string exists anywhere in array, false if not.
+   */
+  server.said = function(str, ar) {
+    if (typeof ar === 'undefined') {
+      ar = server.out;
+    }
+
+    for (var i in ar) {
+      if (ar[i].indexOf(str) !== -1) {
+        return true;
+      }
+    }
+
+    return false;
+  };
+
+  server.clear = function (){ server.out = []; server.err = []; };
+
+  return server;
+};
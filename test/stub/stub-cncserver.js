@@ -0,0 +1,130 @@
+/*jslint node: true */
+"use strict";
+
+/*
+ * Code re-use for testing modules against a stand in for the global cncserver
+ * object, without spawning a server.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var extend = require('util')._extend;
+
+/**
+ * Create a minimal stand in for the global cncserver object, with fake utils
+ * mapping percentages 1:1 into steps, so coordinates can be checked directly.
+ *
+ * @param {object} parts
+ *   Anything else the module under test needs, E.G. "pen" or "buffer". Any
+ *   "utils" are added to the fake utils, replacing them.
+ *
+ * @returns {object}
+ *   The stand in cncserver object, to pass to the module.
+ */
+exports.create = function(parts) {
+  var cncserver = {exports: {}};
+
+  cncserver.utils = {
+    extend: extend,
+    getVectorLength: function(v) { return Math.sqrt(v.x * v.x + v.y * v.y); },
+    centToSteps: function(point) { return {x: point.x, y: point.y}; },
+    penDown: function(pen) {
+      if (!pen || !pen.state) pen = cncserver.pen;
+      return pen.state !== 'up';
+    }
+  };
+
+  parts = parts || {};
+  Object.keys(parts).forEach(function(key) {
+    if (key === 'utils') {
+      extend(cncserver.utils, parts.utils);
+    } else {
+      cncserver[key] = parts[key];
+    }
+  });
+
+  return cncserver;
+};
+
+/**
+ * Create a fake nconf provider for gConf or botConf, looking settings up by
+ * full path as nconf does.
+ *
+ * @param {object} values
+ *   Settings, as nested objects or keyed by full path, E.G. "speed:min". Kept
+ *   by reference, so tests can change them as they go.
+ * @param {object} defaults
+ *   Optional settings used when not in values.
+ *
+ * @returns {object}
+ *   Provider with nconf's "get", "set" and "reset".
+ */
+exports.config = function(values, defaults) {
+  return {
+    get: function(key) {
+      var value = lookup(values, key);
+      if (typeof value === 'undefined' && defaults) {
+        value = lookup(defaults, key);
+      }
+      return value;
+    },
+    set: function(key, value) {
+      values[key] = value;
+    },
+    reset: function() {
+      Object.keys(values).forEach(function(key) {
+        delete values[key];
+      });
+    }
+  };
+};
+
+/**
+ * Create a fake express request.
+ *
+ * @param {string} method
+ *   Lower case HTTP method of the matched route, E.G. "put".
+ * @param {string} path
+ *   Request path.
+ * @param {object} headers
+ *   Optional request headers, by name.
+ * @param {object} query
+ *   Optional query string variables.
+ *
+ * @returns {object}
+ *   Request, with only what the server looks at.
+ */
+exports.request = function(method, path, headers, query) {
+  headers = headers || {};
+  return {
+    path: path,
+    route: {method: method},
+    query: query || {},
+    get: function(name) { return headers[name]; }
+  };
+};
+
+/**
+ * Create a temporary directory for a test to write files to.
+ *
+ * @param {string} name
+ *   Name of what's tested, to tell the directories apart.
+ *
+ * @returns {string}
+ *   Full path of the new, empty, directory.
+ */
+exports.tempDir = function(name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'cncserver-' + name + '-'));
+};
+
+/**
+ * Get a setting by full path, from where it's keyed by it or nested objects.
+ */
+function lookup(data, key) {
+  if (data.hasOwnProperty(key)) return data[key];
+
+  return key.split(':').reduce(function(value, part) {
+    return value && typeof value === 'object' ? value[part] : undefined;
+  }, data);
+}